@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Astronomy module - Time, coordinate and projection helpers
+ * @module astronomy
+ * @exports {toRadians, toDegrees, normalizeDegrees, getObserver, julianDate, localSiderealTime, equatorialToHorizontal, projectHorizontal, projectEquatorial}
+ * @imports {CONFIG} from config.js
+ * @description Low-precision positional astronomy for real-sky rendering.
+ *   Converts catalogue coordinates (RA/Dec) to the observer's altitude/azimuth
+ *   and projects them onto the rotating star canvas.
+ *   Accuracy is a fraction of a degree, far below one pixel of visual error.
+ */
+
+// ============================================================
+// ASTRONOMY - Time, coordinate and projection helpers
+// Purpose: Place real celestial objects on the star canvas
+// Lines: 1-223
+// ============================================================
+
+import { CONFIG } from "./config.js";
+
+// ============================================================
+// ANGLE HELPERS
+// Lines: 20-50
+// ============================================================
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+export function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Convert radians to degrees
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+export function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+/**
+ * Wrap an angle into the 0-360° range
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Equivalent angle between 0 and 360
+ */
+export function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// ============================================================
+// OBSERVER
+// Lines: 52-80
+// ============================================================
+
+/**
+ * Resolve observer location and time from the observer config
+ *
+ * Longitude falls back to an estimate from the browser's timezone
+ * (15° per hour of UTC offset), which is close enough to get the
+ * right stars overhead without asking for geolocation permission.
+ *
+ * @param {Config} [config=CONFIG] - Configuration to read the observer from
+ * @returns {{latitude: number, longitude: number, date: Date, facingAzimuth: number}} Observer
+ */
+export function getObserver(config = CONFIG) {
+  const { latitude, longitude, date, facingAzimuth } = config.observer;
+  const observerDate = date ? new Date(date) : new Date();
+
+  return {
+    latitude,
+    longitude:
+      longitude !== null && longitude !== undefined
+        ? longitude
+        : -observerDate.getTimezoneOffset() / 4,
+    date: Number.isNaN(observerDate.getTime()) ? new Date() : observerDate,
+    facingAzimuth,
+  };
+}
+
+// ============================================================
+// TIME
+// Lines: 82-110
+// ============================================================
+
+/**
+ * Julian date for a JavaScript Date
+ * @param {Date} date - Moment in time
+ * @returns {number} Julian date (days)
+ */
+export function julianDate(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Local mean sidereal time
+ * @param {Date} date - Moment in time
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {number} Local sidereal time in degrees (0-360)
+ */
+export function localSiderealTime(date, longitude) {
+  const daysSinceJ2000 = julianDate(date) - 2451545.0;
+  const centuries = daysSinceJ2000 / 36525;
+  const greenwich =
+    280.46061837 +
+    360.98564736629 * daysSinceJ2000 +
+    0.000387933 * centuries * centuries;
+  return normalizeDegrees(greenwich + longitude);
+}
+
+// ============================================================
+// COORDINATE TRANSFORMS
+// Lines: 112-223
+// ============================================================
+
+/**
+ * Convert equatorial coordinates to horizontal (altitude/azimuth)
+ * @param {number} rightAscension - Right ascension in hours
+ * @param {number} declination - Declination in degrees
+ * @param {{latitude: number, longitude: number, date: Date}} observer - Observer
+ * @returns {{altitude: number, azimuth: number}} Degrees; azimuth from north through east
+ */
+export function equatorialToHorizontal(rightAscension, declination, observer) {
+  const hourAngle = toRadians(
+    localSiderealTime(observer.date, observer.longitude) - rightAscension * 15,
+  );
+  const dec = toRadians(declination);
+  const lat = toRadians(observer.latitude);
+
+  const sinAltitude =
+    Math.sin(dec) * Math.sin(lat) +
+    Math.cos(dec) * Math.cos(lat) * Math.cos(hourAngle);
+  const altitude = Math.asin(Math.max(-1, Math.min(1, sinAltitude)));
+
+  const azimuth = Math.atan2(
+    -Math.cos(dec) * Math.sin(hourAngle),
+    Math.sin(dec) * Math.cos(lat) -
+      Math.cos(dec) * Math.sin(lat) * Math.cos(hourAngle),
+  );
+
+  return {
+    altitude: toDegrees(altitude),
+    azimuth: normalizeDegrees(toDegrees(azimuth)),
+  };
+}
+
+/**
+ * Project horizontal coordinates onto the star canvas
+ *
+ * Azimuthal equidistant projection centred on the horizon point the
+ * viewer faces. The canvas centre sits on the horizon line (see
+ * initializeNightSkySize), so the visible half of the canvas shows the
+ * sky above the horizon: zenith halfway to the top edge, the sky behind
+ * the viewer near the rim. The whole sphere fits in the inscribed disc,
+ * so objects below the horizon still rotate into view with .night-sky.
+ *
+ * @param {number} altitude - Altitude in degrees
+ * @param {number} azimuth - Azimuth in degrees
+ * @param {number} canvasWidth - Canvas width in logical pixels
+ * @param {number} canvasHeight - Canvas height in logical pixels
+ * @param {number} facingAzimuth - Azimuth at the centre of the view (180 = south)
+ * @returns {{x: number, y: number}} Canvas position in logical pixels
+ */
+export function projectHorizontal(
+  altitude,
+  azimuth,
+  canvasWidth,
+  canvasHeight,
+  facingAzimuth,
+) {
+  const alt = toRadians(altitude);
+  const relativeAzimuth = toRadians(azimuth - facingAzimuth);
+
+  // Unit vector in the viewer's frame: forward, right, up
+  const forward = Math.cos(alt) * Math.cos(relativeAzimuth);
+  const right = Math.cos(alt) * Math.sin(relativeAzimuth);
+  const up = Math.sin(alt);
+
+  const distance = Math.acos(Math.max(-1, Math.min(1, forward)));
+  const planar = Math.sqrt(right * right + up * up) || 1;
+  const radius =
+    (Math.min(canvasWidth, canvasHeight) / 2) * (distance / Math.PI);
+
+  return {
+    x: canvasWidth / 2 + (radius * right) / planar,
+    y: canvasHeight / 2 - (radius * up) / planar,
+  };
+}
+
+/**
+ * Project equatorial coordinates straight onto the star canvas
+ * Convenience wrapper for equatorialToHorizontal + projectHorizontal
+ * @param {number} rightAscension - Right ascension in hours
+ * @param {number} declination - Declination in degrees
+ * @param {{latitude: number, longitude: number, date: Date, facingAzimuth: number}} observer - Observer
+ * @param {number} canvasWidth - Canvas width in logical pixels
+ * @param {number} canvasHeight - Canvas height in logical pixels
+ * @returns {{x: number, y: number, altitude: number}} Canvas position plus altitude in degrees
+ */
+export function projectEquatorial(
+  rightAscension,
+  declination,
+  observer,
+  canvasWidth,
+  canvasHeight,
+) {
+  const { altitude, azimuth } = equatorialToHorizontal(
+    rightAscension,
+    declination,
+    observer,
+  );
+  return {
+    ...projectHorizontal(
+      altitude,
+      azimuth,
+      canvasWidth,
+      canvasHeight,
+      observer.facingAzimuth,
+    ),
+    altitude,
+  };
+}
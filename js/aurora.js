@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Aurora module - Procedural aurora curtains on a canvas layer
+ * @module aurora
+ * @exports {AuroraLayer}
+ * @imports {createRandom} from random.js
+ * @imports {createLayerCanvas} from star-renderer.js
+ * @description Draws the aurora as a row of curtains inside the aurora container:
+ *   each curtain is a strip of vertical rays, green along its lower edge and fading
+ *   up into red, whose base folds, whose height swells and whose rays flicker with
+ *   seeded noise that drifts over time. CONFIG.aurora sets colors, band count,
+ *   intensity and speed; its Kp index (0-9, geomagnetic activity) makes curtains
+ *   taller, brighter, faster and redder, with a purple lower fringe in storms.
+ *   The layer is drawn at reduced resolution and softened by CSS. Sky decides when
+ *   it shows (config, isLowEndDevice(), quality tier, daylight) and pauses it with
+ *   the rest of the sky; its frame loop only runs while it is shown and moving.
+ *   Each Sky owns one AuroraLayer.
+ * @performance One low-resolution canvas, one sprite drawn per ray, idle while hidden or paused
+ */
+
+// ============================================================
+// AURORA - Procedural aurora curtains on a canvas layer
+// Purpose: Animated aurora borealis over the horizon
+// Lines: 1-442
+// ============================================================
+
+import { createRandom } from "./random.js";
+import { createLayerCanvas } from "./star-renderer.js";
+
+// ============================================================
+// CONSTANTS
+// Lines: 29-86
+// ============================================================
+
+// Longest step a frame may advance, so a stalled tab doesn't jump the curtains
+const MAX_STEP_SECONDS = 0.1;
+
+// Highest Kp index; activity is measured against it
+const MAX_KP_INDEX = 9;
+
+// Curtain height, brightness and speed at Kp 0, as a share of their Kp 9 values
+const QUIET_HEIGHT = 0.45;
+const QUIET_BRIGHTNESS = 0.35;
+const QUIET_SPEED = 0.5;
+
+// How far curtain bases fold up and down, as a share of the layer height
+const FOLD_DEPTH = 0.06;
+
+// Height of the ray sprite in pixels (it is stretched to each ray)
+const RAY_SPRITE_HEIGHT = 64;
+
+/**
+ * Geomagnetic activity for a Kp index
+ * @param {number} kpIndex - Kp index (0-9)
+ * @returns {number} 0 (quiet) to 1 (severe storm)
+ */
+function getKpActivity(kpIndex) {
+  return Math.min(1, Math.max(0, kpIndex / MAX_KP_INDEX));
+}
+
+/**
+ * Smooth seeded noise along a curtain, drifting over time
+ * A sum of sine waves with seeded phases, directions and slightly
+ * jittered frequencies, so no two curtains repeat the same pattern
+ * @param {function(): number} random - Seeded generator
+ * @param {Array<Array<number>>} waves - [cycles across the layer, cycles per second] per wave
+ * @returns {function(number, number): number} (position 0-1, time in seconds) -> value in -1..1
+ */
+function createNoise(random, waves) {
+  const terms = waves.map(([spatial, temporal]) => ({
+    spatial: spatial * (0.8 + random() * 0.4) * Math.PI * 2,
+    temporal:
+      temporal *
+      (0.8 + random() * 0.4) *
+      Math.PI *
+      2 *
+      (random() < 0.5 ? -1 : 1),
+    phase: random() * Math.PI * 2,
+  }));
+  return (position, time) =>
+    terms.reduce(
+      (sum, term) =>
+        sum +
+        Math.sin(position * term.spatial + time * term.temporal + term.phase),
+      0,
+    ) / terms.length;
+}
+
+// ============================================================
+// AURORA LAYER
+// Lines: 88-150
+// ============================================================
+
+/**
+ * @typedef {Object} AuroraBand
+ * @property {number} center - Horizontal centre as a share of the layer width
+ * @property {number} span - Width as a share of the layer width
+ * @property {number} baseline - Base height above the bottom, as a share of the layer height
+ * @property {number} height - Height relative to the tallest curtain (0-1)
+ * @property {number} strength - Brightness relative to the brightest curtain (0-1)
+ * @property {function(number, number): number} fold - Base displacement noise
+ * @property {function(number, number): number} swell - Height noise
+ * @property {function(number, number): number} rays - Ray brightness noise
+ */
+
+/**
+ * Canvas layer animating the aurora for one sky
+ *
+ * Usage:
+ *   const aurora = new AuroraLayer({ container, config, seed });
+ *   aurora.setActive(true);   // shown: sizes the canvas and starts the loop
+ *   aurora.setVisible(false); // tab hidden or paused
+ */
+export class AuroraLayer {
+  /**
+   * @param {Object} options - Layer options
+   * @param {HTMLElement} options.container - Aurora container the canvas fills
+   * @param {Config} options.config - Configuration for this sky (read live)
+   * @param {string} options.seed - Seed for the curtain shapes
+   * @param {boolean} [options.visible=!document.hidden] - Start with the loop allowed
+   */
+  constructor({ container, config, seed, visible = !document.hidden }) {
+    this.container = container;
+    this.config = config;
+    this.seed = seed;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "aurora-canvas";
+    this.canvas.setAttribute("aria-hidden", "true");
+    container.appendChild(this.canvas);
+    this.ctx = this.canvas.getContext("2d");
+
+    // Logical (CSS pixel) size of the layer
+    this.width = 0;
+    this.height = 0;
+
+    /** @type {Array<AuroraBand>} */
+    this.bands = []; // Built on first draw and whenever seed or bandCount change
+    this.raySprite = null;
+    this.raySpriteKey = "";
+    this.time = 0; // Animation time in seconds, only advanced while running
+
+    this.isActive = false; // Shown by Sky (setActive())
+    this.isVisible = visible; // Tab visible and not paused (setVisible())
+    this.isMotionReduced = false; // One still frame, no loop (setReducedMotion())
+    this.animationFrameId = null;
+    this.lastTime = null;
+
+    // Bound once so requestAnimationFrame can reuse it every frame
+    this.render = this.render.bind(this);
+  }
+
+  // ============================================================
+  // LAYOUT
+  // Lines: 152-233
+  // ============================================================
+
+  /**
+   * Match the canvas to the container and redraw (call on show and resize)
+   * @returns {void}
+   */
+  resize() {
+    if (!this.ctx || !this.isActive) return;
+
+    const rect = this.container.getBoundingClientRect();
+    const { resolution } = this.config.aurora;
+    this.width = rect.width;
+    this.height = rect.height;
+    this.canvas.width = Math.max(1, Math.round(rect.width * resolution));
+    this.canvas.height = Math.max(1, Math.round(rect.height * resolution));
+    // Draw in logical pixels; CSS stretches the canvas back over the container
+    this.ctx.setTransform(resolution, 0, 0, resolution, 0, 0);
+    this.draw();
+  }
+
+  /**
+   * Shape the curtains for the current seed and band count
+   * @returns {void} - Updates this.bands
+   */
+  createBands() {
+    const random = createRandom(this.seed, "aurora");
+    const { bandCount } = this.config.aurora;
+
+    this.bands = Array.from({ length: bandCount }, () => ({
+      center: 0.15 + random() * 0.7,
+      span: 0.6 + random() * 0.6,
+      baseline: 0.02 + random() * 0.12,
+      height: 0.6 + random() * 0.4,
+      strength: 0.6 + random() * 0.4,
+      fold: createNoise(random, [
+        [1.2, 0.03],
+        [2.7, 0.05],
+        [5.3, 0.09],
+      ]),
+      swell: createNoise(random, [
+        [0.8, 0.04],
+        [2.1, 0.07],
+      ]),
+      rays: createNoise(random, [
+        [9, 0.25],
+        [17, 0.45],
+        [31, 0.8],
+      ]),
+    }));
+  }
+
+  /**
+   * Vertical gradient every ray is drawn with, for the current colors and Kp
+   * Red tops grow with activity; a purple lower fringe appears in storms
+   * @param {number} activity - Kp activity (0-1)
+   * @returns {OffscreenCanvas|HTMLCanvasElement}
+   */
+  getRaySprite(activity) {
+    const { color, topColor, fringeColor } = this.config.aurora;
+    const key = `${color}|${topColor}|${fringeColor}|${activity}`;
+    if (this.raySprite && key === this.raySpriteKey) return this.raySprite;
+
+    const red = activity ** 2;
+    const fringe = Math.max(0, (activity - 0.5) / 0.5);
+    const sprite = createLayerCanvas(1, RAY_SPRITE_HEIGHT);
+    const spriteCtx = sprite.getContext("2d");
+    const gradient = spriteCtx.createLinearGradient(0, 0, 0, RAY_SPRITE_HEIGHT);
+    gradient.addColorStop(0, `${topColor}0)`);
+    gradient.addColorStop(0.3, `${topColor}${0.6 * red})`);
+    gradient.addColorStop(0.65, `${color}0.55)`);
+    gradient.addColorStop(0.92, `${color}1)`);
+    gradient.addColorStop(1, `${fringeColor}${fringe})`);
+    spriteCtx.fillStyle = gradient;
+    spriteCtx.fillRect(0, 0, 1, RAY_SPRITE_HEIGHT);
+
+    this.raySprite = sprite;
+    this.raySpriteKey = key;
+    return sprite;
+  }
+
+  // ============================================================
+  // DRAWING
+  // Lines: 235-306
+  // ============================================================
+
+  /**
+   * Draw every curtain at the current animation time
+   * @returns {void}
+   */
+  draw() {
+    const { ctx, width, height } = this;
+    if (!ctx) return;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.isActive || width === 0 || height === 0) return;
+
+    const { kpIndex, bandCount, intensity, opacity, rayWidth } =
+      this.config.aurora;
+    if (this.bands.length !== bandCount) this.createBands();
+
+    const activity = getKpActivity(kpIndex);
+    const sprite = this.getRaySprite(activity);
+    const peak =
+      opacity *
+      intensity *
+      (QUIET_BRIGHTNESS + (1 - QUIET_BRIGHTNESS) * activity);
+    const curtainHeight =
+      height * (QUIET_HEIGHT + (1 - QUIET_HEIGHT) * activity);
+
+    // Overlapping curtains add up like light
+    ctx.globalCompositeOperation = "lighter";
+    this.bands.forEach((band) =>
+      this.drawBand(band, sprite, peak, curtainHeight, rayWidth),
+    );
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Draw one curtain as a row of rays, fading out toward its ends
+   * @param {AuroraBand} band - Curtain to draw
+   * @param {OffscreenCanvas|HTMLCanvasElement} sprite - Ray gradient
+   * @param {number} peak - Opacity of the brightest ray
+   * @param {number} curtainHeight - Height of the tallest curtain in logical pixels
+   * @param {number} rayWidth - Ray width in logical pixels
+   * @returns {void}
+   */
+  drawBand(band, sprite, peak, curtainHeight, rayWidth) {
+    const { ctx, width, height, time } = this;
+
+    for (let x = 0; x < width; x += rayWidth) {
+      const position = (x + rayWidth / 2) / width;
+      const distance = Math.abs(position - band.center) / (band.span / 2);
+      if (distance >= 1) continue;
+
+      const envelope = (1 - distance * distance) ** 2;
+      const rays = 0.5 + 0.5 * band.rays(position, time);
+      const alpha = peak * band.strength * envelope * (0.3 + 0.7 * rays * rays);
+      if (alpha < 0.005) continue;
+
+      const base =
+        height * (1 - band.baseline) +
+        band.fold(position, time) * height * FOLD_DEPTH;
+      const rayHeight =
+        curtainHeight *
+        band.height *
+        (0.75 + 0.25 * band.swell(position, time));
+
+      ctx.globalAlpha = Math.min(1, alpha);
+      // Half a pixel of overlap so neighbouring rays leave no seams
+      ctx.drawImage(sprite, x, base - rayHeight, rayWidth + 0.5, rayHeight);
+    }
+  }
+
+  // ============================================================
+  // ANIMATION LOOP
+  // Lines: 308-371
+  // ============================================================
+
+  /**
+   * Whether the loop should run: shown, tab visible, not paused or held still
+   * @returns {boolean}
+   */
+  isRunning() {
+    return (
+      Boolean(this.ctx) &&
+      this.isActive &&
+      this.isVisible &&
+      !this.isMotionReduced
+    );
+  }
+
+  /**
+   * Request a frame if the loop should run and none is pending
+   * @returns {void}
+   */
+  scheduleFrame() {
+    if (this.animationFrameId === null && this.isRunning()) {
+      this.animationFrameId = requestAnimationFrame(this.render);
+    }
+  }
+
+  /**
+   * Cancel the pending frame; the next one starts timing afresh
+   * @returns {void}
+   */
+  stopLoop() {
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * Advance the animation time and draw (requestAnimationFrame callback)
+   * Activity speeds the drift up: quiet curtains barely move, storms ripple
+   * @param {number} currentTime - Current timestamp from requestAnimationFrame
+   * @returns {void}
+   */
+  render(currentTime) {
+    this.animationFrameId = null;
+    try {
+      const dt =
+        this.lastTime === null
+          ? 0
+          : Math.min((currentTime - this.lastTime) / 1000, MAX_STEP_SECONDS);
+      this.lastTime = currentTime;
+
+      const { speed, kpIndex } = this.config.aurora;
+      const activity = getKpActivity(kpIndex);
+      this.time += dt * speed * (QUIET_SPEED + (1 - QUIET_SPEED) * activity);
+      this.draw();
+    } catch (error) {
+      console.error("Error rendering aurora:", error);
+      // Stop the loop on error to prevent infinite error spam
+      return;
+    }
+    this.scheduleFrame();
+  }
+
+  // ============================================================
+  // PUBLIC CONTROL METHODS
+  // Lines: 373-442
+  // ============================================================
+
+  /**
+   * Show or hide the aurora (Sky: config, low-end device, quality tier, daylight)
+   * Showing sizes the canvas and draws at once, even while paused or still
+   * @param {boolean} active - Whether the aurora should show
+   * @returns {void}
+   */
+  setActive(active) {
+    this.isActive = active;
+    if (!active) {
+      this.stopLoop();
+      this.ctx?.clearRect(0, 0, this.width, this.height);
+      return;
+    }
+    this.resize();
+    this.scheduleFrame();
+  }
+
+  /**
+   * Pause or resume the loop with page visibility and pause()/resume()
+   * The curtains hold their shape while paused
+   * @param {boolean} visible - Is the sky currently running
+   * @returns {void}
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    if (visible) {
+      this.scheduleFrame();
+    } else {
+      this.stopLoop();
+    }
+  }
+
+  /**
+   * Hold the curtains still (one frame, no loop) or let them move
+   * @param {boolean} reduced - Hold the sky still (prefers-reduced-motion or the toggle)
+   * @returns {void}
+   */
+  setReducedMotion(reduced) {
+    this.isMotionReduced = reduced;
+    this.stopLoop();
+    this.draw();
+    this.scheduleFrame();
+  }
+
+  /**
+   * Reshape the curtains for a new seed
+   * @param {string} seed - Seed value
+   * @returns {void}
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.bands = [];
+    this.draw();
+  }
+
+  /**
+   * Stop the loop and remove the canvas
+   * @returns {void}
+   */
+  destroy() {
+    this.stopLoop();
+    this.canvas.remove();
+    this.ctx = null;
+  }
+}
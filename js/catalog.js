@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Star catalogue module - Bundled bright-star data
+ * @module catalog
+ * @exports {BRIGHT_STARS}
+ * @imports None
+ * @description Naked-eye bright stars for real-sky mode (J2000 positions).
+ *   Covers every star brighter than about magnitude 2.5 plus the fainter
+ *   members needed to complete the familiar constellation figures.
+ */
+
+// ============================================================
+// BRIGHT STAR CATALOGUE
+// Purpose: Real star positions, brightness and color
+// Lines: 1-196
+// ============================================================
+
+/**
+ * @typedef {Object} CatalogStar
+ * @property {string} name - Proper name (or Bayer designation)
+ * @property {number} ra - Right ascension in hours (J2000)
+ * @property {number} dec - Declination in degrees (J2000)
+ * @property {number} mag - Apparent visual magnitude (lower = brighter)
+ * @property {number} bv - B-V color index (negative = blue, >1.4 = red)
+ */
+
+/** @type {Array<CatalogStar>} */
+export const BRIGHT_STARS = [
+  // Brightest stars (magnitude < 1.5)
+  { name: "Sirius", ra: 6.7525, dec: -16.7161, mag: -1.46, bv: 0.0 },
+  { name: "Canopus", ra: 6.3992, dec: -52.6957, mag: -0.74, bv: 0.15 },
+  { name: "Rigil Kentaurus", ra: 14.66, dec: -60.8339, mag: -0.27, bv: 0.71 },
+  { name: "Arcturus", ra: 14.261, dec: 19.1825, mag: -0.05, bv: 1.23 },
+  { name: "Vega", ra: 18.6156, dec: 38.7837, mag: 0.03, bv: 0.0 },
+  { name: "Capella", ra: 5.2782, dec: 45.998, mag: 0.08, bv: 0.8 },
+  { name: "Rigel", ra: 5.2423, dec: -8.2016, mag: 0.13, bv: -0.03 },
+  { name: "Procyon", ra: 7.655, dec: 5.225, mag: 0.34, bv: 0.42 },
+  { name: "Achernar", ra: 1.6286, dec: -57.2367, mag: 0.46, bv: -0.16 },
+  { name: "Betelgeuse", ra: 5.9195, dec: 7.4071, mag: 0.5, bv: 1.85 },
+  { name: "Hadar", ra: 14.0637, dec: -60.373, mag: 0.61, bv: -0.23 },
+  { name: "Altair", ra: 19.8464, dec: 8.8683, mag: 0.77, bv: 0.22 },
+  { name: "Acrux", ra: 12.4433, dec: -63.0991, mag: 0.76, bv: -0.24 },
+  { name: "Aldebaran", ra: 4.5987, dec: 16.5093, mag: 0.86, bv: 1.54 },
+  { name: "Antares", ra: 16.4901, dec: -26.432, mag: 0.96, bv: 1.83 },
+  { name: "Spica", ra: 13.4199, dec: -11.1613, mag: 0.97, bv: -0.23 },
+  { name: "Pollux", ra: 7.7553, dec: 28.0262, mag: 1.14, bv: 1.0 },
+  { name: "Fomalhaut", ra: 22.9608, dec: -29.6222, mag: 1.16, bv: 0.09 },
+  { name: "Deneb", ra: 20.6905, dec: 45.2803, mag: 1.25, bv: 0.09 },
+  { name: "Mimosa", ra: 12.7953, dec: -59.6886, mag: 1.25, bv: -0.23 },
+  { name: "Regulus", ra: 10.1395, dec: 11.9672, mag: 1.4, bv: -0.11 },
+
+  // Bright stars (magnitude 1.5 - 2.5)
+  { name: "Adhara", ra: 6.9771, dec: -28.9721, mag: 1.5, bv: -0.21 },
+  { name: "Castor", ra: 7.5767, dec: 31.8883, mag: 1.58, bv: 0.03 },
+  { name: "Shaula", ra: 17.5601, dec: -37.1038, mag: 1.62, bv: -0.22 },
+  { name: "Gacrux", ra: 12.5194, dec: -57.1132, mag: 1.63, bv: 1.59 },
+  { name: "Bellatrix", ra: 5.4189, dec: 6.3497, mag: 1.64, bv: -0.22 },
+  { name: "Elnath", ra: 5.4382, dec: 28.6075, mag: 1.65, bv: -0.13 },
+  { name: "Miaplacidus", ra: 9.22, dec: -69.7172, mag: 1.67, bv: 0.07 },
+  { name: "Alnilam", ra: 5.6036, dec: -1.2019, mag: 1.69, bv: -0.18 },
+  { name: "Alnair", ra: 22.1372, dec: -46.9611, mag: 1.74, bv: -0.13 },
+  { name: "Alnitak", ra: 5.6793, dec: -1.9426, mag: 1.77, bv: -0.21 },
+  { name: "Alioth", ra: 12.9005, dec: 55.9598, mag: 1.77, bv: -0.02 },
+  { name: "Mirfak", ra: 3.4054, dec: 49.8612, mag: 1.79, bv: 0.48 },
+  { name: "Dubhe", ra: 11.0621, dec: 61.751, mag: 1.79, bv: 1.07 },
+  { name: "Wezen", ra: 7.1399, dec: -26.3932, mag: 1.83, bv: 0.67 },
+  { name: "Kaus Australis", ra: 18.4029, dec: -34.3847, mag: 1.85, bv: -0.03 },
+  { name: "Alkaid", ra: 13.7923, dec: 49.3133, mag: 1.86, bv: -0.19 },
+  { name: "Avior", ra: 8.3752, dec: -59.5097, mag: 1.86, bv: 1.28 },
+  { name: "Sargas", ra: 17.6219, dec: -42.9978, mag: 1.86, bv: 0.4 },
+  { name: "Menkalinan", ra: 5.9921, dec: 44.9474, mag: 1.9, bv: 0.08 },
+  { name: "Atria", ra: 16.8111, dec: -69.0277, mag: 1.91, bv: 1.44 },
+  { name: "Alhena", ra: 6.6285, dec: 16.3993, mag: 1.93, bv: 0.0 },
+  { name: "Peacock", ra: 20.4275, dec: -56.735, mag: 1.94, bv: -0.2 },
+  { name: "Polaris", ra: 2.5303, dec: 89.2641, mag: 1.98, bv: 0.6 },
+  { name: "Mirzam", ra: 6.3783, dec: -17.9559, mag: 1.98, bv: -0.24 },
+  { name: "Alphard", ra: 9.4598, dec: -8.6586, mag: 1.98, bv: 1.44 },
+  { name: "Hamal", ra: 2.1196, dec: 23.4624, mag: 2.0, bv: 1.15 },
+  { name: "Algieba", ra: 10.3329, dec: 19.8415, mag: 2.01, bv: 1.13 },
+  { name: "Diphda", ra: 0.7265, dec: -17.9866, mag: 2.04, bv: 1.02 },
+  { name: "Nunki", ra: 18.9211, dec: -26.2967, mag: 2.05, bv: -0.13 },
+  { name: "Menkent", ra: 14.1114, dec: -36.37, mag: 2.06, bv: 1.01 },
+  { name: "Mirach", ra: 1.1622, dec: 35.6206, mag: 2.07, bv: 1.58 },
+  { name: "Alpheratz", ra: 0.1398, dec: 29.0904, mag: 2.07, bv: -0.11 },
+  { name: "Tiaki", ra: 22.7111, dec: -46.8846, mag: 2.07, bv: 1.6 },
+  { name: "Rasalhague", ra: 17.5822, dec: 12.56, mag: 2.08, bv: 0.15 },
+  { name: "Kochab", ra: 14.8451, dec: 74.1555, mag: 2.08, bv: 1.47 },
+  { name: "Saiph", ra: 5.7959, dec: -9.6696, mag: 2.09, bv: -0.17 },
+  { name: "Algol", ra: 3.1361, dec: 40.9556, mag: 2.09, bv: -0.05 },
+  { name: "Almach", ra: 2.065, dec: 42.3297, mag: 2.1, bv: 1.37 },
+  { name: "Denebola", ra: 11.8177, dec: 14.5721, mag: 2.14, bv: 0.09 },
+  { name: "Muhlifain", ra: 12.6919, dec: -48.9599, mag: 2.17, bv: -0.01 },
+  { name: "Aspidiske", ra: 9.2848, dec: -59.2753, mag: 2.21, bv: 0.18 },
+  { name: "Suhail", ra: 9.1333, dec: -43.4326, mag: 2.21, bv: 1.66 },
+  { name: "Alphecca", ra: 15.5781, dec: 26.7147, mag: 2.23, bv: -0.02 },
+  { name: "Mizar", ra: 13.3987, dec: 54.9254, mag: 2.23, bv: 0.02 },
+  { name: "Sadr", ra: 20.3705, dec: 40.2567, mag: 2.23, bv: 0.67 },
+  { name: "Mintaka", ra: 5.5334, dec: -0.2991, mag: 2.23, bv: -0.22 },
+  { name: "Schedar", ra: 0.6751, dec: 56.5373, mag: 2.24, bv: 1.17 },
+  { name: "Eltanin", ra: 17.9434, dec: 51.4889, mag: 2.24, bv: 1.52 },
+  { name: "Caph", ra: 0.153, dec: 59.1498, mag: 2.28, bv: 0.34 },
+  { name: "Dschubba", ra: 16.0056, dec: -22.6217, mag: 2.29, bv: -0.12 },
+  { name: "Larawag", ra: 16.8361, dec: -34.2933, mag: 2.29, bv: 1.15 },
+  { name: "Merak", ra: 11.0307, dec: 56.3824, mag: 2.37, bv: -0.02 },
+  { name: "Izar", ra: 14.7498, dec: 27.0742, mag: 2.37, bv: 0.97 },
+  { name: "Enif", ra: 21.7364, dec: 9.875, mag: 2.39, bv: 1.52 },
+  { name: "Kappa Scorpii", ra: 17.7081, dec: -39.03, mag: 2.39, bv: -0.22 },
+  { name: "Scheat", ra: 23.0629, dec: 28.0828, mag: 2.42, bv: 1.67 },
+  { name: "Phecda", ra: 11.8972, dec: 53.6948, mag: 2.44, bv: 0.0 },
+  { name: "Alderamin", ra: 21.3097, dec: 62.5856, mag: 2.45, bv: 0.22 },
+  { name: "Aludra", ra: 7.4016, dec: -29.3031, mag: 2.45, bv: -0.08 },
+  { name: "Navi", ra: 0.9451, dec: 60.7167, mag: 2.47, bv: -0.15 },
+  { name: "Aljanah", ra: 20.7702, dec: 33.9703, mag: 2.48, bv: 1.03 },
+  { name: "Markab", ra: 23.0794, dec: 15.2053, mag: 2.49, bv: -0.04 },
+
+  // Fainter constellation members (magnitude 2.5 - 5)
+  { name: "Menkar", ra: 3.038, dec: 4.0897, mag: 2.54, bv: 1.64 },
+  { name: "Zosma", ra: 11.2351, dec: 20.5237, mag: 2.56, bv: 0.12 },
+  { name: "Arneb", ra: 5.5455, dec: -17.8222, mag: 2.58, bv: 0.21 },
+  { name: "Gienah", ra: 12.2634, dec: -17.5419, mag: 2.59, bv: -0.11 },
+  { name: "Ascella", ra: 19.0435, dec: -29.8801, mag: 2.6, bv: 0.08 },
+  { name: "Acrab", ra: 16.0906, dec: -19.8054, mag: 2.62, bv: -0.07 },
+  { name: "Theta Aurigae", ra: 5.9954, dec: 37.2126, mag: 2.62, bv: -0.08 },
+  { name: "Unukalhai", ra: 15.7378, dec: 6.4256, mag: 2.63, bv: 1.17 },
+  { name: "Sheratan", ra: 1.9107, dec: 20.808, mag: 2.64, bv: 0.13 },
+  { name: "Muphrid", ra: 13.9114, dec: 18.3977, mag: 2.68, bv: 0.58 },
+  { name: "Ruchbah", ra: 1.4303, dec: 60.2353, mag: 2.68, bv: 0.13 },
+  { name: "Hassaleh", ra: 4.9502, dec: 33.1661, mag: 2.69, bv: 1.53 },
+  { name: "Lesath", ra: 17.5127, dec: -37.2958, mag: 2.7, bv: -0.22 },
+  { name: "Kaus Media", ra: 18.3499, dec: -29.8281, mag: 2.7, bv: 1.38 },
+  { name: "Tarazed", ra: 19.771, dec: 10.6133, mag: 2.72, bv: 1.52 },
+  { name: "Imai", ra: 12.2524, dec: -58.7489, mag: 2.79, bv: -0.23 },
+  { name: "Kaus Borealis", ra: 18.4662, dec: -25.4217, mag: 2.81, bv: 1.04 },
+  { name: "Tau Scorpii", ra: 16.598, dec: -28.216, mag: 2.82, bv: -0.25 },
+  { name: "Algenib", ra: 0.2206, dec: 15.1836, mag: 2.83, bv: -0.23 },
+  { name: "Vindemiatrix", ra: 13.0363, dec: 10.9592, mag: 2.83, bv: 0.94 },
+  { name: "Tejat", ra: 6.3827, dec: 22.5136, mag: 2.87, bv: 1.64 },
+  { name: "Alcyone", ra: 3.7914, dec: 24.105, mag: 2.87, bv: -0.09 },
+  { name: "Fawaris", ra: 19.7496, dec: 45.1308, mag: 2.87, bv: -0.03 },
+  { name: "Cor Caroli", ra: 12.9338, dec: 38.3184, mag: 2.89, bv: -0.12 },
+  { name: "Fang", ra: 15.9809, dec: -26.1141, mag: 2.89, bv: -0.19 },
+  { name: "Alniyat", ra: 16.3531, dec: -25.5928, mag: 2.89, bv: 0.13 },
+  { name: "Alnasl", ra: 18.0968, dec: -30.4241, mag: 2.98, bv: 1.0 },
+  { name: "Mebsuta", ra: 6.7322, dec: 25.1311, mag: 2.98, bv: 1.38 },
+  {
+    name: "Ras Elased Australis",
+    ra: 9.7642,
+    dec: 23.7742,
+    mag: 2.98,
+    bv: 0.81,
+  },
+  { name: "Pherkad", ra: 15.3455, dec: 71.834, mag: 3.0, bv: 0.05 },
+  { name: "Tianguan", ra: 5.6274, dec: 21.1425, mag: 3.0, bv: -0.19 },
+  { name: "Xamidimura", ra: 16.8645, dec: -38.0474, mag: 3.0, bv: -0.21 },
+  { name: "Seginus", ra: 14.5347, dec: 38.3083, mag: 3.03, bv: 0.19 },
+  { name: "Albireo", ra: 19.512, dec: 27.9597, mag: 3.05, bv: 1.13 },
+  { name: "Phi Sagittarii", ra: 18.7609, dec: -26.9908, mag: 3.17, bv: -0.11 },
+  { name: "Sulafat", ra: 18.9824, dec: 32.6896, mag: 3.25, bv: -0.05 },
+  { name: "Delta Andromedae", ra: 0.6555, dec: 30.861, mag: 3.27, bv: 1.28 },
+  { name: "Megrez", ra: 12.2571, dec: 57.0326, mag: 3.31, bv: 0.08 },
+  { name: "Tau Sagittarii", ra: 19.1157, dec: -27.6704, mag: 3.32, bv: 1.19 },
+  { name: "Eta Scorpii", ra: 17.2025, dec: -43.2392, mag: 3.32, bv: 0.41 },
+  { name: "Chertan", ra: 11.2373, dec: 15.4296, mag: 3.33, bv: 0.0 },
+  { name: "Meissa", ra: 5.5856, dec: 9.9342, mag: 3.33, bv: -0.16 },
+  { name: "Segin", ra: 1.9066, dec: 63.67, mag: 3.38, bv: -0.15 },
+  { name: "Homam", ra: 22.691, dec: 10.8314, mag: 3.4, bv: -0.09 },
+  { name: "Adhafera", ra: 10.2782, dec: 23.4173, mag: 3.44, bv: 0.31 },
+  { name: "Delta Bootis", ra: 15.2584, dec: 33.3148, mag: 3.47, bv: 0.95 },
+  { name: "Al Jabhah", ra: 10.1222, dec: 16.7625, mag: 3.48, bv: -0.03 },
+  { name: "Nekkar", ra: 15.0324, dec: 40.3906, mag: 3.5, bv: 0.97 },
+  { name: "Sheliak", ra: 18.8347, dec: 33.3627, mag: 3.52, bv: 0.0 },
+  { name: "Wasat", ra: 7.3354, dec: 21.9823, mag: 3.53, bv: 0.34 },
+  { name: "Ain", ra: 4.4769, dec: 19.1803, mag: 3.53, bv: 1.01 },
+  { name: "Rho Bootis", ra: 14.5305, dec: 30.3714, mag: 3.58, bv: 1.3 },
+  { name: "Zeta Scorpii", ra: 16.9097, dec: -42.3613, mag: 3.62, bv: 1.37 },
+  { name: "Prima Hyadum", ra: 4.3299, dec: 15.6275, mag: 3.65, bv: 0.99 },
+  { name: "Alshain", ra: 19.9219, dec: 6.4068, mag: 3.71, bv: 0.86 },
+  { name: "Rasalas", ra: 9.8794, dec: 26.007, mag: 3.88, bv: 1.22 },
+  {
+    name: "Epsilon Ursae Minoris",
+    ra: 16.7661,
+    dec: 82.0373,
+    mag: 4.21,
+    bv: 0.89,
+  },
+  { name: "Delta Lyrae", ra: 18.9084, dec: 36.8986, mag: 4.3, bv: 1.68 },
+  {
+    name: "Zeta Ursae Minoris",
+    ra: 15.7343,
+    dec: 77.7945,
+    mag: 4.32,
+    bv: 0.04,
+  },
+  { name: "Yildun", ra: 17.5369, dec: 86.5864, mag: 4.35, bv: 0.02 },
+  { name: "Zeta Lyrae", ra: 18.7461, dec: 37.605, mag: 4.36, bv: 0.19 },
+  { name: "Eta Ursae Minoris", ra: 16.2918, dec: 75.7553, mag: 4.95, bv: 0.37 },
+];
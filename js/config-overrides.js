@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Config overrides module - URL and data-attribute tuning
+ * @module config-overrides
+ * @exports {readConfigOverrides}
+ * @imports {getFieldSchema, isField, checkValue, parseOverrideValue} from schema.js
+ * @description Lets a deploy be tuned without editing config.js.
+ *   Any URL parameter or data-* attribute whose name contains a dot is a CONFIG path:
+ *     ?stars.countDesktop=2000&aurora.enabled=true
+ *     <div class="hero" data-stars.count-desktop="2000" data-aurora.enabled>
+ *   (dataset turns "count-desktop" into "countDesktop").
+ *   Values are parsed and range-checked against schema.js; bad values and
+ *   unknown keys are skipped with a console warning.
+ */
+
+// ============================================================
+// CONFIG OVERRIDES - URL and data-attribute tuning
+// Purpose: Partial config from the page URL and the mount element
+// Lines: 1-112
+// ============================================================
+
+import {
+  getFieldSchema,
+  isField,
+  checkValue,
+  parseOverrideValue,
+} from "./schema.js";
+
+// ============================================================
+// HELPERS
+// Lines: 28-80
+// ============================================================
+
+/**
+ * Set a value at a dotted path, creating intermediate objects
+ * @param {Object} target - Object to write into
+ * @param {string} path - Dotted path (e.g. "meteors.startYMin.whenXInBounds")
+ * @param {*} value - Value to set
+ * @returns {void}
+ */
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), target);
+  parent[last] = value;
+}
+
+/**
+ * Parse, validate and collect overrides from one source
+ * @param {Array<[string, string]>} entries - Raw [path, value] pairs
+ * @param {string} source - Source name for warnings ("URL", "data attribute")
+ * @param {Object} overrides - Partial config to add to
+ * @returns {void}
+ */
+function collectOverrides(entries, source, overrides) {
+  entries.forEach(([path, raw]) => {
+    const field = getFieldSchema(path);
+    if (!field) {
+      console.warn(`Ignoring unknown config key "${path}" from ${source}`);
+      return;
+    }
+    if (!isField(field)) {
+      console.warn(
+        `Ignoring config section "${path}" from ${source} - set one of its fields instead`,
+      );
+      return;
+    }
+
+    try {
+      const value = parseOverrideValue(field, raw);
+      const problems = checkValue(field, value, path);
+      if (problems.length > 0) {
+        console.warn(`Ignoring ${source} override: ${problems.join("; ")}`);
+        return;
+      }
+      setPath(overrides, path, value);
+    } catch (error) {
+      console.warn(`Ignoring ${source} override ${path}: ${error.message}`);
+    }
+  });
+}
+
+// ============================================================
+// PUBLIC API
+// Lines: 82-112
+// ============================================================
+
+/**
+ * Read config overrides for a mount element
+ *
+ * Priority: CONFIG < data-* attributes on the element < URL parameters.
+ * Names without a dot (?seed=, data-component) are left to other features.
+ *
+ * @param {HTMLElement} element - Element whose data-* attributes are read (the .hero)
+ * @returns {Object} Partial config to pass as mountSky(element, { config })
+ */
+export function readConfigOverrides(element) {
+  const isConfigPath = ([name]) => name.includes(".");
+  const overrides = {};
+
+  collectOverrides(
+    Object.entries(element.dataset).filter(isConfigPath),
+    "data attribute",
+    overrides,
+  );
+  collectOverrides(
+    [...new URLSearchParams(window.location.search)].filter(isConfigPath),
+    "URL",
+    overrides,
+  );
+
+  return overrides;
+}
@@ -10,7 +10,7 @@
 // ============================================================
 // CONFIGURATION - All tweakable constants
 // Purpose: Centralized configuration for easy tuning
-// Lines: 1-296
+// Lines: 1-824
 // ============================================================
 
 /**
@@ -32,6 +32,7 @@
  * @property {number} binaryPercentage - Percentage of stars with binary companions
  * @property {number} binarySeparationMin - Minimum pixel distance for binary pairs
  * @property {number} binarySeparationMax - Maximum pixel distance for binary pairs
+ * @property {string} renderMode - "baked" (static layer + twinkle sprites) or "direct" (redraw every star each frame)
  */
 
 /**
@@ -39,6 +40,7 @@
  * @property {string} type - Star classification (O-B, A, F-G, K, M)
  * @property {string} color - RGBA color string (incomplete, opacity added at render)
  * @property {number} percentage - Distribution percentage (0-1)
+ * @property {number} colorIndexMax - Upper B-V color index bound (real-sky mode)
  */
 
 /**
@@ -51,6 +53,7 @@
 
 /**
  * @typedef {Object} MeteorConfig
+ * @property {boolean} enabled - Automatic meteors and showers (manual triggerShower() still works)
  * @property {number} startXMin - Minimum start X position as percentage
  * @property {number} startXMax - Maximum start X position as percentage
  * @property {Object} startYMin - Start Y positions based on X bounds
@@ -73,17 +76,125 @@
  * @property {number} initialShowerDelayMax - Max delay before first shower
  * @property {number} showerCleanupDelayPerMeteor - Grace period per meteor
  * @property {number} showerCleanupDelayBase - Base cleanup delay
+ * @property {string} renderer - "dom" (CSS keyframes) or "canvas" (see meteorCanvas)
+ * @property {MeteorRadiantConfig} radiant - Shared radiant for every meteor
+ */
+
+/**
+ * @typedef {Object} MeteorRadiantConfig
+ * @property {boolean} enabled - Meteors leave from the radiant instead of the top-right band (ignored while showerCalendar is enabled)
+ * @property {number} x - Radiant X as a fraction of the rotating night sky (0.5 = horizon centre)
+ * @property {number} y - Radiant Y as a fraction of the rotating night sky (0.5 = horizon)
+ * @property {number} shortenWithin - Meteors closer than this fraction of the hero diagonal are foreshortened
+ * @property {number} minLength - Trail length at the radiant, as a fraction of a full meteor
+ */
+
+/**
+ * @typedef {Object} MeteorCanvasConfig
+ * @property {number} speedMin - Minimum entry speed in px/s
+ * @property {number} speedMax - Maximum entry speed in px/s
+ * @property {number} drag - Fraction of speed lost per second (atmospheric drag)
+ * @property {number} brightnessMin - Minimum peak brightness (0-1)
+ * @property {number} brightnessMax - Maximum peak brightness (0-1)
+ * @property {number} showerAngleSpread - Degrees shower meteors scatter around the shower angle
+ * @property {number} headRadius - Head glow radius in CSS pixels
+ * @property {number} tailSeconds - Tail length as seconds of travel at the current speed
+ * @property {number} tailWidth - Tail width at the head in CSS pixels
+ * @property {string} headColor - Incomplete RGBA head color
+ * @property {string} tailColor - Incomplete RGBA tail color
+ */
+
+/**
+ * @typedef {Object} ShowerCalendarConfig
+ * @property {boolean} enabled - Real annual showers and sporadic rates replace the generic random showers
+ * @property {string|null} date - ISO date to preview the calendar (null = observer.date, else now)
+ * @property {number} sporadicHourlyRate - Background meteors per hour outside showers
+ * @property {number} minZhr - Showers below this hourly rate count as inactive
+ * @property {number} timeScale - Sky hours shown per real hour, so hourly rates are watchable
+ */
+
+/**
+ * @typedef {Object} FireballConfig
+ * @property {number} probability - Chance each meteor is a fireball (0-1, 0 = never)
+ * @property {number} headScale - Head size relative to a normal meteor
+ * @property {string} tint - Incomplete RGBA color of the head glow, tail, sparks and train
+ * @property {number} fragmentAt - Fraction of the flight at which it breaks into sparks (0-1)
+ * @property {number} sparkCountMin - Minimum sparks on fragmenting
+ * @property {number} sparkCountMax - Maximum sparks on fragmenting
+ * @property {number} sparkLifeMin - Minimum spark lifetime in seconds
+ * @property {number} sparkLifeMax - Maximum spark lifetime in seconds
+ * @property {number} sparkSpread - Degrees sparks fan out either side of the heading
+ * @property {number} trainSeconds - Seconds the train lingers after the fireball ends
+ * @property {number} trainOpacity - Peak train opacity (0-1)
+ * @property {number} flashOpacity - Peak opacity of the sky brightening (0-1, 0 = off)
+ * @property {number} flashMs - Sky brightening duration in milliseconds
+ */
+
+/**
+ * @typedef {Object} InteractionConfig
+ * @property {boolean} enabled - Click/tap, long press and Enter launch meteors
+ * @property {number} cooldownMs - Minimum time between launches in milliseconds
+ * @property {number} maxMeteors - No launches while this many meteors are in flight
+ * @property {number} approachDistance - Pixels a launched meteor travels before reaching the pointer
+ * @property {number} longPressMs - Press length that starts a shower instead of one meteor
+ * @property {number} moveTolerance - Pixels a press may move and still count as a tap
+ * @property {number} showerCount - Meteors in a long-press (or Shift+Enter) shower
+ * @property {string} label - Accessible name given to the sky when it has none
+ */
+
+/**
+ * @typedef {Object} ParallaxConfig
+ * @property {boolean} enabled - Stars shift in depth layers with pointer and device tilt
+ * @property {number} layers - Depth layers stars are split into (1 = flat sky)
+ * @property {number} farShare - Fraction of the size range kept in the far, still layer
+ * @property {number} maxOffset - Shift of the nearest layer in CSS pixels at full pointer travel
+ * @property {number} smoothingMs - Time constant stars ease toward the pointer with
+ * @property {number} maxTilt - Device tilt in degrees that gives full travel
  */
 
 /**
  * @typedef {Object} AuroraConfig
  * @property {boolean} enabled - Aurora feature flag
  * @property {number} lowEndCpuCores - CPU cores threshold for disabling aurora
+ * @property {number} kpIndex - Geomagnetic activity (0-9): taller, brighter, faster, redder curtains
+ * @property {number} bandCount - Number of curtains
+ * @property {number} intensity - Brightness multiplier
+ * @property {number} speed - Drift speed multiplier
+ * @property {number} opacity - Opacity of the brightest ray at Kp 9 and intensity 1
+ * @property {string} color - RGBA color string for the curtain body (incomplete, opacity added at render)
+ * @property {string} topColor - RGBA color string for the curtain tops (incomplete)
+ * @property {string} fringeColor - RGBA color string for the lower fringe in storms (incomplete)
+ * @property {number} rayWidth - Width of each vertical ray in pixels
+ * @property {number} resolution - Canvas size relative to the container (lower = softer, cheaper)
  */
 
 /**
  * @typedef {Object} PerformanceConfig
  * @property {number} resizeDebounceMs - Debounce delay for resize events
+ * @property {number} frameSampleCount - Frames averaged by sky.getFrameStats()
+ */
+
+/**
+ * @typedef {Object} QualityTier
+ * @property {string} name - Tier name reported to onQualityChange() listeners
+ * @property {number} starScale - Multiplier for the random star count (0-1)
+ * @property {number} maxPixelRatio - Cap on the canvas device pixel ratio
+ * @property {number} maxMeteorStreams - Cap on meteors.singleMeteorStreamCount
+ * @property {boolean} aurora - Allow the aurora (still subject to aurora.enabled and low-end detection)
+ */
+
+/**
+ * @typedef {Object} QualityConfig
+ * @property {boolean} enabled - Adjust quality at runtime from the measured frame rate
+ * @property {number} checkIntervalMs - How often frame stats are checked
+ * @property {number} minFrames - Frames needed in the window before a check counts
+ * @property {number} downgradeFps - Step down below this frame rate...
+ * @property {number} downgradeMinWorkMs - ...if average frame work is at least this (capped displays stay put)
+ * @property {number} upgradeFps - Step up at or above this frame rate...
+ * @property {number} upgradeMaxWorkMs - ...if average frame work is at most this
+ * @property {number} downgradeChecks - Consecutive slow checks before stepping down
+ * @property {number} upgradeChecks - Consecutive fast checks before stepping up
+ * @property {Array<QualityTier>} tiers - Best first; the sky starts on tiers[0]
  */
 
 /**
@@ -95,7 +206,109 @@
 /**
  * @typedef {Object} CanvasConfig
  * @property {boolean} devicePixelRatioEnabled - Use device pixel ratio for retina
- * @property {string} contextType - Canvas context type
+ * @property {"2d"|"webgl"|"webgl2"} contextType - Star renderer backend ("webgl"/"webgl2" fall back to "2d" when unavailable)
+ * @property {boolean} offscreenWorker - Render stars in a Web Worker via OffscreenCanvas (falls back to the main thread)
+ */
+
+/**
+ * @typedef {Object} RandomConfig
+ * @property {string|number|null} seed - Fixed seed for reproducible skies (null = random per load, ?seed= overrides)
+ */
+
+/**
+ * @typedef {Object} ObserverConfig
+ * @property {number} latitude - Observer latitude in degrees (north positive)
+ * @property {number|null} longitude - Observer longitude in degrees (east positive, null = estimate from timezone)
+ * @property {string|null} date - ISO date string to preview a fixed moment (null = now)
+ * @property {number} facingAzimuth - Compass direction at the centre of the view in degrees (180 = south)
+ */
+
+/**
+ * @typedef {Object} TimeOfDayConfig
+ * @property {boolean} enabled - Follow the real sun: twilight background, star fading, no meteors by day
+ * @property {number} updateMs - How often a live clock re-reads the sun in milliseconds
+ * @property {number} daylightAltitude - Sun altitude in degrees above which meteors and aurora are hidden
+ * @property {number} fadeMagnitudes - Magnitudes over which a star fades in as the sky darkens
+ */
+
+/**
+ * @typedef {Object} EphemerisConfig
+ * @property {boolean} enabled - Place CONFIG.planets at their real sky positions
+ * @property {number} brightestMagnitude - Magnitude drawn at full opacity
+ * @property {number} faintestMagnitude - Magnitude drawn at minOpacity
+ * @property {number} minOpacity - Opacity for the faintest planets (0-1)
+ */
+
+/**
+ * @typedef {Object} MoonConfig
+ * @property {boolean} enabled - Draw the Moon in its real phase and position (2D renderers)
+ * @property {string|null} date - ISO date to preview the Moon (null = observer.date, else now)
+ * @property {number} size - Disc diameter in pixels
+ * @property {string} color - RGBA color string (incomplete, opacity added at render)
+ * @property {number} earthshineOpacity - Opacity of the unlit part of the disc
+ * @property {number} haloScale - Halo radius at full Moon, in disc radii
+ * @property {number} haloOpacity - Halo opacity at the disc edge at full Moon
+ * @property {number} dimRadius - Pixels around the Moon where its glow hides faint stars
+ * @property {number} dimMagnitude - Faintest star that shows right next to a full Moon
+ */
+
+/**
+ * @typedef {Object} MilkyWayConfig
+ * @property {boolean} enabled - Draw the procedural Milky Way band (2D renderers)
+ * @property {number} poleRa - Right ascension of the band's pole in hours
+ * @property {number} poleDec - Declination of the band's pole in degrees
+ * @property {number} coreRa - Right ascension of the band's brightest point in hours
+ * @property {number} coreDec - Declination of the band's brightest point in degrees
+ * @property {number} width - Band width in degrees
+ * @property {number} opacity - Peak opacity of the glow away from the core
+ * @property {string} color - RGBA color string for the glow (incomplete, opacity added at render)
+ * @property {string} coreColor - RGBA color string for the core (incomplete)
+ * @property {number} dustOpacity - How much of the glow the dust lanes block (0-1)
+ * @property {number} starShare - Share of random stars placed along the band (0-1)
+ * @property {number} resolution - Band image size relative to the canvas (lower = softer, cheaper)
+ * @property {number} visibleMagnitude - Limiting magnitude the band needs to show (twilight)
+ */
+
+/**
+ * @typedef {Object} RealSkyConfig
+ * @property {boolean} enabled - Render the bundled star catalogue instead of random stars
+ * @property {number} magnitudeLimit - Faintest catalogue magnitude to draw
+ * @property {number} brightestMagnitude - Magnitude drawn at maximum size and opacity
+ */
+
+/**
+ * @typedef {Object} ConstellationConfig
+ * @property {boolean} enabled - Draw constellation lines (requires realSky.enabled)
+ * @property {string} lineColor - RGBA color string (incomplete, opacity added at render)
+ * @property {number} lineOpacity - Line opacity (0-1)
+ * @property {number} lineWidth - Line width in pixels
+ * @property {string} labelColor - RGBA color string (incomplete, opacity added at render)
+ * @property {string} labelFont - Canvas font for constellation names
+ * @property {number} hoverRadius - Pointer distance from a line that selects it (pixels)
+ * @property {number} labelFadeMs - Label fade in/out duration in milliseconds
+ * @property {number} tapHoldMs - How long a tapped label stays visible in milliseconds
+ */
+
+/**
+ * @typedef {Object} ApiConfig
+ * @property {boolean} exposeGlobal - Also publish the controller as window.StardewSky
+ */
+
+/**
+ * @typedef {Object} MotionConfig
+ * @property {"auto"|"always"|"never"} reduceMotion - "auto" follows the on-page toggle, then prefers-reduced-motion
+ * @property {string} storageKey - localStorage key for the on-page toggle
+ */
+
+/**
+ * @typedef {Object} ValidationConfig
+ * @property {boolean} enabled - Check the config at startup and log every problem
+ * @property {boolean} strict - Refuse to mount the hero sky when problems are found
+ */
+
+/**
+ * @typedef {Object} DebugConfig
+ * @property {number} applyDelayMs - Wait after the last panel edit before regenerating the sky
  */
 
 /**
@@ -103,17 +316,35 @@
  * @property {StarConfig} stars - Star system configuration
  * @property {Array<PlanetConfig>} planets - Planet configuration
  * @property {MeteorConfig} meteors - Meteor system configuration
+ * @property {MeteorCanvasConfig} meteorCanvas - Canvas meteor renderer
+ * @property {ShowerCalendarConfig} showerCalendar - Annual meteor shower calendar
+ * @property {FireballConfig} fireballs - Rare bright meteors
+ * @property {InteractionConfig} interaction - Click, tap and keyboard meteors
+ * @property {ParallaxConfig} parallax - Star depth layers following pointer and tilt
  * @property {AuroraConfig} aurora - Aurora effect configuration
  * @property {PerformanceConfig} performance - Performance tuning
+ * @property {QualityConfig} quality - Adaptive quality governor
  * @property {NightSkyConfig} nightSky - Night sky container configuration
  * @property {CanvasConfig} canvas - Canvas rendering configuration
+ * @property {RandomConfig} random - Seeded random number configuration
+ * @property {ObserverConfig} observer - Observer location and time
+ * @property {TimeOfDayConfig} timeOfDay - Day/night cycle from the sun's altitude
+ * @property {RealSkyConfig} realSky - Real star catalogue rendering
+ * @property {EphemerisConfig} ephemeris - Real planet positions and brightness
+ * @property {MoonConfig} moon - Moon phase, position and glow
+ * @property {MilkyWayConfig} milkyWay - Procedural galactic band
+ * @property {ConstellationConfig} constellations - Constellation line overlay
+ * @property {ApiConfig} api - Public controller configuration
+ * @property {MotionConfig} motion - Reduced-motion handling
+ * @property {ValidationConfig} validation - Startup config checks
+ * @property {DebugConfig} debug - ?debug tuning panel
  */
 
 /** @type {Config} */
 export const CONFIG = {
   // ============================================================
   // STAR SYSTEM CONFIGURATION
-  // Lines: 118-175
+  // Lines: 345-414
   // ============================================================
   stars: {
     // Star count based on device capabilities
@@ -139,31 +370,37 @@ export const CONFIG = {
 
     // Spectral classes follow real star distribution (OBAFGKM)
     // Color strings intentionally incomplete - opacity added in renderStars()
+    // colorIndexMax maps catalogue B-V color index onto a class (real-sky mode)
     spectralClasses: [
       {
         type: "O-B", // Hot blue-white stars (rare)
         color: "rgba(155, 176, 255,",
         percentage: 0.05,
+        colorIndexMax: 0.0,
       },
       {
         type: "A", // White stars
         color: "rgba(202, 215, 255,",
         percentage: 0.15,
+        colorIndexMax: 0.3,
       },
       {
         type: "F-G", // Yellow-white stars (like our Sun)
         color: "rgba(248, 247, 255,",
         percentage: 0.3,
+        colorIndexMax: 0.81,
       },
       {
         type: "K", // Orange stars
         color: "rgba(255, 210, 161,",
         percentage: 0.3,
+        colorIndexMax: 1.4,
       },
       {
         type: "M", // Red dwarfs (most common in reality)
         color: "rgba(255, 204, 111,",
         percentage: 0.2,
+        colorIndexMax: 2.5,
       },
     ],
 
@@ -171,11 +408,14 @@ export const CONFIG = {
     binaryPercentage: 0.025, // 2.5% of stars have binary companions
     binarySeparationMin: 2, // Pixels between binary pair
     binarySeparationMax: 8,
+
+    // Renderer: "baked" draws static stars/planets once, "direct" redraws all
+    renderMode: "baked",
   },
 
   // ============================================================
   // PLANET CONFIGURATION
-  // Lines: 176-213
+  // Lines: 416-453
   // ============================================================
   // Planets are rendered as bright, non-twinkling points
   // Names are for reference only (not displayed to user)
@@ -214,9 +454,11 @@ export const CONFIG = {
 
   // ============================================================
   // METEOR SYSTEM CONFIGURATION
-  // Lines: 214-260
+  // Lines: 455-514
   // ============================================================
   meteors: {
+    enabled: true, // Automatic single meteors and showers
+
     // Start positions in percentage (can be outside viewport)
     startXMin: 90, // Right edge
     startXMax: 120, // Beyond right edge
@@ -257,28 +499,175 @@ export const CONFIG = {
     initialShowerDelayMax: 4000,
     showerCleanupDelayPerMeteor: 250, // Grace period before next shower (ms)
     showerCleanupDelayBase: 2000,
+
+    // "dom" = one element + CSS keyframes per meteor, "canvas" = one shared canvas layer
+    renderer: "dom",
+
+    // Radiant on the night sky that meteors diverge from (drifts as the sky rotates)
+    radiant: {
+      enabled: false,
+      x: 0.8, // Just beyond the top-right corner of a landscape hero at rotation 0
+      y: 0.1,
+      shortenWithin: 0.5, // Fraction of the hero diagonal
+      minLength: 0.25,
+    },
+  },
+
+  // ============================================================
+  // CANVAS METEOR CONFIGURATION
+  // Lines: 516-532
+  // ============================================================
+  meteorCanvas: {
+    speedMin: 260, // Entry speed (px/s) - the DOM renderer averages ~300
+    speedMax: 420,
+    drag: 0.15, // Speed lost per second, so meteors slow as they burn up
+    brightnessMin: 0.45, // Peak brightness per meteor (0-1)
+    brightnessMax: 1,
+    showerAngleSpread: 6, // Degrees around the shower angle
+    headRadius: 2,
+    tailSeconds: 0.25, // Faster meteors draw longer tails
+    tailWidth: 1.5,
+    headColor: "rgba(255, 255, 255,",
+    tailColor: "rgba(255, 220, 180,", // Warm, like the DOM tail gradient
+  },
+
+  // ============================================================
+  // SHOWER CALENDAR CONFIGURATION
+  // Lines: 534-544
+  // ============================================================
+  showerCalendar: {
+    enabled: false, // Perseids, Geminids... on their dates instead of random showers
+    date: null, // ISO date to preview, e.g. "2025-08-12" (null = observer.date, else now)
+    sporadicHourlyRate: 8, // Typical background rate under a dark sky
+    minZhr: 2, // Ignore showers in their faint tails
+    timeScale: 90, // 8 meteors/hour -> one every 5s; a 100 ZHR peak -> ~2.5/s
+  },
+
+  // ============================================================
+  // FIREBALL CONFIGURATION
+  // Lines: 546-564
+  // ============================================================
+  fireballs: {
+    probability: 0.02, // About one meteor in fifty
+    headScale: 3,
+    tint: "rgba(150, 255, 190,", // Green, from glowing oxygen and nickel
+    fragmentAt: 0.7, // Breaks up late, where the air is densest
+    sparkCountMin: 6,
+    sparkCountMax: 12,
+    sparkLifeMin: 0.4, // Seconds
+    sparkLifeMax: 1.2,
+    sparkSpread: 25, // Degrees either side of the heading
+    trainSeconds: 4, // Persistent train left glowing along the path
+    trainOpacity: 0.35,
+    flashOpacity: 0.12, // Brief brightening of the whole sky
+    flashMs: 600,
+  },
+
+  // ============================================================
+  // INTERACTION CONFIGURATION
+  // Lines: 566-579
+  // ============================================================
+  interaction: {
+    enabled: true, // Click or tap the sky to make a wish
+    cooldownMs: 250, // Rate limit so clicking can't flood the page
+    maxMeteors: 20,
+    approachDistance: 120, // Meteor appears this far before the pointer (px)
+    longPressMs: 500, // Hold to start a small shower
+    moveTolerance: 10, // Drags and scrolls don't launch meteors
+    showerCount: 4,
+    label: "Night sky - click or press Enter to make a wish",
+  },
+
+  // ============================================================
+  // PARALLAX CONFIGURATION
+  // Lines: 581-592
+  // ============================================================
+  parallax: {
+    enabled: true, // Near stars drift with the pointer or device tilt
+    layers: 3, // Small stars far, large stars near
+    farShare: 0.6, // Most stars stay in the far layer, baked once
+    maxOffset: 14,
+    smoothingMs: 300,
+    maxTilt: 20,
   },
 
   // ============================================================
   // AURORA CONFIGURATION
-  // Lines: 261-270
+  // Lines: 594-611
   // ============================================================
   aurora: {
-    enabled: false, // Disabled by default - CSS renderer ready to enable
+    enabled: false, // Disabled by default - canvas curtains ready to enable
     lowEndCpuCores: 4, // Hide aurora on devices with fewer CPU cores
+    kpIndex: 4, // 0 = quiet green glow, 5+ = storm, 9 = extreme
+    bandCount: 3,
+    intensity: 1,
+    speed: 1,
+    opacity: 0.4,
+    color: "rgba(90, 255, 170,", // Green oxygen glow
+    topColor: "rgba(255, 70, 110,", // Red high-altitude oxygen, grows with Kp
+    fringeColor: "rgba(170, 100, 255,", // Purple nitrogen edge, only in storms
+    rayWidth: 6,
+    resolution: 0.5, // Half-size canvas, softened by CSS blur
   },
 
   // ============================================================
   // PERFORMANCE CONFIGURATION
-  // Lines: 271-278
+  // Lines: 613-620
   // ============================================================
   performance: {
     resizeDebounceMs: 250, // Debounce delay for resize events
+    frameSampleCount: 120, // Rolling window for frame-time stats (~2s at 60fps)
+  },
+
+  // ============================================================
+  // ADAPTIVE QUALITY CONFIGURATION
+  // Lines: 622-666
+  // ============================================================
+  quality: {
+    enabled: true, // Step quality down on dropped frames, back up with headroom
+    checkIntervalMs: 2000,
+    minFrames: 60, // Ignore checks right after a tier change or resume
+    downgradeFps: 45,
+    downgradeMinWorkMs: 8, // A 30Hz or throttled display reads ~30fps with idle frames
+    upgradeFps: 56, // Gap to downgradeFps is the hysteresis band
+    upgradeMaxWorkMs: 6, // Only step up when frames leave time to spare
+    downgradeChecks: 2, // Step down quickly...
+    upgradeChecks: 5, // ...and back up cautiously
+    tiers: [
+      {
+        name: "high",
+        starScale: 1,
+        maxPixelRatio: 3,
+        maxMeteorStreams: 10,
+        aurora: true,
+      },
+      {
+        name: "medium",
+        starScale: 0.7,
+        maxPixelRatio: 2,
+        maxMeteorStreams: 2,
+        aurora: false,
+      },
+      {
+        name: "low",
+        starScale: 0.45,
+        maxPixelRatio: 1.5,
+        maxMeteorStreams: 1,
+        aurora: false,
+      },
+      {
+        name: "minimal",
+        starScale: 0.25,
+        maxPixelRatio: 1,
+        maxMeteorStreams: 1,
+        aurora: false,
+      },
+    ],
   },
 
   // ============================================================
   // NIGHT SKY CONTAINER CONFIGURATION
-  // Lines: 279-287
+  // Lines: 668-675
   // ============================================================
   nightSky: {
     diagonalMultiplier: 2.2, // Multiplier for container size (covers rotation)
@@ -287,10 +676,149 @@ export const CONFIG = {
 
   // ============================================================
   // CANVAS RENDERING CONFIGURATION
-  // Lines: 288-296
+  // Lines: 677-685
   // ============================================================
   canvas: {
     devicePixelRatioEnabled: true, // Use device pixel ratio for retina displays
-    contextType: "2d", // Canvas context type
+    contextType: "2d", // "2d", or "webgl"/"webgl2" for 10k+ stars (falls back to 2d)
+    offscreenWorker: false, // Move star rendering to a worker where supported
+  },
+
+  // ============================================================
+  // SEEDED RANDOM CONFIGURATION
+  // Lines: 687-693
+  // ============================================================
+  random: {
+    seed: null, // Same seed = same sky, planets and meteor schedule (?seed= overrides)
+  },
+
+  // ============================================================
+  // OBSERVER CONFIGURATION
+  // Lines: 695-704
+  // ============================================================
+  observer: {
+    latitude: 40, // Degrees north (mid-northern latitudes)
+    longitude: null, // Degrees east (null = estimate from browser timezone)
+    date: null, // ISO date string to preview a fixed moment (null = now)
+    facingAzimuth: 180, // Compass direction at the centre of the view (180 = south)
+  },
+
+  // ============================================================
+  // TIME OF DAY CONFIGURATION
+  // Lines: 706-715
+  // ============================================================
+  timeOfDay: {
+    enabled: false, // Sun position for CONFIG.observer (?time=21:30 previews a moment)
+    updateMs: 60000,
+    daylightAltitude: -6, // Civil twilight is too bright for meteors and aurora
+    fadeMagnitudes: 1, // Stars fade in over this range as the sky darkens
+  },
+
+  // ============================================================
+  // REAL SKY CONFIGURATION
+  // Lines: 717-725
+  // ============================================================
+  realSky: {
+    enabled: false, // Draw the real sky above the observer instead of random stars
+    magnitudeLimit: 5, // Faintest catalogue star drawn
+    brightestMagnitude: -1.5, // Sirius-bright stars get maximum size/opacity
+  },
+
+  // ============================================================
+  // PLANET EPHEMERIS CONFIGURATION
+  // Lines: 727-736
+  // ============================================================
+  ephemeris: {
+    enabled: false, // Real planet positions for CONFIG.observer (hides planets below horizon)
+    brightestMagnitude: -4.5, // Venus at its brightest
+    faintestMagnitude: 2, // Dimmer planets bottom out at minOpacity
+    minOpacity: 0.5,
+  },
+
+  // ============================================================
+  // MOON CONFIGURATION
+  // Lines: 738-752
+  // ============================================================
+  moon: {
+    enabled: true, // Real phase and position for CONFIG.observer (hidden below the horizon)
+    date: null, // ISO date to preview, e.g. "2025-01-13" for a full Moon (null = observer.date, else now)
+    size: 28, // Larger than life (the real Moon would be ~4px on this canvas)
+    color: "rgba(240, 236, 220,",
+    earthshineOpacity: 0.06,
+    haloScale: 5,
+    haloOpacity: 0.2,
+    dimRadius: 260,
+    dimMagnitude: 2.5, // Full Moon washes out all but the brightest stars near it
+  },
+
+  // ============================================================
+  // MILKY WAY CONFIGURATION
+  // Lines: 754-773
+  // ============================================================
+  milkyWay: {
+    enabled: false, // Procedural band under the stars (2D renderers)
+    // Great circle of the band: the real galactic north pole and centre (J2000)
+    poleRa: 12.86,
+    poleDec: 27.13,
+    coreRa: 17.76, // Sagittarius
+    coreDec: -28.94,
+    width: 12, // Degrees
+    opacity: 0.22,
+    color: "rgba(200, 210, 255,",
+    coreColor: "rgba(255, 235, 210,",
+    dustOpacity: 0.6,
+    starShare: 0.3, // Random stars only - the catalogue already has its own
+    resolution: 0.25, // Quarter-size image, stretched: the glow is soft anyway
+    visibleMagnitude: 5, // Gone well before the faintest stars in twilight
+  },
+
+  // ============================================================
+  // CONSTELLATION OVERLAY CONFIGURATION
+  // Lines: 775-789
+  // ============================================================
+  constellations: {
+    enabled: false, // Needs realSky.enabled - lines join named catalogue stars
+    lineColor: "rgba(160, 190, 255,",
+    lineOpacity: 0.25,
+    lineWidth: 0.75,
+    labelColor: "rgba(220, 230, 255,",
+    labelFont: "12px monospace",
+    hoverRadius: 40, // Pixels from a line that count as "near"
+    labelFadeMs: 400,
+    tapHoldMs: 2500, // Touch has no hover, so tapped labels linger
+  },
+
+  // ============================================================
+  // PUBLIC API CONFIGURATION
+  // Lines: 791-797
+  // ============================================================
+  api: {
+    exposeGlobal: false, // Set true for non-module scripts (window.StardewSky)
+  },
+
+  // ============================================================
+  // REDUCED MOTION CONFIGURATION
+  // Lines: 799-806
+  // ============================================================
+  motion: {
+    reduceMotion: "auto", // "always" = still sky, "never" = ignore the OS setting
+    storageKey: "stardew-motion", // Remembers the on-page motion toggle
+  },
+
+  // ============================================================
+  // CONFIG VALIDATION
+  // Lines: 808-815
+  // ============================================================
+  validation: {
+    enabled: true, // Log bad values (ranges, min > max, rgba strings) at startup
+    strict: false, // true = don't start the sky until the config is fixed
+  },
+
+  // ============================================================
+  // DEBUG PANEL CONFIGURATION
+  // Lines: 817-824
+  // ============================================================
+  debug: {
+    applyDelayMs: 150, // ?debug panel: regenerate once a slider settles
   },
 };
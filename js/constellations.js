@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Constellation module - Stick-figure overlay with hover labels
+ * @module constellations
+ * @exports {ConstellationLayer}
+ * @imports {clientToSkyPoint} from utils.js
+ * @imports {getObserver, projectEquatorial} from astronomy.js
+ * @imports {BRIGHT_STARS} from catalog.js
+ * @description Draws constellation lines between named catalogue stars as an extra
+ *   pass on the star canvas, so the figures rotate with .night-sky.
+ *   Hovering or tapping near a figure fades in its name.
+ *   Requires real-sky mode: only catalogue stars have names to connect.
+ *   Each StarField owns one ConstellationLayer.
+ */
+
+// ============================================================
+// CONSTELLATIONS - Stick-figure overlay with hover labels
+// Purpose: Named star patterns that rotate with the sky
+// Lines: 1-474
+// ============================================================
+
+import { clientToSkyPoint } from "./utils.js";
+import { getObserver, projectEquatorial } from "./astronomy.js";
+import { BRIGHT_STARS } from "./catalog.js";
+
+// ============================================================
+// CONSTELLATION FIGURES
+// Lines: 25-208
+// ============================================================
+
+/**
+ * @typedef {Object} ConstellationFigure
+ * @property {string} name - Display name
+ * @property {Array<Array<string>>} lines - Polylines as lists of catalogue star names
+ */
+
+/** @type {Array<ConstellationFigure>} */
+const CONSTELLATIONS = [
+  {
+    name: "Orion",
+    lines: [
+      ["Betelgeuse", "Meissa", "Bellatrix"],
+      ["Betelgeuse", "Alnitak", "Alnilam", "Mintaka", "Bellatrix"],
+      ["Alnitak", "Saiph"],
+      ["Mintaka", "Rigel"],
+    ],
+  },
+  {
+    name: "Ursa Major",
+    lines: [
+      ["Alkaid", "Mizar", "Alioth", "Megrez", "Dubhe", "Merak", "Phecda"],
+      ["Phecda", "Megrez"],
+    ],
+  },
+  {
+    name: "Ursa Minor",
+    lines: [
+      [
+        "Polaris",
+        "Yildun",
+        "Epsilon Ursae Minoris",
+        "Zeta Ursae Minoris",
+        "Kochab",
+        "Pherkad",
+        "Eta Ursae Minoris",
+        "Zeta Ursae Minoris",
+      ],
+    ],
+  },
+  {
+    name: "Cassiopeia",
+    lines: [["Caph", "Schedar", "Navi", "Ruchbah", "Segin"]],
+  },
+  {
+    name: "Cygnus",
+    lines: [
+      ["Deneb", "Sadr", "Albireo"],
+      ["Aljanah", "Sadr", "Fawaris"],
+    ],
+  },
+  {
+    name: "Lyra",
+    lines: [
+      ["Vega", "Zeta Lyrae", "Sheliak", "Sulafat", "Delta Lyrae", "Zeta Lyrae"],
+    ],
+  },
+  {
+    name: "Aquila",
+    lines: [["Tarazed", "Altair", "Alshain"]],
+  },
+  {
+    name: "Leo",
+    lines: [
+      [
+        "Regulus",
+        "Al Jabhah",
+        "Algieba",
+        "Adhafera",
+        "Rasalas",
+        "Ras Elased Australis",
+      ],
+      ["Algieba", "Zosma", "Denebola", "Chertan", "Regulus"],
+      ["Zosma", "Chertan"],
+    ],
+  },
+  {
+    name: "Gemini",
+    lines: [
+      ["Castor", "Mebsuta", "Tejat"],
+      ["Pollux", "Wasat", "Alhena"],
+      ["Castor", "Pollux"],
+    ],
+  },
+  {
+    name: "Taurus",
+    lines: [["Elnath", "Ain", "Prima Hyadum", "Aldebaran", "Tianguan"]],
+  },
+  {
+    name: "Auriga",
+    lines: [
+      [
+        "Capella",
+        "Menkalinan",
+        "Theta Aurigae",
+        "Elnath",
+        "Hassaleh",
+        "Capella",
+      ],
+    ],
+  },
+  {
+    name: "Scorpius",
+    lines: [
+      ["Acrab", "Dschubba", "Fang"],
+      [
+        "Dschubba",
+        "Alniyat",
+        "Antares",
+        "Tau Scorpii",
+        "Larawag",
+        "Xamidimura",
+        "Zeta Scorpii",
+        "Eta Scorpii",
+        "Sargas",
+        "Kappa Scorpii",
+        "Shaula",
+        "Lesath",
+      ],
+    ],
+  },
+  {
+    name: "Sagittarius",
+    lines: [
+      [
+        "Alnasl",
+        "Kaus Media",
+        "Kaus Borealis",
+        "Phi Sagittarii",
+        "Nunki",
+        "Tau Sagittarii",
+        "Ascella",
+        "Phi Sagittarii",
+      ],
+      ["Alnasl", "Kaus Australis", "Ascella"],
+      ["Kaus Media", "Kaus Australis"],
+      ["Kaus Media", "Phi Sagittarii"],
+    ],
+  },
+  {
+    name: "Crux",
+    lines: [
+      ["Acrux", "Gacrux"],
+      ["Mimosa", "Imai"],
+    ],
+  },
+  {
+    name: "Canis Major",
+    lines: [
+      ["Mirzam", "Sirius", "Wezen", "Adhara"],
+      ["Wezen", "Aludra"],
+    ],
+  },
+  {
+    name: "Boötes",
+    lines: [
+      [
+        "Arcturus",
+        "Izar",
+        "Delta Bootis",
+        "Nekkar",
+        "Seginus",
+        "Rho Bootis",
+        "Arcturus",
+      ],
+      ["Arcturus", "Muphrid"],
+    ],
+  },
+  {
+    name: "Pegasus",
+    lines: [
+      ["Markab", "Scheat", "Alpheratz", "Algenib", "Markab"],
+      ["Markab", "Homam", "Enif"],
+    ],
+  },
+  {
+    name: "Andromeda",
+    lines: [["Alpheratz", "Delta Andromedae", "Mirach", "Almach"]],
+  },
+];
+
+// ============================================================
+// GEOMETRY
+// Lines: 210-234
+// ============================================================
+
+/**
+ * Distance from a point to a line segment
+ * @param {{x: number, y: number}} point - Query point
+ * @param {{x: number, y: number}} from - Segment start
+ * @param {{x: number, y: number}} to - Segment end
+ * @returns {number} Distance in the same units as the inputs
+ */
+function distanceToSegment(point, from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const lengthSquared = dx * dx + dy * dy || 1;
+  const t = Math.max(
+    0,
+    Math.min(
+      1,
+      ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared,
+    ),
+  );
+  return Math.hypot(point.x - (from.x + t * dx), point.y - (from.y + t * dy));
+}
+
+// ============================================================
+// CONSTELLATION LAYER
+// Lines: 236-264
+// ============================================================
+
+/**
+ * @typedef {Object} ConstellationLayout
+ * @property {string} name - Display name
+ * @property {Array<Array<{x: number, y: number}>>} segments - Line segments in canvas pixels
+ * @property {{x: number, y: number}} labelPosition - Label anchor (figure centroid)
+ * @property {number} fade - Current label opacity factor (0-1)
+ */
+
+/**
+ * Constellation lines and labels for one star canvas
+ */
+export class ConstellationLayer {
+  /**
+   * @param {Config} config - Configuration for this sky
+   */
+  constructor(config) {
+    this.config = config;
+    /** @type {Array<ConstellationLayout>} */
+    this.layouts = [];
+    this.highlighted = null; // Name of the constellation under the pointer
+    this.highlightUntil = 0; // Tap labels expire at this timestamp (0 = hover)
+    this.lastRenderTime = 0;
+    this.canvasSize = { width: 0, height: 0 };
+  }
+
+  // ============================================================
+  // LAYOUT
+  // Lines: 266-329
+  // ============================================================
+
+  /**
+   * Project every constellation figure onto the star canvas
+   *
+   * Uses the same observer and projection as real-sky mode, so the lines
+   * land exactly on the catalogue stars drawn by the StarField.
+   *
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Updates this.layouts
+   */
+  generate(canvasWidth, canvasHeight) {
+    const observer = getObserver(this.config);
+    const { magnitudeLimit } = this.config.realSky;
+    const starsByName = new Map(BRIGHT_STARS.map((star) => [star.name, star]));
+    this.canvasSize = { width: canvasWidth, height: canvasHeight };
+    const maxSegmentLength = Math.min(canvasWidth, canvasHeight) / 8;
+
+    this.layouts = CONSTELLATIONS.map((constellation) => {
+      const segments = [];
+      const points = [];
+
+      constellation.lines.forEach((line) => {
+        // Stars fainter than the star pass draws stay in the line as gaps,
+        // so no segment ends at a star that isn't there
+        const projected = line
+          .map((name) => starsByName.get(name))
+          .filter(Boolean)
+          .map((star) =>
+            star.mag <= magnitudeLimit
+              ? projectEquatorial(
+                  star.ra,
+                  star.dec,
+                  observer,
+                  canvasWidth,
+                  canvasHeight,
+                )
+              : null,
+          );
+
+        for (let i = 1; i < projected.length; i++) {
+          const [from, to] = [projected[i - 1], projected[i]];
+          if (!from || !to) continue;
+          // Near the antipode of the view the projection tears apart;
+          // skip segments stretched across it instead of drawing chords
+          if (Math.hypot(to.x - from.x, to.y - from.y) < maxSegmentLength) {
+            segments.push([from, to]);
+          }
+        }
+        points.push(...projected.filter(Boolean));
+      });
+
+      const labelPosition = {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+      };
+
+      return { name: constellation.name, segments, labelPosition, fade: 0 };
+    });
+  }
+
+  // ============================================================
+  // RENDERING
+  // Lines: 331-387
+  // ============================================================
+
+  /**
+   * Draw constellation lines and any fading labels
+   * Called once per frame from StarField.render() after stars and planets
+   * @param {CanvasRenderingContext2D} ctx - Star canvas context (DPR-scaled)
+   * @param {number} currentTime - Current performance timestamp
+   * @returns {void}
+   */
+  render(ctx, currentTime) {
+    const settings = this.config.constellations;
+    const elapsed = this.lastRenderTime ? currentTime - this.lastRenderTime : 0;
+    this.lastRenderTime = currentTime;
+
+    // Tap labels expire on their own; hover labels last until pointer leaves
+    if (this.highlightUntil && currentTime > this.highlightUntil) {
+      this.highlighted = null;
+      this.highlightUntil = 0;
+    }
+
+    ctx.save();
+    ctx.lineWidth = settings.lineWidth;
+    ctx.strokeStyle = `${settings.lineColor}${settings.lineOpacity})`;
+    ctx.beginPath();
+    this.layouts.forEach((layout) => {
+      layout.segments.forEach(([from, to]) => {
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+      });
+    });
+    ctx.stroke();
+
+    ctx.font = settings.labelFont;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    this.layouts.forEach((layout) => {
+      const target = layout.name === this.highlighted ? 1 : 0;
+      const step = elapsed / settings.labelFadeMs;
+      layout.fade =
+        target > layout.fade
+          ? Math.min(target, layout.fade + step)
+          : Math.max(target, layout.fade - step);
+
+      if (layout.fade > 0) {
+        ctx.fillStyle = `${settings.labelColor}${layout.fade})`;
+        ctx.fillText(
+          layout.name,
+          layout.labelPosition.x,
+          layout.labelPosition.y,
+        );
+      }
+    });
+    ctx.restore();
+  }
+
+  // ============================================================
+  // POINTER INTERACTION
+  // Lines: 389-474
+  // ============================================================
+
+  /**
+   * Find the constellation nearest to a canvas point, within hoverRadius
+   * @param {{x: number, y: number}} point - Canvas position in logical pixels
+   * @returns {string|null} Constellation name
+   */
+  findAt(point) {
+    let nearest = null;
+    let nearestDistance = this.config.constellations.hoverRadius;
+
+    this.layouts.forEach((layout) => {
+      layout.segments.forEach(([from, to]) => {
+        const distance = distanceToSegment(point, from, to);
+        if (distance < nearestDistance) {
+          nearest = layout.name;
+          nearestDistance = distance;
+        }
+      });
+    });
+    return nearest;
+  }
+
+  /**
+   * Set the highlighted constellation
+   * @param {string|null} name - Constellation name (null clears)
+   * @param {number} holdMs - Label lifetime for taps (0 = until cleared)
+   * @returns {void}
+   */
+  highlight(name, holdMs) {
+    this.highlighted = name;
+    this.highlightUntil = holdMs > 0 ? performance.now() + holdMs : 0;
+  }
+
+  /**
+   * Listen for hover and tap on the hero and highlight nearby constellations
+   * @param {HTMLElement} hero - Element receiving pointer events
+   * @param {HTMLElement} nightSky - Rotating night sky container
+   * @param {function(string|null, number): void} [onHighlight] - Called with the highlighted
+   *   name and how long a tap label stays (0 = until the pointer leaves); used to forward
+   *   highlights to a layer rendering in a worker
+   * @returns {function(): void} Removes the listeners
+   */
+  attachHover(hero, nightSky, onHighlight) {
+    const locate = (event) => {
+      const skyPoint = clientToSkyPoint(nightSky, event.clientX, event.clientY);
+      return this.findAt({
+        x: skyPoint.x * this.canvasSize.width,
+        y: skyPoint.y * this.canvasSize.height,
+      });
+    };
+
+    const handlePointerMove = (event) => {
+      if (event.pointerType !== "mouse") return;
+      this.highlight(locate(event), 0);
+      onHighlight?.(this.highlighted, 0);
+    };
+
+    // Touch has no hover: a tap shows the label for tapHoldMs
+    const handlePointerDown = (event) => {
+      if (event.pointerType === "mouse") return;
+      const { tapHoldMs } = this.config.constellations;
+      this.highlight(locate(event), tapHoldMs);
+      onHighlight?.(this.highlighted, tapHoldMs);
+    };
+
+    const handlePointerLeave = () => {
+      if (this.highlightUntil) return;
+      this.highlight(null, 0);
+      onHighlight?.(null, 0);
+    };
+
+    hero.addEventListener("pointermove", handlePointerMove);
+    hero.addEventListener("pointerdown", handlePointerDown);
+    hero.addEventListener("pointerleave", handlePointerLeave);
+
+    return () => {
+      hero.removeEventListener("pointermove", handlePointerMove);
+      hero.removeEventListener("pointerdown", handlePointerDown);
+      hero.removeEventListener("pointerleave", handlePointerLeave);
+    };
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Debug panel module - Live tuning overlay for a sky's config
+ * @module debug-panel
+ * @exports {DebugPanel, mountDebugPanel}
+ * @imports {CONFIG_SCHEMA, isField, checkValue} from schema.js
+ * @imports {validateConfig} from validate-config.js
+ * @description Developer overlay opened with ?debug. Builds a control for every
+ *   CONFIG field from schema.js (sliders for bounded numbers, toggles, color pickers,
+ *   text inputs) and applies edits live through sky.setConfig(), which regenerates
+ *   stars and meteor keyframes. "Export" turns the tuned config into a JS snippet
+ *   for config.js. A live readout shows frame work time from sky.getFrameStats().
+ *   Loaded on demand by main.js, so normal visitors never download it.
+ */
+
+// ============================================================
+// DEBUG PANEL - Live tuning overlay for a sky's config
+// Purpose: Tweak CONFIG without editing config.js and reloading
+// Lines: 1-405
+// ============================================================
+
+import { CONFIG_SCHEMA, isField, checkValue } from "./schema.js";
+import { validateConfig } from "./validate-config.js";
+
+// How often the frame-time readout refreshes (ms)
+const STATS_INTERVAL_MS = 500;
+
+// ============================================================
+// HELPERS
+// Lines: 27-88
+// ============================================================
+
+/**
+ * Create an element with properties and children
+ * @param {string} tagName - Element tag
+ * @param {Object} [properties] - Properties assigned to the element (className, type, ...)
+ * @param {Array<Node|string>} [children] - Child nodes or text
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, properties = {}, children = []) {
+  const element = Object.assign(document.createElement(tagName), properties);
+  element.append(...children);
+  return element;
+}
+
+/**
+ * Slider step for a bounded number: 1 for integers, else ~1% of the range
+ * @param {import("./schema.js").FieldSchema} field - Number field with min and max
+ * @returns {number}
+ */
+function getSliderStep(field) {
+  if (field.integer) return 1;
+  return 10 ** Math.floor(Math.log10((field.max - field.min) / 100));
+}
+
+/**
+ * Convert an incomplete rgba string ("rgba(r, g, b,") to #rrggbb
+ * @param {string} color - Config color string
+ * @returns {string} Hex color for <input type="color">
+ */
+function rgbaToHex(color) {
+  const channels = color.match(/\d+/g).slice(0, 3);
+  return `#${channels.map((channel) => Number(channel).toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Convert #rrggbb to the incomplete rgba string the renderers expect
+ * @param {string} hex - Hex color from <input type="color">
+ * @returns {string} "rgba(r, g, b,"
+ */
+function hexToRgba(hex) {
+  const channels = [1, 3, 5].map((start) =>
+    Number.parseInt(hex.slice(start, start + 2), 16),
+  );
+  return `rgba(${channels.join(", ")},`;
+}
+
+/**
+ * Format a config as a JS snippet for config.js (unquoted keys, 2-space indent)
+ * @param {import("./config.js").Config} config - Config to export
+ * @returns {string}
+ */
+function toConfigSnippet(config) {
+  const body = JSON.stringify(config, null, 2).replace(
+    /^(\s*)"([A-Za-z_$][\w$]*)":/gm,
+    "$1$2:",
+  );
+  return `// Tuned with ?debug - paste over the CONFIG values in js/config.js\nexport const CONFIG = ${body};\n`;
+}
+
+// ============================================================
+// DEBUG PANEL
+// Lines: 90-122
+// ============================================================
+
+/**
+ * Tuning overlay bound to one sky
+ *
+ * Usage:
+ *   const panel = new DebugPanel(sky).mount();
+ *   panel.destroy();
+ */
+export class DebugPanel {
+  /**
+   * @param {import("./sky.js").Sky} sky - Sky whose config is tuned
+   * @param {HTMLElement} [root=document.body] - Element the panel is appended to
+   */
+  constructor(sky, root = document.body) {
+    this.sky = sky;
+    this.root = root;
+
+    // Edits collect in a draft; only touched sections are sent to setConfig()
+    // (sending random unchanged would re-resolve the seed)
+    this.draft = structuredClone(sky.config);
+    this.dirtySections = new Set();
+    this.applyTimeout = null;
+    this.statsInterval = null;
+
+    this.element = null;
+    this.statsOutput = null;
+    this.problemList = null;
+    this.snippetOutput = null;
+  }
+
+  // ============================================================
+  // BUILDING
+  // Lines: 124-289
+  // ============================================================
+
+  /**
+   * Build the panel and add it to the page
+   * @returns {DebugPanel} This panel, for chaining
+   */
+  mount() {
+    const sections = Object.entries(CONFIG_SCHEMA).map(([key, node]) =>
+      createElement("details", { className: "debug-section" }, [
+        createElement("summary", { textContent: key }),
+        ...this.buildNode([key], node),
+      ]),
+    );
+
+    this.statsOutput = createElement("output", { className: "debug-stats" });
+    this.problemList = createElement("ul", { className: "debug-problems" });
+    this.snippetOutput = createElement("textarea", {
+      className: "debug-snippet",
+      readOnly: true,
+      rows: 8,
+      hidden: true,
+    });
+    const exportButton = createElement("button", {
+      type: "button",
+      textContent: "Export config",
+    });
+    exportButton.addEventListener("click", () => this.exportConfig());
+
+    this.element = createElement(
+      "details",
+      { className: "debug-panel", open: true },
+      [
+        createElement("summary", { textContent: "Sky tuning" }),
+        this.statsOutput,
+        ...sections,
+        this.problemList,
+        exportButton,
+        this.snippetOutput,
+      ],
+    );
+    this.root.appendChild(this.element);
+    this.showProblems();
+    this.statsInterval = setInterval(
+      () => this.showFrameStats(),
+      STATS_INTERVAL_MS,
+    );
+    return this;
+  }
+
+  /**
+   * Build controls for a schema node (field, section or array)
+   * @param {Array<string|number>} keys - Path to the node in the config
+   * @param {Object} node - Field schema or section schema
+   * @returns {Array<HTMLElement>} Controls and fieldsets
+   */
+  buildNode(keys, node) {
+    const value = keys.reduce((parent, key) => parent[key], this.draft);
+
+    if (isField(node) && node.kind === "array") {
+      return value.map((item, index) =>
+        createElement("fieldset", {}, [
+          createElement("legend", {
+            textContent: item.name ?? item.type ?? `#${index}`,
+          }),
+          ...Object.entries(node.items).flatMap(([key, field]) =>
+            this.buildNode([...keys, index, key], field),
+          ),
+        ]),
+      );
+    }
+    if (isField(node)) {
+      return [this.buildControl(keys, node, value)];
+    }
+    return Object.entries(node).flatMap(([key, child]) => {
+      const controls = this.buildNode([...keys, key], child);
+      // Nested sections (meteors.startYMin) get their own group
+      return isField(child)
+        ? controls
+        : [
+            createElement("fieldset", {}, [
+              createElement("legend", { textContent: key }),
+              ...controls,
+            ]),
+          ];
+    });
+  }
+
+  /**
+   * Build one labelled control for a field
+   * @param {Array<string|number>} keys - Path to the field in the config
+   * @param {import("./schema.js").FieldSchema} field - Field schema
+   * @param {*} value - Current value
+   * @returns {HTMLLabelElement}
+   */
+  buildControl(keys, field, value) {
+    const path = keys.join(".");
+    const readout = createElement("output");
+    let input;
+    let readValue;
+
+    if (field.kind === "boolean") {
+      input = createElement("input", { type: "checkbox", checked: value });
+      readValue = () => input.checked;
+    } else if (field.kind === "choice") {
+      input = createElement(
+        "select",
+        {},
+        field.options.map((option) =>
+          createElement("option", { value: option, textContent: option }),
+        ),
+      );
+      input.value = value;
+      readValue = () => input.value;
+    } else if (field.kind === "color") {
+      input = createElement("input", {
+        type: "color",
+        value: rgbaToHex(value),
+      });
+      readValue = () => hexToRgba(input.value);
+    } else if (
+      field.kind === "number" &&
+      field.min !== undefined &&
+      field.max !== undefined &&
+      value !== null
+    ) {
+      input = createElement("input", {
+        type: "range",
+        min: field.min,
+        max: field.max,
+        step: getSliderStep(field),
+        value,
+      });
+      readValue = () => Number(input.value);
+    } else if (field.kind === "number") {
+      input = createElement("input", {
+        type: "number",
+        step: field.integer ? 1 : "any",
+        value: value ?? "",
+      });
+      readValue = () =>
+        input.value === "" && field.nullable ? null : Number(input.value);
+    } else {
+      input = createElement("input", { type: "text", value: value ?? "" });
+      readValue = () =>
+        input.value === "" && field.nullable ? null : input.value;
+    }
+
+    readout.value = input.type === "range" ? String(value) : "";
+    input.addEventListener("input", () => {
+      const next = readValue();
+      const problems = checkValue(field, next, path);
+      input.setAttribute("aria-invalid", String(problems.length > 0));
+      input.title = problems.join("; ");
+      if (input.type === "range") readout.value = String(next);
+      if (problems.length === 0) this.updateDraft(keys, next);
+    });
+
+    return createElement("label", { className: "debug-control" }, [
+      createElement("span", { textContent: keys[keys.length - 1] }),
+      input,
+      readout,
+    ]);
+  }
+
+  // ============================================================
+  // APPLYING CHANGES
+  // Lines: 291-389
+  // ============================================================
+
+  /**
+   * Record an edit and schedule it to be applied
+   * @param {Array<string|number>} keys - Path to the field in the config
+   * @param {*} value - New value (already checked against the schema)
+   * @returns {void}
+   */
+  updateDraft(keys, value) {
+    const last = keys[keys.length - 1];
+    const parent = keys
+      .slice(0, -1)
+      .reduce((node, key) => node[key], this.draft);
+    parent[last] = value;
+    this.dirtySections.add(keys[0]);
+
+    // Sliders fire on every pixel; regenerate once the value settles
+    clearTimeout(this.applyTimeout);
+    this.applyTimeout = setTimeout(
+      () => this.apply(),
+      this.draft.debug.applyDelayMs,
+    );
+  }
+
+  /**
+   * Send edited sections to the sky and refresh the problem list
+   * Arrays (spectralClasses, planets) are replaced by setConfig(), so the whole
+   * edited section is sent
+   * @returns {void}
+   */
+  apply() {
+    const partial = {};
+    this.dirtySections.forEach((key) => {
+      partial[key] = structuredClone(this.draft[key]);
+    });
+    this.dirtySections.clear();
+
+    try {
+      this.sky.setConfig(partial);
+    } catch (error) {
+      console.error("Debug panel failed to apply config:", error);
+    }
+    this.showProblems();
+  }
+
+  /**
+   * List cross-field problems (min > max, percentages) for the draft config
+   * @returns {void}
+   */
+  showProblems() {
+    const problems = validateConfig(this.draft);
+    this.problemList.replaceChildren(
+      ...problems.map((problem) =>
+        createElement("li", { textContent: problem }),
+      ),
+    );
+  }
+
+  /**
+   * Show frame work time and rate for the current render mode
+   * @returns {void}
+   */
+  showFrameStats() {
+    const { frames, averageWorkMs, maxWorkMs, fps } = this.sky.getFrameStats();
+    this.statsOutput.value =
+      frames === 0
+        ? "Frame: measuring..."
+        : `Frame: ${averageWorkMs.toFixed(2)} ms avg, ${maxWorkMs.toFixed(2)} ms max, ${Math.round(fps)} fps (${this.sky.config.stars.renderMode}, ${this.sky.getQualityTier().name} quality)`;
+  }
+
+  /**
+   * Show the tuned config as a JS snippet and copy it to the clipboard
+   * @returns {void}
+   */
+  exportConfig() {
+    const snippet = toConfigSnippet(this.sky.config);
+    this.snippetOutput.value = snippet;
+    this.snippetOutput.hidden = false;
+    this.snippetOutput.select();
+
+    navigator.clipboard?.writeText(snippet).catch((error) => {
+      console.warn("Could not copy config snippet:", error);
+    });
+  }
+
+  /**
+   * Remove the panel and cancel pending edits
+   * @returns {void}
+   */
+  destroy() {
+    clearTimeout(this.applyTimeout);
+    clearInterval(this.statsInterval);
+    this.element?.remove();
+    this.element = null;
+  }
+}
+
+// ============================================================
+// PUBLIC API
+// Lines: 391-405
+// ============================================================
+
+/**
+ * Open a debug panel for a sky; it is removed when the sky is destroyed
+ * @param {import("./sky.js").Sky} sky - Sky to tune
+ * @returns {DebugPanel} Mounted panel
+ */
+export function mountDebugPanel(sky) {
+  const panel = new DebugPanel(sky).mount();
+  sky.cleanupTasks.push(() => panel.destroy());
+  return panel;
+}
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Ephemeris module - Planet positions from orbital elements
+ * @module ephemeris
+ * @exports {getPlanetPosition, getSunPosition, getMoonPosition}
+ * @imports {toRadians, toDegrees, normalizeDegrees, julianDate} from astronomy.js
+ * @description Computes where the naked-eye planets appear for a given date.
+ *   Uses JPL's approximate Keplerian elements (valid 1800-2050, errors well
+ *   under a degree) and standard apparent-magnitude formulas.
+ *   The Moon uses the largest terms of its longitude and latitude series
+ *   (Meeus, "Astronomical Algorithms" ch. 47), good to a few tenths of a degree.
+ */
+
+// ============================================================
+// EPHEMERIS - Planet positions from orbital elements
+// Purpose: Real sky positions and brightness for CONFIG.planets
+// Lines: 1-294
+// ============================================================
+
+import {
+  toRadians,
+  toDegrees,
+  normalizeDegrees,
+  julianDate,
+} from "./astronomy.js";
+
+// ============================================================
+// ORBITAL ELEMENTS
+// Lines: 26-105
+// ============================================================
+
+/**
+ * @typedef {Object} OrbitalElements
+ * @property {Array<number>} base - [a (AU), e, I (°), L (°), long. perihelion (°), long. node (°)] at J2000
+ * @property {Array<number>} rate - Change of each element per Julian century
+ */
+
+// Source: Standish, "Keplerian Elements for Approximate Positions of the Major Planets"
+/** @type {Object<string, OrbitalElements>} */
+const ORBITAL_ELEMENTS = {
+  Mercury: {
+    base: [
+      0.38709927, 0.20563593, 7.00497902, 252.2503235, 77.45779628, 48.33076593,
+    ],
+    rate: [
+      0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689,
+      -0.12534081,
+    ],
+  },
+  Venus: {
+    base: [
+      0.72333566, 0.00677672, 3.39467605, 181.9790995, 131.60246718,
+      76.67984255,
+    ],
+    rate: [
+      0.0000039, -0.00004107, -0.0007889, 58517.81538729, 0.00268329,
+      -0.27769418,
+    ],
+  },
+  Earth: {
+    base: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+    rate: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+  },
+  Mars: {
+    base: [
+      1.52371034, 0.0933941, 1.84969142, -4.55343205, -23.94362959, 49.55953891,
+    ],
+    rate: [
+      0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088,
+      -0.29257343,
+    ],
+  },
+  Jupiter: {
+    base: [
+      5.202887, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909,
+    ],
+    rate: [
+      -0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668,
+      0.20469106,
+    ],
+  },
+  Saturn: {
+    base: [
+      9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831,
+      113.66242448,
+    ],
+    rate: [
+      -0.0012506, -0.00050991, 0.00193609, 1222.49362201, -0.41897216,
+      -0.28867794,
+    ],
+  },
+};
+
+// Apparent magnitude: V = base + 5·log10(r·Δ) + phase terms (phase angle in °)
+const MAGNITUDE_MODELS = {
+  Mercury: (phase) =>
+    -0.42 + 0.038 * phase - 0.000273 * phase ** 2 + 0.000002 * phase ** 3,
+  Venus: (phase) =>
+    -4.4 + 0.0009 * phase + 0.000239 * phase ** 2 - 0.00000065 * phase ** 3,
+  Mars: (phase) => -1.52 + 0.016 * phase,
+  Jupiter: (phase) => -9.4 + 0.005 * phase,
+  Saturn: () => -8.88, // Ignores ring tilt (up to ~0.8 mag brighter)
+};
+
+// Mean obliquity of the ecliptic at J2000 (degrees)
+const OBLIQUITY = 23.43928;
+
+// ============================================================
+// ORBIT CALCULATIONS
+// Lines: 107-183
+// ============================================================
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) by Newton iteration
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity
+ * @returns {number} Eccentric anomaly in radians
+ */
+function solveKepler(meanAnomaly, eccentricity) {
+  let eccentricAnomaly = meanAnomaly;
+  for (let i = 0; i < 8; i++) {
+    eccentricAnomaly -=
+      (eccentricAnomaly -
+        eccentricity * Math.sin(eccentricAnomaly) -
+        meanAnomaly) /
+      (1 - eccentricity * Math.cos(eccentricAnomaly));
+  }
+  return eccentricAnomaly;
+}
+
+/**
+ * Heliocentric ecliptic position of a body
+ * @param {OrbitalElements} elements - Orbital elements
+ * @param {number} centuries - Julian centuries since J2000
+ * @returns {{x: number, y: number, z: number}} Position in AU
+ */
+function heliocentricPosition(elements, centuries) {
+  const [a, e, inclination, meanLongitude, perihelion, node] =
+    elements.base.map((value, i) => value + elements.rate[i] * centuries);
+
+  const meanAnomaly = toRadians(normalizeDegrees(meanLongitude - perihelion));
+  const E = solveKepler(meanAnomaly, e);
+
+  // Position in the orbital plane
+  const xOrbit = a * (Math.cos(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  // Rotate into the ecliptic frame
+  const w = toRadians(perihelion - node);
+  const O = toRadians(node);
+  const I = toRadians(inclination);
+
+  return {
+    x:
+      (Math.cos(w) * Math.cos(O) - Math.sin(w) * Math.sin(O) * Math.cos(I)) *
+        xOrbit +
+      (-Math.sin(w) * Math.cos(O) - Math.cos(w) * Math.sin(O) * Math.cos(I)) *
+        yOrbit,
+    y:
+      (Math.cos(w) * Math.sin(O) + Math.sin(w) * Math.cos(O) * Math.cos(I)) *
+        xOrbit +
+      (-Math.sin(w) * Math.sin(O) + Math.cos(w) * Math.cos(O) * Math.cos(I)) *
+        yOrbit,
+    z: Math.sin(w) * Math.sin(I) * xOrbit + Math.cos(w) * Math.sin(I) * yOrbit,
+  };
+}
+
+/**
+ * Convert an ecliptic vector to right ascension and declination
+ * @param {{x: number, y: number, z: number}} vector - Ecliptic vector
+ * @returns {{ra: number, dec: number}} RA in hours, Dec in degrees
+ */
+function eclipticToEquatorial({ x, y, z }) {
+  const obliquity = toRadians(OBLIQUITY);
+  const yEquatorial = y * Math.cos(obliquity) - z * Math.sin(obliquity);
+  const zEquatorial = y * Math.sin(obliquity) + z * Math.cos(obliquity);
+
+  return {
+    ra: normalizeDegrees(toDegrees(Math.atan2(yEquatorial, x))) / 15,
+    dec: toDegrees(
+      Math.atan2(zEquatorial, Math.sqrt(x * x + yEquatorial ** 2)),
+    ),
+  };
+}
+
+// ============================================================
+// PUBLIC API
+// Lines: 185-294
+// ============================================================
+
+/**
+ * Compute a planet's apparent position and brightness
+ * @param {string} name - Planet name (Mercury, Venus, Mars, Jupiter, Saturn)
+ * @param {Date} date - Moment in time
+ * @returns {{ra: number, dec: number, magnitude: number}|null} RA in hours, Dec in degrees; null for unknown planets
+ */
+export function getPlanetPosition(name, date) {
+  const elements = ORBITAL_ELEMENTS[name];
+  if (!elements || !MAGNITUDE_MODELS[name]) return null;
+
+  const centuries = (julianDate(date) - 2451545.0) / 36525;
+  const planet = heliocentricPosition(elements, centuries);
+  const earth = heliocentricPosition(ORBITAL_ELEMENTS.Earth, centuries);
+  const geocentric = {
+    x: planet.x - earth.x,
+    y: planet.y - earth.y,
+    z: planet.z - earth.z,
+  };
+
+  // Distances for magnitude: sun-planet (r), earth-planet (Δ), sun-earth (R)
+  const r = Math.hypot(planet.x, planet.y, planet.z);
+  const delta = Math.hypot(geocentric.x, geocentric.y, geocentric.z);
+  const R = Math.hypot(earth.x, earth.y, earth.z);
+  const cosPhase = (r * r + delta * delta - R * R) / (2 * r * delta);
+  const phaseAngle = toDegrees(Math.acos(Math.max(-1, Math.min(1, cosPhase))));
+
+  return {
+    ...eclipticToEquatorial(geocentric),
+    magnitude: 5 * Math.log10(r * delta) + MAGNITUDE_MODELS[name](phaseAngle),
+  };
+}
+
+/**
+ * Compute the Sun's apparent position
+ * @param {Date} date - Moment in time
+ * @returns {{ra: number, dec: number}} RA in hours, Dec in degrees
+ */
+export function getSunPosition(date) {
+  const centuries = (julianDate(date) - 2451545.0) / 36525;
+  const earth = heliocentricPosition(ORBITAL_ELEMENTS.Earth, centuries);
+  return eclipticToEquatorial({ x: -earth.x, y: -earth.y, z: -earth.z });
+}
+
+/**
+ * @typedef {Object} MoonPosition
+ * @property {number} ra - Right ascension in hours
+ * @property {number} dec - Declination in degrees
+ * @property {number} illumination - Lit fraction of the disc (0 = new, 1 = full)
+ * @property {number} phaseAngle - Sun-Moon-Earth angle in degrees (0 = full, 180 = new)
+ * @property {boolean} isWaxing - Lit fraction is growing (evening moon)
+ * @property {number} magnitude - Apparent magnitude (about -12.7 at full)
+ */
+
+/**
+ * Compute the Moon's apparent (geocentric) position, phase and brightness
+ * @param {Date} date - Moment in time
+ * @returns {MoonPosition}
+ */
+export function getMoonPosition(date) {
+  const days = julianDate(date) - 2451545.0;
+  // Mean elements in degrees
+  const meanLongitude = 218.3164 + 13.17639648 * days;
+  const M = toRadians(134.9634 + 13.06499295 * days); // Moon's mean anomaly
+  const sunAnomaly = toRadians(357.5291 + 0.98560028 * days);
+  const D = toRadians(297.8502 + 12.19074912 * days); // Mean elongation
+  const F = toRadians(93.2721 + 13.22935024 * days); // Argument of latitude
+
+  const longitude =
+    meanLongitude +
+    6.289 * Math.sin(M) +
+    1.274 * Math.sin(2 * D - M) +
+    0.658 * Math.sin(2 * D) +
+    0.214 * Math.sin(2 * M) -
+    0.186 * Math.sin(sunAnomaly) -
+    0.114 * Math.sin(2 * F);
+  const latitude =
+    5.128 * Math.sin(F) +
+    0.281 * Math.sin(M + F) +
+    0.278 * Math.sin(M - F) +
+    0.173 * Math.sin(2 * D - F);
+
+  const lon = toRadians(longitude);
+  const lat = toRadians(latitude);
+  const equatorial = eclipticToEquatorial({
+    x: Math.cos(lat) * Math.cos(lon),
+    y: Math.cos(lat) * Math.sin(lon),
+    z: Math.sin(lat),
+  });
+
+  // Elongation from the Sun; the phase angle is close to its supplement
+  const earth = heliocentricPosition(ORBITAL_ELEMENTS.Earth, days / 36525);
+  const sunLongitude = toDegrees(Math.atan2(-earth.y, -earth.x));
+  const elongation = toDegrees(
+    Math.acos(Math.cos(lat) * Math.cos(lon - toRadians(sunLongitude))),
+  );
+  const phaseAngle = 180 - elongation;
+
+  return {
+    ...equatorial,
+    illumination: (1 + Math.cos(toRadians(phaseAngle))) / 2,
+    phaseAngle,
+    isWaxing: normalizeDegrees(longitude - sunLongitude) < 180,
+    magnitude: -12.73 + 0.026 * phaseAngle + 4e-9 * phaseAngle ** 4,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Frame timer module - Per-frame render cost measurements
+ * @module frame-timer
+ * @exports {FrameTimer}
+ * @imports None
+ * @description Rolling window of frame measurements for a render loop:
+ *   work time (how long one frame's drawing took) and frame interval
+ *   (time between frames, i.e. the achieved frame rate).
+ *   Lets renderers be compared on real devices: sky.getFrameStats().
+ */
+
+// ============================================================
+// FRAME TIMER - Per-frame render cost measurements
+// Purpose: Rolling work-time and frame-rate statistics
+// Lines: 1-119
+// ============================================================
+
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} frames - Frames in the sample window
+ * @property {number} averageWorkMs - Mean time spent drawing one frame
+ * @property {number} maxWorkMs - Slowest frame in the window
+ * @property {number} averageIntervalMs - Mean time between frame starts
+ * @property {number} fps - Frame rate implied by averageIntervalMs (0 until two frames ran)
+ */
+
+/**
+ * Rolling frame measurements
+ *
+ * Usage:
+ *   const timer = new FrameTimer(120);
+ *   timer.begin(); drawFrame(); timer.end();
+ *   timer.getStats(); // { averageWorkMs, fps, ... }
+ */
+export class FrameTimer {
+  /**
+   * @param {number} sampleCount - Frames kept in the rolling window
+   */
+  constructor(sampleCount) {
+    this.sampleCount = Math.max(1, sampleCount);
+    this.workSamples = [];
+    this.intervalSamples = [];
+    this.frameStart = null;
+    this.lastFrameStart = null;
+  }
+
+  /**
+   * Mark the start of a frame
+   * @param {number} [now=performance.now()] - Frame timestamp
+   * @returns {void}
+   */
+  begin(now = performance.now()) {
+    if (this.lastFrameStart !== null) {
+      this.record(this.intervalSamples, now - this.lastFrameStart);
+    }
+    this.frameStart = now;
+    this.lastFrameStart = now;
+  }
+
+  /**
+   * Mark the end of a frame's drawing work
+   * @returns {void}
+   */
+  end() {
+    if (this.frameStart === null) return;
+    this.record(this.workSamples, performance.now() - this.frameStart);
+    this.frameStart = null;
+  }
+
+  /**
+   * Forget the previous frame start so pauses don't count as slow frames
+   * @returns {void}
+   */
+  pause() {
+    this.frameStart = null;
+    this.lastFrameStart = null;
+  }
+
+  /**
+   * Drop every sample (e.g. after switching renderer)
+   * @returns {void}
+   */
+  reset() {
+    this.workSamples = [];
+    this.intervalSamples = [];
+    this.pause();
+  }
+
+  /**
+   * Add a sample, dropping the oldest once the window is full
+   * @param {Array<number>} samples - Sample window
+   * @param {number} value - Measurement in milliseconds
+   * @returns {void}
+   */
+  record(samples, value) {
+    samples.push(value);
+    if (samples.length > this.sampleCount) samples.shift();
+  }
+
+  /**
+   * Summarize the current window
+   * @returns {FrameStats}
+   */
+  getStats() {
+    const average = (samples) =>
+      samples.length === 0
+        ? 0
+        : samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const averageIntervalMs = average(this.intervalSamples);
+
+    return {
+      frames: this.workSamples.length,
+      averageWorkMs: average(this.workSamples),
+      maxWorkMs: Math.max(0, ...this.workSamples),
+      averageIntervalMs,
+      fps: averageIntervalMs > 0 ? 1000 / averageIntervalMs : 0,
+    };
+  }
+}
@@ -1,202 +1,252 @@
 /**
- * @fileoverview Main orchestration module - Application initialization and event handling
+ * @fileoverview Main orchestration module - Application initialization
  * @module main
- * @exports None (entry point)
+ * @exports {StardewSky} - Runtime controller for the hero sky
+ * @exports {mountSky} - Re-exported from sky.js for extra skies
  * @imports {CONFIG} from config.js
- * @imports {initializeNightSkySize, isLowEndDevice, getStarCount, pauseAnimations, resumeAnimations, safeQuerySelector} from utils.js
- * @imports {initializeStars, generateStars, setPageVisible as setStarPageVisible, getCanvasState} from stars.js
- * @imports {initializeMeteorSystem, generateMeteorKeyframes, updateHeroDiagonal, startMeteors, stopMeteors, restartMeteors, setMeteorPageVisible} from meteors.js
- * @description Entry point that initializes all animation systems and coordinates global events.
- *   Handles application lifecycle, resize events, and visibility changes for pause/resume.
+ * @imports {safeQuerySelector, deepMerge} from utils.js
+ * @imports {mountSky} from sky.js
+ * @imports {readConfigOverrides} from config-overrides.js
+ * @imports {validateConfig, reportConfigProblems} from validate-config.js
+ * @imports {attachMotionToggle} from motion-preference.js
+ * @description Entry point that mounts the hero sky on page load.
+ *   URL parameters and data-* attributes on .hero with dotted names override CONFIG
+ *   for the hero sky (see config-overrides.js). The resulting config is validated
+ *   before mounting; CONFIG.validation.strict stops the sky from starting on problems.
+ *   Exposes the StardewSky controller so other scripts can drive the hero sky at runtime:
+ *   import { StardewSky } from "/js/main.js" (or window.StardewSky when CONFIG.api.exposeGlobal).
+ *   More skies (e.g. a footer) can be added with mountSky(element, options).
+ *   ?debug loads the live tuning panel (debug-panel.js) for the hero sky.
+ *   The hero's "Reduce motion" button sets the page-wide motion preference.
  *   Loaded by index.html as ES6 module: <script type="module" src="/js/main.js">
  */
 
 // ============================================================
 // MAIN - Application initialization and orchestration
-// Purpose: Initialize all systems and handle global events
-// Lines: 1-208
+// Purpose: Mount the hero sky and expose its controller
+// Lines: 1-258
 // ============================================================
 
 import { CONFIG } from "./config.js";
-import {
-  initializeNightSkySize,
-  isLowEndDevice,
-  getStarCount,
-  pauseAnimations,
-  resumeAnimations,
-  safeQuerySelector,
-} from "./utils.js";
-import {
-  initializeStars,
-  generateStars,
-  setPageVisible as setStarPageVisible,
-  getCanvasState,
-} from "./stars.js";
-import {
-  initializeMeteorSystem,
-  generateMeteorKeyframes,
-  updateHeroDiagonal,
-  startMeteors,
-  stopMeteors,
-  restartMeteors,
-  setMeteorPageVisible,
-} from "./meteors.js";
+import { safeQuerySelector, deepMerge } from "./utils.js";
+import { mountSky } from "./sky.js";
+import { readConfigOverrides } from "./config-overrides.js";
+import { validateConfig, reportConfigProblems } from "./validate-config.js";
+import { attachMotionToggle } from "./motion-preference.js";
+
+export { mountSky };
+
+// ============================================================
+// STATE MANAGEMENT
+// Lines: 39-45
+// ============================================================
+
+/** @type {import("./sky.js").Sky|null} */
+let heroSky = null;
 
 // ============================================================
 // INITIALIZATION
-// Lines: 45-79
+// Lines: 47-107
 // ============================================================
 
 /**
- * Initialize all systems on page load
+ * Validate the config the hero sky will run with
+ * @param {Object} overrides - Partial config from readConfigOverrides()
+ * @returns {void}
+ * @throws {Error} In strict mode, if any problems are found
+ */
+function checkHeroConfig(overrides) {
+  const config = deepMerge(structuredClone(CONFIG), overrides);
+  if (!config.validation.enabled) return;
+
+  const problems = validateConfig(config);
+  reportConfigProblems(problems);
+
+  if (problems.length > 0 && config.validation.strict) {
+    throw new Error(
+      "Config is invalid and validation.strict is on - fix the problems above",
+    );
+  }
+}
+
+/**
+ * Load the tuning panel on demand (?debug) so normal visits skip the download
+ * @param {import("./sky.js").Sky} sky - Sky to tune
+ * @returns {void}
+ */
+function loadDebugPanel(sky) {
+  import("./debug-panel.js")
+    .then(({ mountDebugPanel }) => mountDebugPanel(sky))
+    .catch((error) => console.error("Failed to load debug panel:", error));
+}
+
+/**
+ * Mount the hero sky on page load
  * @returns {void}
  */
 function initializeApp() {
-  // Initialize night sky container size
-  initializeNightSkySize();
-
-  // Initialize CSS aurora (hide if disabled or on low-end devices)
-  const auroraContainer = document.getElementById("auroraContainer");
-  if (auroraContainer) {
-    if (!CONFIG.aurora.enabled || isLowEndDevice()) {
-      auroraContainer.style.display = "none";
+  try {
+    const hero = safeQuerySelector(".hero", "Hero element not found");
+    const overrides = readConfigOverrides(hero);
+    checkHeroConfig(overrides);
+    heroSky = mountSky(hero, { config: overrides });
+
+    const motionToggle = hero.querySelector('[data-component="motion-toggle"]');
+    if (motionToggle) attachMotionToggle(motionToggle);
+
+    if (new URLSearchParams(window.location.search).has("debug")) {
+      loadDebugPanel(heroSky);
     }
+  } catch (error) {
+    console.error("Failed to mount hero sky:", error);
   }
 
-  // Initialize stars with requestAnimationFrame to ensure layout is complete
-  requestAnimationFrame(() => {
-    initializeStars();
-  });
-
-  // Initialize and start meteor system
-  if (initializeMeteorSystem()) {
-    generateMeteorKeyframes();
-    startMeteors();
-    setupResizeHandler();
-    setupVisibilityHandler();
+  if (CONFIG.api.exposeGlobal) {
+    window.StardewSky = StardewSky;
   }
 }
 
 // ============================================================
-// RESIZE HANDLER
-// Lines: 80-138
+// PUBLIC API
+// Lines: 109-245
 // ============================================================
 
 /**
- * Setup resize event handler with debouncing
- * @returns {void}
+ * Run a method on the hero sky, warning if it never mounted or was destroyed
+ * @param {string} method - Sky method name
+ * @param {...*} args - Method arguments
+ * @returns {*} Method result
  */
-function setupResizeHandler() {
-  // Track current star count for breakpoint detection
-  let currentStarCount = getStarCount();
-  let resizeTimeout;
-
-  window.addEventListener("resize", () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      // Update night sky size
-      initializeNightSkySize();
-
-      // Update canvas size with device pixel ratio
-      const { canvas: starCanvas, ctx: starCtx } = getCanvasState();
-      if (starCanvas && starCtx) {
-        try {
-          const nightSky = safeQuerySelector(
-            "#nightSky",
-            "Night sky element not found",
-          );
-          const rect = nightSky.getBoundingClientRect();
-
-          if (CONFIG.canvas.devicePixelRatioEnabled) {
-            starCanvas.width = rect.width * window.devicePixelRatio;
-            starCanvas.height = rect.height * window.devicePixelRatio;
-            starCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
-          } else {
-            starCanvas.width = rect.width;
-            starCanvas.height = rect.height;
-          }
-
-          // Check if we crossed the mobile breakpoint
-          const newStarCount = getStarCount();
-          if (newStarCount !== currentStarCount) {
-            currentStarCount = newStarCount;
-          }
-
-          // Regenerate stars with new canvas size
-          generateStars(rect.width, rect.height);
-        } catch (error) {
-          console.error("Error handling resize for stars:", error);
-        }
-      }
-
-      // Update meteor system
-      updateHeroDiagonal();
-      generateMeteorKeyframes();
-    }, CONFIG.performance.resizeDebounceMs);
-  });
+function callHeroSky(method, ...args) {
+  if (!heroSky) {
+    console.warn(
+      `StardewSky.${method}() called without a hero sky (not mounted yet, or destroyed)`,
+    );
+    return undefined;
+  }
+  return heroSky[method](...args);
 }
 
-// ============================================================
-// VISIBILITY HANDLER
-// Lines: 139-196
-// ============================================================
-
 /**
- * Setup visibility change handler for pause/resume
+ * Runtime controller for the hero sky
  *
- * When tab is hidden:
- * - Pause all CSS animations (.paused class)
- * - Stop canvas rendering (handled in stars.js)
- * - Clear all meteor timeouts to prevent memory leaks
+ * Lets other scripts drive the sky after initializeApp() has run:
  *
- * When tab becomes visible:
- * - Resume CSS animations
- * - Restart canvas rendering (handled in stars.js)
- * - Clean up any orphaned meteor DOM elements
- * - Recreate meteor/shower timers from scratch
+ *   import { StardewSky } from "/js/main.js";
+ *   StardewSky.triggerShower();
+ *   StardewSky.setConfig({ meteors: { durationMin: 2 } });
  *
- * This prevents unnecessary CPU/GPU usage when tab is hidden
- * and ensures animations don't desync after long periods hidden.
- *
- * @returns {void}
+ * All methods are no-ops (with a warning) after destroy().
+ * StardewSky.mount() adds further independent skies.
  */
-function setupVisibilityHandler() {
-  document.addEventListener("visibilitychange", () => {
-    try {
-      const nightSky = document.getElementById("nightSky");
-      const meteorsContainer = document.getElementById("meteorsContainer");
-      const auroraContainer = document.getElementById("auroraContainer");
-
-      if (document.hidden) {
-        // Page is hidden - pause animations
-        pauseAnimations(nightSky, meteorsContainer, auroraContainer);
-
-        // Stop star canvas rendering
-        setStarPageVisible(false);
-
-        // Stop meteor system
-        setMeteorPageVisible(false);
-        stopMeteors();
-      } else {
-        // Page is visible - resume animations
-        resumeAnimations(nightSky, meteorsContainer, auroraContainer);
-
-        // Resume star canvas rendering
-        setStarPageVisible(true);
-
-        // Restart meteor system
-        setMeteorPageVisible(true);
-        restartMeteors();
-      }
-    } catch (error) {
-      console.error("Error handling visibility change:", error);
+export const StardewSky = {
+  /**
+   * Pause all animation until resume(), even if the tab becomes visible
+   * @returns {void}
+   */
+  pause() {
+    callHeroSky("pause");
+  },
+
+  /**
+   * Resume animation after pause() (stays paused while the tab is hidden)
+   * @returns {void}
+   */
+  resume() {
+    callHeroSky("resume");
+  },
+
+  /**
+   * Whether the sky is paused by pause()
+   * @returns {boolean}
+   */
+  isPaused() {
+    return Boolean(callHeroSky("isPaused"));
+  },
+
+  /**
+   * Start a meteor shower now (ignored if one is already running)
+   * @returns {void}
+   */
+  triggerShower() {
+    callHeroSky("triggerShower");
+  },
+
+  /**
+   * Deep-merge config overrides into the hero sky's config and apply them
+   * Arrays (spectralClasses, planets) are replaced, not merged
+   * @param {Object} partial - Partial Config, e.g. { stars: { countDesktop: 2000 } }
+   * @returns {void}
+   */
+  setConfig(partial) {
+    callHeroSky("setConfig", partial);
+  },
+
+  /**
+   * Frame-time statistics from the star render loop
+   * Compare CONFIG.stars.renderMode "baked" and "direct" with averageWorkMs
+   * @returns {import("./frame-timer.js").FrameStats|undefined}
+   */
+  getFrameStats() {
+    return callHeroSky("getFrameStats");
+  },
+
+  /**
+   * Current adaptive quality tier ({ index, name, starScale, ... })
+   * @returns {(import("./config.js").QualityTier & {index: number})|undefined}
+   */
+  getQualityTier() {
+    return callHeroSky("getQualityTier");
+  },
+
+  /**
+   * Call a listener whenever the adaptive quality tier changes
+   *
+   *   StardewSky.onQualityChange((tier) => console.log("Sky quality:", tier.name));
+   *
+   * @param {function(import("./config.js").QualityTier & {index: number}): void} listener - Receives the new tier
+   * @returns {function(): void|undefined} Removes the listener
+   */
+  onQualityChange(listener) {
+    return callHeroSky("onQualityChange", listener);
+  },
+
+  /**
+   * Rebuild stars, planets and the meteor renderer from the current config
+   * @param {string|number} [seed] - New seed; omit to rebuild the same sky
+   * @returns {void}
+   */
+  regenerate(seed) {
+    callHeroSky("regenerate", seed);
+  },
+
+  /**
+   * Stop everything and remove listeners, meteors and injected styles
+   * @returns {void}
+   */
+  destroy() {
+    callHeroSky("destroy");
+    heroSky = null;
+
+    if (window.StardewSky === StardewSky) {
+      delete window.StardewSky;
     }
-  });
-}
+  },
+
+  /**
+   * Mount another independent sky (see mountSky in sky.js)
+   * @param {HTMLElement} element - Element to render the sky in
+   * @param {import("./sky.js").SkyOptions} [options] - Mount options
+   * @returns {import("./sky.js").Sky} Mounted sky
+   */
+  mount(element, options) {
+    return mountSky(element, options);
+  },
+};
 
 // ============================================================
 // START APPLICATION
-// Lines: 197-208
+// Lines: 247-258
 // ============================================================
 
 // Initialize app when DOM is ready
@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Meteor canvas module - Canvas layer renderer for meteors
+ * @module meteor-canvas
+ * @exports {MeteorCanvas}
+ * @imports None
+ * @description Draws every meteor of a sky on one canvas inside the meteors container,
+ *   as an alternative to one DOM element plus prefixed @keyframes per meteor.
+ *   Meteors move by simple physics: an entry speed along any angle, slowed each frame
+ *   by atmospheric drag, so the tail (speed × tailSeconds) shortens as they burn out.
+ *   Each meteor carries its own brightness. Fireballs (CONFIG.fireballs) get a larger
+ *   tinted head, break into sparks late in their flight and leave a train that lingers
+ *   after them. MeteorSystem still decides when and where meteors appear; this layer
+ *   only animates them, and its frame loop runs only while anything is on screen.
+ * @performance One canvas for all meteors, no DOM nodes or style recalculation per meteor, idle when empty
+ */
+
+// ============================================================
+// METEOR CANVAS - Canvas layer renderer for meteors
+// Purpose: Physics-based meteors without per-meteor DOM or keyframes
+// Lines: 1-478
+// ============================================================
+
+// ============================================================
+// CONSTANTS
+// Lines: 23-75
+// ============================================================
+
+// Share of a meteor's life spent fading in and out (matches the DOM keyframes' 5%)
+const FADE_FRACTION = 0.05;
+
+// Longest step a frame may simulate, so a stalled tab doesn't teleport meteors
+const MAX_STEP_SECONDS = 0.1;
+
+// Fireball fragments are small and lose speed much faster than the fireball
+const SPARK_DRAG = 0.8;
+const SPARK_RADIUS = 1;
+
+// Fireball tails are this much wider than a normal meteor's
+const FIREBALL_TAIL_WIDTH_SCALE = 2;
+
+/**
+ * @typedef {Object} CanvasMeteor
+ * @property {number} x - Head X in CSS pixels
+ * @property {number} y - Head Y in CSS pixels
+ * @property {number} dirX - Unit direction X
+ * @property {number} dirY - Unit direction Y
+ * @property {number} speed - Current speed in px/s
+ * @property {number} brightness - Peak opacity (0-1)
+ * @property {number} duration - Lifetime in seconds
+ * @property {number} age - Seconds since spawn
+ * @property {number} startX - Spawn X, where a fireball's train begins
+ * @property {number} startY - Spawn Y
+ * @property {{sparks: Array<FireballSpark>}|null} fireball - Fireball fragments, null for a normal meteor
+ * @property {boolean} hasFragmented - Fireball sparks already released
+ */
+
+/**
+ * @typedef {Object} FireballSpark
+ * @property {number} angleOffset - Degrees off the fireball's heading
+ * @property {number} speedFactor - Speed relative to the fireball when it breaks up
+ * @property {number} life - Seconds until the spark fades out
+ */
+
+/**
+ * Opacity envelope over a meteor's life: fade in, hold, fade out
+ * @param {CanvasMeteor} meteor - Meteor
+ * @returns {number} Multiplier (0-1)
+ */
+function getFade(meteor) {
+  const progress = meteor.age / meteor.duration;
+  return Math.max(
+    0,
+    Math.min(1, progress / FADE_FRACTION, (1 - progress) / FADE_FRACTION),
+  );
+}
+
+// ============================================================
+// METEOR CANVAS
+// Lines: 77-121
+// ============================================================
+
+/**
+ * Canvas layer that animates meteors handed to it by MeteorSystem
+ *
+ * Usage:
+ *   const layer = new MeteorCanvas({ container, config });
+ *   layer.resize();
+ *   layer.spawn({ x: 0.95, y: 0.1, angle: 145, speed: 320, brightness: 0.8, duration: 5 });
+ */
+export class MeteorCanvas {
+  /**
+   * @param {Object} options - Layer options
+   * @param {HTMLElement} options.container - Meteors container the canvas fills
+   * @param {Config} options.config - Configuration for this sky (read live)
+   */
+  constructor({ container, config }) {
+    this.container = container;
+    this.config = config;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "meteor-canvas";
+    this.canvas.setAttribute("aria-hidden", "true");
+    container.appendChild(this.canvas);
+    this.ctx = this.canvas.getContext("2d");
+
+    // Logical (CSS pixel) size of the layer
+    this.width = 0;
+    this.height = 0;
+
+    /** @type {Array<CanvasMeteor>} */
+    this.meteors = [];
+    // Fireball fragments and fading trains, which outlive their fireball
+    this.sparks = [];
+    this.trains = [];
+    this.isVisible = true;
+    this.animationFrameId = null;
+    this.lastTime = null;
+
+    // Bound once so requestAnimationFrame can reuse it every frame
+    this.render = this.render.bind(this);
+  }
+
+  // ============================================================
+  // LAYOUT
+  // Lines: 123-146
+  // ============================================================
+
+  /**
+   * Match the canvas to the container (call on mount and resize)
+   * @returns {void}
+   */
+  resize() {
+    if (!this.ctx) return;
+
+    const rect = this.container.getBoundingClientRect();
+    const pixelRatio = this.config.canvas.devicePixelRatioEnabled
+      ? window.devicePixelRatio || 1
+      : 1;
+
+    this.width = rect.width;
+    this.height = rect.height;
+    this.canvas.width = rect.width * pixelRatio;
+    this.canvas.height = rect.height * pixelRatio;
+    // Draw in logical pixels
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  // ============================================================
+  // METEORS
+  // Lines: 148-361
+  // ============================================================
+
+  /**
+   * Launch a meteor
+   * @param {Object} meteor - Meteor parameters
+   * @param {number} meteor.x - Start X as a fraction of the layer width (may be outside 0-1)
+   * @param {number} meteor.y - Start Y as a fraction of the layer height
+   * @param {number} meteor.angle - Direction in degrees (CSS rotation: 0 = right, 90 = down)
+   * @param {number} meteor.speed - Entry speed in px/s
+   * @param {number} meteor.brightness - Peak opacity (0-1)
+   * @param {number} meteor.duration - Lifetime in seconds
+   * @param {{sparks: Array<FireballSpark>}|null} [meteor.fireball] - Make it a fireball
+   * @returns {void}
+   */
+  spawn({ x, y, angle, speed, brightness, duration, fireball = null }) {
+    if (!this.ctx) return;
+
+    const radians = (angle * Math.PI) / 180;
+    this.meteors.push({
+      x: x * this.width,
+      y: y * this.height,
+      dirX: Math.cos(radians),
+      dirY: Math.sin(radians),
+      speed,
+      brightness,
+      duration,
+      age: 0,
+      startX: x * this.width,
+      startY: y * this.height,
+      fireball,
+      hasFragmented: false,
+    });
+    this.scheduleFrame();
+  }
+
+  /**
+   * Advance a meteor by one time step (drag, then move along its direction)
+   * @param {CanvasMeteor} meteor - Meteor to move
+   * @param {number} dt - Step in seconds
+   * @returns {void}
+   */
+  step(meteor, dt) {
+    meteor.speed *= (1 - this.config.meteorCanvas.drag) ** dt;
+    meteor.x += meteor.dirX * meteor.speed * dt;
+    meteor.y += meteor.dirY * meteor.speed * dt;
+    meteor.age += dt;
+
+    if (
+      meteor.fireball &&
+      !meteor.hasFragmented &&
+      meteor.age >= meteor.duration * this.config.fireballs.fragmentAt
+    ) {
+      this.fragment(meteor);
+    }
+  }
+
+  /**
+   * Break a fireball into sparks that fan out from its head
+   * @param {CanvasMeteor} meteor - Fireball
+   * @returns {void}
+   */
+  fragment(meteor) {
+    meteor.hasFragmented = true;
+    const heading = Math.atan2(meteor.dirY, meteor.dirX);
+
+    meteor.fireball.sparks.forEach(({ angleOffset, speedFactor, life }) => {
+      const angle = heading + (angleOffset * Math.PI) / 180;
+      const speed = meteor.speed * speedFactor;
+      this.sparks.push({
+        x: meteor.x,
+        y: meteor.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        life,
+        age: 0,
+      });
+    });
+  }
+
+  /**
+   * Draw a meteor's tail and glowing head
+   * @param {CanvasMeteor} meteor - Meteor to draw
+   * @returns {void}
+   */
+  drawMeteor(meteor) {
+    const { headRadius, tailSeconds, headColor } = this.config.meteorCanvas;
+    const { headScale, tint, trainOpacity } = this.config.fireballs;
+    const ctx = this.ctx;
+    const opacity = meteor.brightness * getFade(meteor);
+    if (opacity <= 0) return;
+
+    // Fireballs: larger tinted head and tail, train laid down behind them
+    const isFireball = meteor.fireball !== null;
+    const tailColor = isFireball ? tint : this.config.meteorCanvas.tailColor;
+    const glowColor = isFireball ? tint : headColor;
+    const tailWidth =
+      this.config.meteorCanvas.tailWidth *
+      (isFireball ? FIREBALL_TAIL_WIDTH_SCALE : 1);
+    if (isFireball) {
+      this.drawTrain(
+        meteor.startX,
+        meteor.startY,
+        meteor.x,
+        meteor.y,
+        trainOpacity * getFade(meteor),
+      );
+    }
+
+    // Tail trails behind the head, longer while the meteor is fast
+    const tailLength = meteor.speed * tailSeconds;
+    const tailX = meteor.x - meteor.dirX * tailLength;
+    const tailY = meteor.y - meteor.dirY * tailLength;
+    const tail = ctx.createLinearGradient(meteor.x, meteor.y, tailX, tailY);
+    tail.addColorStop(0, `${tailColor}${opacity * 0.6})`);
+    tail.addColorStop(1, `${tailColor}0)`);
+    ctx.strokeStyle = tail;
+    ctx.lineWidth = tailWidth;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(meteor.x, meteor.y);
+    ctx.lineTo(tailX, tailY);
+    ctx.stroke();
+
+    // Head: bright core with a soft glow, like the DOM head's box-shadow
+    const glowRadius = headRadius * 2 * (isFireball ? headScale : 1);
+    const head = ctx.createRadialGradient(
+      meteor.x,
+      meteor.y,
+      0,
+      meteor.x,
+      meteor.y,
+      glowRadius,
+    );
+    head.addColorStop(0, `${headColor}${opacity})`);
+    head.addColorStop(0.5, `${glowColor}${opacity * 0.8})`);
+    head.addColorStop(1, `${glowColor}0)`);
+    ctx.fillStyle = head;
+    ctx.beginPath();
+    ctx.arc(meteor.x, meteor.y, glowRadius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Draw a fireball's persistent train, faint at its start and strongest at its end
+   * @param {number} x1 - Start X
+   * @param {number} y1 - Start Y
+   * @param {number} x2 - End X
+   * @param {number} y2 - End Y
+   * @param {number} opacity - Opacity at the end (0-1)
+   * @returns {void}
+   */
+  drawTrain(x1, y1, x2, y2, opacity) {
+    if (opacity <= 0) return;
+    const { tint } = this.config.fireballs;
+    const ctx = this.ctx;
+
+    const train = ctx.createLinearGradient(x1, y1, x2, y2);
+    train.addColorStop(0, `${tint}0)`);
+    train.addColorStop(1, `${tint}${opacity})`);
+    ctx.strokeStyle = train;
+    ctx.lineWidth = this.config.meteorCanvas.tailWidth;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  }
+
+  /**
+   * Move and draw one fireball spark
+   * @param {Object} spark - Spark with position, velocity, life and age
+   * @param {number} dt - Step in seconds
+   * @returns {boolean} False once the spark has faded out
+   */
+  updateSpark(spark, dt) {
+    const slowdown = (1 - SPARK_DRAG) ** dt;
+    spark.vx *= slowdown;
+    spark.vy *= slowdown;
+    spark.x += spark.vx * dt;
+    spark.y += spark.vy * dt;
+    spark.age += dt;
+    if (spark.age >= spark.life) return false;
+
+    const ctx = this.ctx;
+    ctx.fillStyle = `${this.config.fireballs.tint}${1 - spark.age / spark.life})`;
+    ctx.beginPath();
+    ctx.arc(spark.x, spark.y, SPARK_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    return true;
+  }
+
+  /**
+   * Age and draw a train left by a finished fireball
+   * @param {Object} train - Train with end points and age
+   * @param {number} dt - Step in seconds
+   * @returns {boolean} False once the train has faded out
+   */
+  updateTrain(train, dt) {
+    const { trainSeconds, trainOpacity } = this.config.fireballs;
+    train.age += dt;
+    if (train.age >= trainSeconds) return false;
+
+    this.drawTrain(
+      train.x1,
+      train.y1,
+      train.x2,
+      train.y2,
+      trainOpacity * (1 - train.age / trainSeconds),
+    );
+    return true;
+  }
+
+  // ============================================================
+  // ANIMATION LOOP
+  // Lines: 363-432
+  // ============================================================
+
+  /**
+   * Whether anything is left to animate (meteors, sparks or trains)
+   * @returns {boolean}
+   */
+  hasWork() {
+    return (
+      this.meteors.length > 0 ||
+      this.sparks.length > 0 ||
+      this.trains.length > 0
+    );
+  }
+
+  /**
+   * Request a frame if anything is on screen and none is pending
+   * @returns {void}
+   */
+  scheduleFrame() {
+    if (this.animationFrameId === null && this.isVisible && this.hasWork()) {
+      this.animationFrameId = requestAnimationFrame(this.render);
+    }
+  }
+
+  /**
+   * Move and draw every meteor, dropping the ones that burned out
+   * (trains first so meteors pass over them, sparks last)
+   * @param {number} currentTime - Current timestamp from requestAnimationFrame
+   * @returns {void}
+   */
+  render(currentTime) {
+    this.animationFrameId = null;
+    try {
+      const dt =
+        this.lastTime === null
+          ? 0
+          : Math.min((currentTime - this.lastTime) / 1000, MAX_STEP_SECONDS);
+      this.lastTime = currentTime;
+
+      this.ctx.clearRect(0, 0, this.width, this.height);
+      this.trains = this.trains.filter((train) => this.updateTrain(train, dt));
+      this.meteors = this.meteors.filter((meteor) => {
+        this.step(meteor, dt);
+        if (meteor.age >= meteor.duration) {
+          // A burned-out fireball leaves its train behind to fade
+          if (meteor.fireball) {
+            this.trains.push({
+              x1: meteor.startX,
+              y1: meteor.startY,
+              x2: meteor.x,
+              y2: meteor.y,
+              age: 0,
+            });
+          }
+          return false;
+        }
+        this.drawMeteor(meteor);
+        return true;
+      });
+      this.sparks = this.sparks.filter((spark) => this.updateSpark(spark, dt));
+    } catch (error) {
+      console.error("Error rendering meteors:", error);
+    }
+
+    if (!this.hasWork()) this.lastTime = null;
+    this.scheduleFrame();
+  }
+
+  // ============================================================
+  // PUBLIC CONTROL METHODS
+  // Lines: 434-478
+  // ============================================================
+
+  /**
+   * Pause or resume the loop with page visibility (meteors keep their state)
+   * @param {boolean} visible - Is page currently visible
+   * @returns {void}
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    if (visible) {
+      this.scheduleFrame();
+    } else {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+      this.lastTime = null;
+    }
+  }
+
+  /**
+   * Remove every meteor in flight, with any sparks and trains
+   * @returns {void}
+   */
+  clear() {
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    this.lastTime = null;
+    this.meteors = [];
+    this.sparks = [];
+    this.trains = [];
+    this.ctx?.clearRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Stop the loop and remove the canvas
+   * @returns {void}
+   */
+  destroy() {
+    this.clear();
+    this.canvas.remove();
+    this.ctx = null;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Meteor interaction module - Click, tap and keyboard meteors
+ * @module meteor-interaction
+ * @exports {attachMeteorInteraction}
+ * @imports None
+ * @description Lets visitors make a wish: clicking or tapping the sky sends a meteor
+ *   through the pointer, and a long press starts a small shower. The sky element is
+ *   made focusable so Enter (meteor) and Shift+Enter (shower) do the same from the
+ *   keyboard. Clicks on links and buttons inside the sky are left alone.
+ *   Rate limited by CONFIG.interaction.cooldownMs and maxMeteors so repeated clicks
+ *   can't flood the page with meteors. Each Sky attaches this when
+ *   config.interaction.enabled is on.
+ */
+
+// ============================================================
+// METEOR INTERACTION - Click, tap and keyboard meteors
+// Purpose: Pointer and keyboard triggers for meteors and showers
+// Lines: 1-210
+// ============================================================
+
+// ============================================================
+// CONSTANTS
+// Lines: 21-39
+// ============================================================
+
+// Presses on these keep their own behavior instead of launching meteors
+const INTERACTIVE_SELECTOR =
+  "a, button, input, select, textarea, label, summary, [tabindex]";
+
+/**
+ * Whether an event started on a control inside the sky (not the sky itself)
+ * @param {EventTarget} target - Event target
+ * @param {HTMLElement} element - Sky element
+ * @returns {boolean}
+ */
+function isControlTarget(target, element) {
+  const control = target.closest?.(INTERACTIVE_SELECTOR);
+  return Boolean(control) && control !== element && element.contains(control);
+}
+
+// ============================================================
+// ATTACH
+// Lines: 41-210
+// ============================================================
+
+/**
+ * Wire click/tap, long press and keyboard meteors to a sky element
+ * @param {HTMLElement} element - Sky element receiving the input
+ * @param {import("./meteors.js").MeteorSystem} meteors - Meteor system to launch from
+ * @param {Object} options - Interaction options
+ * @param {Config} options.config - Configuration for this sky
+ * @param {function(): boolean} options.canInteract - False while paused, hidden or holding still
+ * @returns {function(): void} Removes the listeners and restores the element
+ */
+export function attachMeteorInteraction(
+  element,
+  meteors,
+  { config, canInteract },
+) {
+  let lastLaunchTime = -Infinity;
+  let press = null; // { pointerId, x, y, timerId, isLongPress }
+  let suppressContextMenu = false;
+
+  /**
+   * Whether another meteor may launch now (cooldown and in-flight cap)
+   * The cooldown starts in startCooldown(), once something actually launched
+   * @returns {boolean}
+   */
+  const mayLaunch = () => {
+    const { cooldownMs, maxMeteors } = config.interaction;
+    if (performance.now() - lastLaunchTime < cooldownMs) return false;
+    return meteors.getMeteorCount() < maxMeteors;
+  };
+
+  /**
+   * Start the cooldown if a meteor or shower launched
+   * @param {boolean} launched - Whether the meteor system accepted the launch
+   * @returns {void}
+   */
+  const startCooldown = (launched) => {
+    if (launched) lastLaunchTime = performance.now();
+  };
+
+  /**
+   * Launch a meteor, through a client point if given
+   * @param {{x: number, y: number}|null} clientPoint - Pointer position in client pixels
+   * @returns {void}
+   */
+  const launchMeteor = (clientPoint) => {
+    if (!canInteract() || !mayLaunch()) return;
+
+    let target = null;
+    if (clientPoint) {
+      const rect = element.getBoundingClientRect();
+      target = {
+        x: ((clientPoint.x - rect.left) / rect.width) * 100,
+        y: ((clientPoint.y - rect.top) / rect.height) * 100,
+      };
+    }
+    startCooldown(meteors.launchMeteor(target));
+  };
+
+  /**
+   * Start a small shower (ignored while a shower is running)
+   * @returns {void}
+   */
+  const launchShower = () => {
+    if (!canInteract() || !mayLaunch()) return;
+    // A running shower ignores the request, so no cooldown either
+    startCooldown(meteors.triggerShower(config.interaction.showerCount));
+  };
+
+  /**
+   * Forget the current press
+   * @returns {void}
+   */
+  const cancelPress = () => {
+    if (press) clearTimeout(press.timerId);
+    press = null;
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 0 || !event.isPrimary) return;
+    if (isControlTarget(event.target, element) || !canInteract()) return;
+
+    cancelPress();
+    suppressContextMenu = false;
+    const current = {
+      pointerId: event.pointerId,
+      x: event.clientX,
+      y: event.clientY,
+      isLongPress: false,
+      timerId: null,
+    };
+    current.timerId = setTimeout(() => {
+      current.isLongPress = true;
+      suppressContextMenu = true;
+      launchShower();
+    }, config.interaction.longPressMs);
+    press = current;
+  };
+
+  const handlePointerMove = (event) => {
+    if (!press || event.pointerId !== press.pointerId) return;
+    const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+    // A drag or scroll is not a tap
+    if (moved > config.interaction.moveTolerance) cancelPress();
+  };
+
+  const handlePointerUp = (event) => {
+    if (!press || event.pointerId !== press.pointerId) return;
+    if (!press.isLongPress) {
+      launchMeteor({ x: event.clientX, y: event.clientY });
+    }
+    cancelPress();
+  };
+
+  // Touch browsers open a menu on long press; the shower replaces it
+  const handleContextMenu = (event) => {
+    if (!suppressContextMenu) return;
+    event.preventDefault();
+    suppressContextMenu = false;
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.target !== element || event.repeat) return;
+    if (event.key !== "Enter" && event.key !== " ") return;
+    event.preventDefault(); // Space would scroll the page
+    if (event.shiftKey) {
+      launchShower();
+    } else {
+      launchMeteor(null);
+    }
+  };
+
+  // Focusable with a name, unless the markup already says otherwise
+  const addedAttributes = [];
+  const setDefaultAttribute = (name, value) => {
+    if (element.hasAttribute(name)) return;
+    element.setAttribute(name, value);
+    addedAttributes.push(name);
+  };
+  setDefaultAttribute("tabindex", "0");
+  setDefaultAttribute("role", "group");
+  setDefaultAttribute("aria-label", config.interaction.label);
+  setDefaultAttribute("aria-keyshortcuts", "Enter Shift+Enter");
+  element.classList.add("sky-interactive");
+
+  element.addEventListener("pointerdown", handlePointerDown);
+  element.addEventListener("pointermove", handlePointerMove);
+  element.addEventListener("pointerup", handlePointerUp);
+  element.addEventListener("pointercancel", cancelPress);
+  element.addEventListener("pointerleave", cancelPress);
+  element.addEventListener("contextmenu", handleContextMenu);
+  element.addEventListener("keydown", handleKeyDown);
+
+  return () => {
+    cancelPress();
+    element.removeEventListener("pointerdown", handlePointerDown);
+    element.removeEventListener("pointermove", handlePointerMove);
+    element.removeEventListener("pointerup", handlePointerUp);
+    element.removeEventListener("pointercancel", cancelPress);
+    element.removeEventListener("pointerleave", cancelPress);
+    element.removeEventListener("contextmenu", handleContextMenu);
+    element.removeEventListener("keydown", handleKeyDown);
+
+    addedAttributes.forEach((name) => element.removeAttribute(name));
+    element.classList.remove("sky-interactive");
+  };
+}
@@ -1,38 +1,51 @@
 /**
  * @fileoverview Meteor system module - DOM-based meteor trails with CSS animations
  * @module meteors
- * @exports {initializeMeteorSystem, generateMeteorKeyframes, updateHeroDiagonal, startMeteors, stopMeteors, restartMeteors, setMeteorPageVisible}
- * @imports {CONFIG} from config.js
- * @imports {safeQuerySelector} from utils.js
+ * @exports {MeteorSystem}
+ * @imports {createRandom} from random.js
+ * @imports {MeteorCanvas} from meteor-canvas.js
+ * @imports {getObserver, projectEquatorial, toDegrees, normalizeDegrees} from astronomy.js
+ * @imports {getCalendarDate, getMeteorActivity} from shower-calendar.js
+ * @imports {skyToClientPoint} from utils.js
  * @description Manages shooting star effects using DOM elements with GPU-accelerated CSS animations.
  *   Features two parallel systems: continuous random meteors and periodic meteor showers.
  *   Dynamically generates CSS @keyframes based on viewport dimensions for responsive behavior.
+ *   Each MeteorSystem prefixes its keyframe names, so several skies can share one document.
+ *   With CONFIG.meteors.renderer "canvas" the same schedule feeds a MeteorCanvas layer
+ *   instead: no keyframes, any angle, per-meteor speed and brightness.
+ *   With CONFIG.showerCalendar enabled the single-meteor streams run at the date's real
+ *   rate (sporadic background plus any active annual shower, see shower-calendar.js),
+ *   shower meteors diverge from the shower's radiant, and random showers are not scheduled.
+ *   CONFIG.meteors.radiant gives every meteor a radiant on the rotating night sky instead
+ *   of the top-right band; meteors near a radiant are foreshortened.
+ *   A CONFIG.fireballs.probability share of meteors are fireballs: bigger and tinted,
+ *   breaking into sparks, leaving a lingering train and briefly brightening the sky.
+ *   launchMeteor() sends a meteor through a point (click/tap, see meteor-interaction.js).
  * @performance GPU-accelerated CSS transforms, dynamic keyframe generation, timeout tracking for cleanup
  */
 
 // ============================================================
 // METEOR SYSTEM - DOM-based meteor trails with CSS animations
 // Purpose: Random meteors and periodic showers with dynamic keyframes
-// Lines: 1-434
+// Lines: 1-1111
 // ============================================================
 
-import { CONFIG } from "./config.js";
-import { safeQuerySelector } from "./utils.js";
+import { createRandom } from "./random.js";
+import { MeteorCanvas } from "./meteor-canvas.js";
+import {
+  getObserver,
+  projectEquatorial,
+  toDegrees,
+  normalizeDegrees,
+} from "./astronomy.js";
+import { getCalendarDate, getMeteorActivity } from "./shower-calendar.js";
+import { skyToClientPoint } from "./utils.js";
 
 // ============================================================
-// STATE MANAGEMENT
-// Lines: 22-46
+// CONSTANTS
+// Lines: 44-97
 // ============================================================
 
-// DOM elements
-let meteorsContainer = null;
-let heroElement = null;
-let heroDiagonal = 0;
-
-// Shower state
-let isShowerActive = false;
-let isPageVisible = !document.hidden;
-
 // Preset angles for consistent meteor trajectories (degrees, CSS rotation)
 // Range: 130-165° = diagonal movement from top-right to bottom-left
 const METEOR_ANGLES = [130, 135, 140, 145, 150, 155, 160, 165];
@@ -40,398 +53,1059 @@ const METEOR_ANGLES = [130, 135, 140, 145, 150, 155, 160, 165];
 // Distance tiers create depth by varying travel distance
 const DISTANCE_TIERS = ["short", "med", "long"];
 
-// Meteor timeout tracking for pause/resume
-let activeMeteorTimeouts = [];
-let activeShowerTimeouts = [];
+// Meteors leaving a radiant can head any way; the DOM renderer
+// gets keyframes every 15° around the circle for them
+const RADIANT_ANGLE_STEP = 15;
+const RADIANT_ANGLES = Array.from(
+  { length: 360 / RADIANT_ANGLE_STEP },
+  (_, i) => i * RADIANT_ANGLE_STEP,
+);
 
-// ============================================================
-// INITIALIZATION
-// Lines: 47-76
-// ============================================================
+// Shortened travel distances (fraction of the usual) for DOM meteors near a radiant
+const SHORT_TIERS = { r25: 0.25, r50: 0.5, r75: 0.75 };
+
+// Atmospheric entry speeds (km/s) mapped onto meteorCanvas.speedMin-speedMax
+const ENTRY_SPEED_MIN = 11;
+const ENTRY_SPEED_MAX = 72;
 
 /**
- * Initialize meteor system DOM references and cache hero dimensions
- * @returns {boolean} True if initialization successful
+ * Smallest difference between two angles
+ * @param {number} a - Angle in degrees
+ * @param {number} b - Angle in degrees
+ * @returns {number} Degrees (0-180)
  */
-export function initializeMeteorSystem() {
-  try {
-    meteorsContainer = safeQuerySelector(
-      "#meteorsContainer",
-      "Meteors container not found",
-    );
-    heroElement = safeQuerySelector(".hero", "Hero element not found");
+function angleDifference(a, b) {
+  return Math.abs(((((a - b) % 360) + 540) % 360) - 180);
+}
 
-    // Cache hero dimensions
-    const heroRect = heroElement.getBoundingClientRect();
-    const heroWidth = heroRect.width;
-    const heroHeight = heroRect.height;
-    heroDiagonal = Math.sqrt(heroWidth ** 2 + heroHeight ** 2);
+/**
+ * Create meteor DOM elements (head + tail)
+ * @returns {HTMLDivElement} Meteor container element
+ */
+function createMeteorElements() {
+  const meteor = document.createElement("div");
+  meteor.className = "meteor";
 
-    return true;
-  } catch (error) {
-    console.error("Failed to initialize meteor system:", error);
-    return false;
-  }
+  const head = document.createElement("div");
+  head.className = "meteor-head";
+  const tail = document.createElement("div");
+  tail.className = "meteor-tail";
+  meteor.appendChild(head);
+  meteor.appendChild(tail);
+
+  return meteor;
 }
 
 // ============================================================
-// KEYFRAME GENERATION
-// Lines: 77-164
+// METEOR SYSTEM
+// Lines: 99-163
 // ============================================================
 
 /**
- * Generate CSS @keyframes dynamically based on viewport size
- *
- * Why dynamic? Meteor travel distance depends on viewport diagonal,
- * which varies with window size. We generate keyframes for each
- * angle × distance combination (8 angles × 3 distances = 24 keyframes).
+ * Meteors and showers for one sky
  *
- * This approach uses GPU-accelerated CSS animations instead of JS,
- * while still being responsive to window size.
- *
- * @returns {void}
+ * Usage:
+ *   const meteors = new MeteorSystem({ container, hero, config, seed, keyframePrefix: "sky1" });
+ *   if (meteors.initialize()) {
+ *     meteors.prepareRenderer(); // keyframes or canvas layer, per config.meteors.renderer
+ *     meteors.start();
+ *   }
  */
-export function generateMeteorKeyframes() {
-  try {
-    if (!heroDiagonal) {
-      console.warn("heroDiagonal not initialized");
-      return;
+export class MeteorSystem {
+  /**
+   * @param {Object} options - Meteor system options
+   * @param {HTMLElement} options.container - Element meteors are appended to
+   * @param {HTMLElement} options.hero - Element whose diagonal sets travel distance
+   * @param {Config} options.config - Configuration for this sky
+   * @param {string} options.seed - Seed for the meteor stream
+   * @param {string} options.keyframePrefix - Prefix for @keyframes names and the style element id
+   * @param {Node} [options.styleRoot=document.head] - Where the keyframes <style> is appended
+   * @param {HTMLElement} [options.nightSky] - Rotating sky that shower radiants are placed on
+   */
+  constructor({
+    container,
+    hero,
+    config,
+    seed,
+    keyframePrefix,
+    styleRoot = document.head,
+    nightSky = null,
+  }) {
+    // DOM elements
+    this.meteorsContainer = container;
+    this.heroElement = hero;
+    this.nightSkyElement = nightSky;
+    this.heroWidth = 0;
+    this.heroHeight = 0;
+    this.heroDiagonal = 0;
+    this.keyframePrefix = keyframePrefix;
+    this.styleRoot = styleRoot;
+    this.keyframesStyle = null;
+    this.canvasLayer = null; // MeteorCanvas when config.meteors.renderer is "canvas"
+    this.config = config;
+
+    // Shower state
+    this.isShowerActive = false;
+    this.isPageVisible = !document.hidden;
+
+    // Cap on parallel single-meteor streams from the sky's quality tier
+    this.streamLimit = Infinity;
+
+    // Latest shower calendar rates (config.showerCalendar.enabled only)
+    this.activity = null;
+
+    // Meteor timeout tracking for pause/resume
+    this.activeMeteorTimeouts = [];
+    this.activeShowerTimeouts = [];
+
+    // Seeded generator for positions, angles and scheduling
+    this.setSeed(seed);
+  }
+
+  // ============================================================
+  // INITIALIZATION
+  // Lines: 165-194
+  // ============================================================
+
+  /**
+   * Cache hero dimensions for keyframe generation
+   * @returns {boolean} True if initialization successful
+   */
+  initialize() {
+    try {
+      if (!this.meteorsContainer || !this.heroElement) {
+        throw new Error("Meteors container or hero element missing");
+      }
+      this.updateHeroDiagonal();
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize meteor system:", error);
+      return false;
     }
+  }
+
+  /**
+   * Restart the meteor stream from a new seed
+   * @param {string} seed - Seed value
+   * @returns {void}
+   */
+  setSeed(seed) {
+    this.random = createRandom(seed, "meteors");
+  }
 
+  // ============================================================
+  // RENDERER SETUP
+  // Lines: 196-250
+  // ============================================================
+
+  /**
+   * Set up the configured renderer for the current hero size:
+   * prefixed keyframes for "dom", a sized canvas layer for "canvas"
+   * Switching renderers (setConfig) removes the other one's keyframes or layer
+   * @returns {void}
+   */
+  prepareRenderer() {
+    if (this.config.meteors.renderer === "canvas") {
+      if (!this.canvasLayer) this.canvasLayer = this.createCanvasLayer();
+      if (this.canvasLayer) {
+        this.removeKeyframes();
+        this.canvasLayer.resize();
+        return;
+      }
+    } else if (this.canvasLayer) {
+      this.canvasLayer.destroy();
+      this.canvasLayer = null;
+    }
+    this.generateKeyframes();
+  }
+
+  /**
+   * Create the canvas meteor layer
+   * @returns {MeteorCanvas|null} Layer, or null to fall back to DOM meteors
+   */
+  createCanvasLayer() {
+    try {
+      const layer = new MeteorCanvas({
+        container: this.meteorsContainer,
+        config: this.config,
+      });
+      if (!layer.ctx) {
+        layer.destroy();
+        throw new Error("2D context unavailable");
+      }
+      return layer;
+    } catch (error) {
+      console.warn("Canvas meteors unavailable, falling back to DOM:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the injected keyframes <style>
+   * @returns {void}
+   */
+  removeKeyframes() {
+    if (this.keyframesStyle) this.keyframesStyle.remove();
+    this.keyframesStyle = null;
+  }
+
+  // ============================================================
+  // KEYFRAME GENERATION
+  // Lines: 252-381
+  // ============================================================
+
+  /**
+   * CSS animation name for an angle and distance tier
+   * @param {number} angle - Meteor angle in degrees
+   * @param {string} tier - Distance tier
+   * @returns {string} Prefixed @keyframes name
+   */
+  getAnimationName(angle, tier) {
+    return `${this.keyframePrefix}-meteor-${angle}-${tier}`;
+  }
+
+  /**
+   * Generate CSS @keyframes dynamically based on viewport size
+   *
+   * Why dynamic? Meteor travel distance depends on viewport diagonal,
+   * which varies with window size. We generate keyframes for each
+   * angle × distance combination (8 angles × 3 distances = 24 keyframes;
+   * with radiants, 29 angles × 6 distances including the shortened ones).
+   *
+   * This approach uses GPU-accelerated CSS animations instead of JS,
+   * while still being responsive to window size.
+   *
+   * @returns {void}
+   */
+  generateKeyframes() {
+    try {
+      if (!this.heroDiagonal) {
+        console.warn("heroDiagonal not initialized");
+        return;
+      }
+
+      const distances = this.getTierDistances();
+      let keyframesCSS = "";
+
+      this.getKeyframeAngles().forEach((angle) => {
+        const radians = (angle * Math.PI) / 180;
+
+        Object.entries(distances).forEach(([tier, distance]) => {
+          const endX = Math.cos(radians) * distance;
+          const endY = Math.sin(radians) * distance;
+
+          keyframesCSS += `
+            @keyframes ${this.getAnimationName(angle, tier)} {
+              0% {
+                opacity: 0;
+                transform: translate3d(0, 0, 0) rotate(${angle}deg);
+              }
+              5% {
+                opacity: 1;
+              }
+              95% {
+                opacity: 1;
+              }
+              100% {
+                opacity: 0;
+                transform: translate3d(${endX}px, ${endY}px, 0) rotate(${angle}deg);
+              }
+            }
+          `;
+        });
+      });
+
+      // Remove old keyframes if they exist
+      this.removeKeyframes();
+
+      // Add new keyframes
+      const style = document.createElement("style");
+      style.id = `${this.keyframePrefix}-meteor-keyframes`;
+      style.textContent = keyframesCSS;
+      this.styleRoot.appendChild(style);
+      this.keyframesStyle = style;
+    } catch (error) {
+      console.error("Failed to generate meteor keyframes:", error);
+    }
+  }
+
+  /**
+   * Travel distance of each distance tier for the current hero size
+   * @returns {Object<string, number>} Pixels by tier name
+   */
+  getTierDistances() {
     // Three distance tiers for visual depth (±25px from diagonal)
     const distances = {
-      short: heroDiagonal - 25,
-      med: heroDiagonal,
-      long: heroDiagonal + 25,
+      short: this.heroDiagonal - 25,
+      med: this.heroDiagonal,
+      long: this.heroDiagonal + 25,
     };
+    if (this.usesRadiants()) {
+      Object.entries(SHORT_TIERS).forEach(([tier, fraction]) => {
+        distances[tier] = this.heroDiagonal * fraction;
+      });
+    }
+    return distances;
+  }
 
-    let keyframesCSS = "";
+  /**
+   * Whether meteors may leave from a radiant (shower calendar or meteors.radiant)
+   * @returns {boolean}
+   */
+  usesRadiants() {
+    return (
+      this.config.showerCalendar.enabled || this.config.meteors.radiant.enabled
+    );
+  }
 
-    METEOR_ANGLES.forEach((angle) => {
-      const radians = (angle * Math.PI) / 180;
+  /**
+   * Angles with keyframes: the preset pool, plus a full circle for
+   * radiant meteors
+   * @returns {Array<number>} Angles in degrees
+   */
+  getKeyframeAngles() {
+    if (!this.usesRadiants()) return METEOR_ANGLES;
+    return [...new Set([...METEOR_ANGLES, ...RADIANT_ANGLES])];
+  }
 
-      DISTANCE_TIERS.forEach((tier) => {
-        const distance = distances[tier];
-        const endX = Math.cos(radians) * distance;
-        const endY = Math.sin(radians) * distance;
+  /**
+   * Update hero size and diagonal (called on resize)
+   * @returns {void}
+   */
+  updateHeroDiagonal() {
+    if (!this.heroElement) return;
+    const heroRect = this.heroElement.getBoundingClientRect();
+    this.heroWidth = heroRect.width;
+    this.heroHeight = heroRect.height;
+    this.heroDiagonal = Math.sqrt(this.heroWidth ** 2 + this.heroHeight ** 2);
+  }
 
-        keyframesCSS += `
-          @keyframes meteor-${angle}-${tier} {
-            0% {
-              opacity: 0;
-              transform: translate3d(0, 0, 0) rotate(${angle}deg);
-            }
-            5% {
-              opacity: 1;
-            }
-            95% {
-              opacity: 1;
-            }
-            100% {
-              opacity: 0;
-              transform: translate3d(${endX}px, ${endY}px, 0) rotate(${angle}deg);
-            }
-          }
-        `;
-      });
-    });
+  // ============================================================
+  // RADIANTS
+  // Lines: 383-460
+  // ============================================================
 
-    // Remove old keyframes if they exist
-    const oldStyle = document.getElementById("meteor-keyframes");
-    if (oldStyle) oldStyle.remove();
+  /**
+   * Where meteors should leave from, as fractions of the night sky
+   * A calendar shower's radiant (projected for the calendar date) wins;
+   * otherwise meteors.radiant while the shower calendar is off
+   * @param {import("./shower-calendar.js").MeteorShower|null} shower - Calendar shower
+   * @returns {{x: number, y: number}|null} Null for the classic top-right trajectories
+   */
+  getSkyRadiant(shower) {
+    if (shower) {
+      const observer = {
+        ...getObserver(this.config),
+        date: getCalendarDate(this.config),
+      };
+      // A 1×1 canvas gives the position as fractions of the sky
+      return projectEquatorial(shower.ra, shower.dec, observer, 1, 1);
+    }
 
-    // Add new keyframes
-    const style = document.createElement("style");
-    style.id = "meteor-keyframes";
-    style.textContent = keyframesCSS;
-    document.head.appendChild(style);
-  } catch (error) {
-    console.error("Failed to generate meteor keyframes:", error);
+    const { radiant } = this.config.meteors;
+    if (radiant.enabled && !this.config.showerCalendar.enabled) return radiant;
+    return null;
   }
-}
 
-/**
- * Update hero diagonal (called on resize)
- * @returns {void}
- */
-export function updateHeroDiagonal() {
-  if (!heroElement) return;
-  const heroRect = heroElement.getBoundingClientRect();
-  const heroWidth = heroRect.width;
-  const heroHeight = heroRect.height;
-  heroDiagonal = Math.sqrt(heroWidth ** 2 + heroHeight ** 2);
-}
+  /**
+   * Where the radiant is right now, in hero percentages
+   * Carried round by the night sky's rotation, so showers drift with the stars
+   * @param {import("./shower-calendar.js").MeteorShower|null} [shower] - Calendar shower
+   * @returns {{x: number, y: number}|null} Null without a radiant or a night sky to place it on
+   */
+  getRadiantPosition(shower = null) {
+    if (!this.nightSkyElement) return null;
+    const sky = this.getSkyRadiant(shower);
+    if (!sky) return null;
 
-// ============================================================
-// METEOR CREATION
-// Lines: 165-284
-// ============================================================
+    const client = skyToClientPoint(this.nightSkyElement, sky.x, sky.y);
+    const heroRect = this.heroElement.getBoundingClientRect();
 
-/**
- * Calculate random start position for meteor
- * @returns {{x: number, y: number}} Start position in percentage
- */
-function calculateMeteorStartPosition() {
-  const startX =
-    CONFIG.meteors.startXMax -
-    Math.random() * (CONFIG.meteors.startXMax - CONFIG.meteors.startXMin);
-  let startY;
-  if (startX < 100) {
-    startY =
-      CONFIG.meteors.startYMin.whenXInBounds +
-      Math.random() *
-        (CONFIG.meteors.startYMax - CONFIG.meteors.startYMin.whenXInBounds);
-  } else {
-    startY =
-      CONFIG.meteors.startYMin.whenXOutOfBounds +
-      Math.random() *
-        (CONFIG.meteors.startYMax - CONFIG.meteors.startYMin.whenXOutOfBounds);
-  }
-  return { x: startX, y: startY };
-}
+    return {
+      x: ((client.x - heroRect.left) / heroRect.width) * 100,
+      y: ((client.y - heroRect.top) / heroRect.height) * 100,
+    };
+  }
 
-/**
- * Select meteor angle from preset pool
- * @param {number|null} baseAngle - Base angle for shower (null for random)
- * @returns {number} Selected angle in degrees
- */
-function selectMeteorAngle(baseAngle = null) {
-  if (baseAngle !== null) {
-    // For meteor showers, find closest preset angle to baseAngle
-    return METEOR_ANGLES.reduce((prev, curr) =>
-      Math.abs(curr - baseAngle) < Math.abs(prev - baseAngle) ? curr : prev,
+  /**
+   * Pick a start in view for a radiant meteor, heading directly away from the radiant
+   *
+   * Meteors near the radiant travel mostly toward the viewer, so they are
+   * foreshortened: trail length rises with distance from the radiant (a sine,
+   * like the real angular effect) up to full length at radiant.shortenWithin.
+   *
+   * @param {{x: number, y: number}} radiant - Radiant position in hero percentages
+   * @returns {{x: number, y: number, angle: number, lengthFactor: number}} Start in percentages,
+   *   angle in degrees, trail length relative to a full meteor
+   */
+  calculateRadiantTrajectory(radiant) {
+    const { startYMax, radiant: radiantConfig } = this.config.meteors;
+    const x = this.random() * 100;
+    const y = this.random() * startYMax;
+
+    const dx = ((x - radiant.x) / 100) * this.heroWidth;
+    const dy = ((y - radiant.y) / 100) * this.heroHeight;
+    const angle = normalizeDegrees(toDegrees(Math.atan2(dy, dx)));
+
+    const reach = Math.min(
+      1,
+      Math.hypot(dx, dy) /
+        (radiantConfig.shortenWithin * this.heroDiagonal || 1),
     );
-  } else {
-    // Random angle from preset pool
-    return METEOR_ANGLES[Math.floor(Math.random() * METEOR_ANGLES.length)];
+    const { minLength } = radiantConfig;
+    const lengthFactor =
+      minLength + (1 - minLength) * Math.sin((reach * Math.PI) / 2);
+
+    return { x, y, angle, lengthFactor };
   }
-}
 
-/**
- * Create meteor DOM elements (head + tail)
- * @returns {HTMLDivElement} Meteor container element
- */
-function createMeteorElements() {
-  const meteor = document.createElement("div");
-  meteor.className = "meteor";
+  // ============================================================
+  // METEOR CREATION
+  // Lines: 462-689
+  // ============================================================
 
-  const head = document.createElement("div");
-  head.className = "meteor-head";
-  const tail = document.createElement("div");
-  tail.className = "meteor-tail";
-  meteor.appendChild(head);
-  meteor.appendChild(tail);
+  /**
+   * Calculate random start position for meteor
+   * @returns {{x: number, y: number}} Start position in percentage
+   */
+  calculateStartPosition() {
+    const meteors = this.config.meteors;
+    const startX =
+      meteors.startXMax -
+      this.random() * (meteors.startXMax - meteors.startXMin);
+    let startY;
+    if (startX < 100) {
+      startY =
+        meteors.startYMin.whenXInBounds +
+        this.random() * (meteors.startYMax - meteors.startYMin.whenXInBounds);
+    } else {
+      startY =
+        meteors.startYMin.whenXOutOfBounds +
+        this.random() *
+          (meteors.startYMax - meteors.startYMin.whenXOutOfBounds);
+    }
+    return { x: startX, y: startY };
+  }
 
-  return meteor;
-}
+  /**
+   * Select meteor angle from preset pool
+   * @param {number|null} baseAngle - Base angle for shower (null for random)
+   * @returns {number} Selected angle in degrees
+   */
+  selectAngle(baseAngle = null) {
+    if (baseAngle !== null) {
+      // For meteor showers, find closest keyframe angle to baseAngle
+      return this.getKeyframeAngles().reduce((prev, curr) =>
+        angleDifference(curr, baseAngle) < angleDifference(prev, baseAngle)
+          ? curr
+          : prev,
+      );
+    } else {
+      // Random angle from preset pool
+      return METEOR_ANGLES[Math.floor(this.random() * METEOR_ANGLES.length)];
+    }
+  }
 
-/**
- * Select animation name based on angle and random distance tier
- * @param {number} angle - Meteor angle in degrees
- * @returns {string} CSS animation name
- */
-function selectMeteorAnimation(angle) {
-  const distanceTier =
-    DISTANCE_TIERS[Math.floor(Math.random() * DISTANCE_TIERS.length)];
-  return `meteor-${angle}-${distanceTier}`;
-}
+  /**
+   * Select a random distance tier
+   * Foreshortened radiant meteors get the nearest shortened tier instead
+   * @param {number} [lengthFactor=1] - Trail length relative to a full meteor
+   * @returns {string} Distance tier
+   */
+  selectDistanceTier(lengthFactor = 1) {
+    if (lengthFactor < 0.875) {
+      const [shortTier] = Object.entries(SHORT_TIERS).reduce((best, entry) =>
+        Math.abs(entry[1] - lengthFactor) < Math.abs(best[1] - lengthFactor)
+          ? entry
+          : best,
+      );
+      return shortTier;
+    }
+    return DISTANCE_TIERS[Math.floor(this.random() * DISTANCE_TIERS.length)];
+  }
 
-/**
- * Create and animate a single meteor
- * @param {number|null} baseAngle - Base angle for shower (null for random)
- * @returns {void}
- */
-function createMeteor(baseAngle = null) {
-  try {
-    if (!meteorsContainer || !heroDiagonal) {
-      console.warn("Meteor system not properly initialized");
-      return;
+  /**
+   * Pick a start just before a target point so the meteor passes through it
+   * @param {{x: number, y: number}} target - Point in hero percentages
+   * @returns {{x: number, y: number, angle: number, lengthFactor: number}} Trajectory
+   */
+  calculateTargetTrajectory(target) {
+    const { angleMin, angleMax } = this.config.meteors;
+    // DOM meteors need a keyframe angle to pass exactly through the target
+    const angle = this.canvasLayer
+      ? angleMin + this.random() * (angleMax - angleMin)
+      : this.selectAngle();
+    const radians = (angle * Math.PI) / 180;
+    const { approachDistance } = this.config.interaction;
+
+    return {
+      x:
+        target.x -
+        ((Math.cos(radians) * approachDistance) / this.heroWidth) * 100,
+      y:
+        target.y -
+        ((Math.sin(radians) * approachDistance) / this.heroHeight) * 100,
+      angle,
+      lengthFactor: 1,
+    };
+  }
+
+  /**
+   * Launch a meteor on the canvas layer
+   * Any angle in the configured range; shower meteors scatter around the shower angle,
+   * or leave the radiant at the calendar shower's entry speed
+   * @param {number|null} baseAngle - Base angle for shower (null for random)
+   * @param {{x: number, y: number, angle: number, lengthFactor: number}|null} trajectory - Radiant or target trajectory
+   * @param {import("./shower-calendar.js").MeteorShower|null} shower - Calendar shower
+   * @returns {void}
+   */
+  createCanvasMeteor(baseAngle, trajectory, shower) {
+    const { angleMin, angleMax, durationMin, durationMax } =
+      this.config.meteors;
+    const {
+      speedMin,
+      speedMax,
+      brightnessMin,
+      brightnessMax,
+      showerAngleSpread,
+    } = this.config.meteorCanvas;
+    const startPos = trajectory ?? this.calculateStartPosition();
+
+    let angle;
+    if (trajectory) {
+      angle = trajectory.angle;
+    } else if (baseAngle === null) {
+      angle = angleMin + this.random() * (angleMax - angleMin);
+    } else {
+      angle = baseAngle + (this.random() - 0.5) * showerAngleSpread;
     }
 
-    const meteor = createMeteorElements();
-    const startPos = calculateMeteorStartPosition();
+    // Fast showers (Leonids) streak, slow ones (Geminids) drift
+    const speedFraction = shower
+      ? Math.min(
+          1,
+          Math.max(
+            0,
+            (shower.speed - ENTRY_SPEED_MIN) /
+              (ENTRY_SPEED_MAX - ENTRY_SPEED_MIN),
+          ),
+        )
+      : this.random();
 
-    meteor.style.left = startPos.x + "%";
-    meteor.style.top = startPos.y + "%";
+    const brightness =
+      brightnessMin + this.random() * (brightnessMax - brightnessMin);
+    const duration = durationMin + this.random() * (durationMax - durationMin);
+    const fireball = this.createFireball();
 
-    const angle = selectMeteorAngle(baseAngle);
-    const animationName = selectMeteorAnimation(angle);
+    this.canvasLayer.spawn({
+      x: startPos.x / 100,
+      y: startPos.y / 100,
+      angle,
+      // Foreshortened near a radiant: slower across the sky, so a shorter path and tail
+      speed:
+        (speedMin + speedFraction * (speedMax - speedMin)) *
+        (trajectory ? trajectory.lengthFactor : 1),
+      // Fireballs outshine everything else
+      brightness: fireball ? 1 : brightness,
+      duration,
+      fireball,
+    });
+    if (fireball) this.scheduleFlash(duration);
+  }
 
-    const duration =
-      CONFIG.meteors.durationMin +
-      Math.random() * (CONFIG.meteors.durationMax - CONFIG.meteors.durationMin);
-    meteor.style.animation = `${animationName} ${duration}s linear forwards`;
+  /**
+   * Create and animate a single meteor
+   * @param {number|null} baseAngle - Base angle for shower (null for random)
+   * @param {import("./shower-calendar.js").MeteorShower|null} [shower] - Calendar shower to radiate from
+   * @param {{x: number, y: number}|null} [target] - Point to pass through, in hero percentages
+   * @returns {void}
+   */
+  createMeteor(baseAngle = null, shower = null, target = null) {
+    try {
+      if (!this.meteorsContainer || !this.heroDiagonal) {
+        console.warn("Meteor system not properly initialized");
+        return;
+      }
 
-    meteorsContainer.appendChild(meteor);
+      let trajectory = null;
+      if (target) {
+        trajectory = this.calculateTargetTrajectory(target);
+      } else {
+        const radiant = this.getRadiantPosition(shower);
+        if (radiant) trajectory = this.calculateRadiantTrajectory(radiant);
+      }
 
-    // Track cleanup timeout so it can be cleared when page is hidden
-    const cleanupTimeoutId = setTimeout(() => {
-      try {
-        // Only cleanup if page is still visible
-        // If hidden, meteors will be cleaned up on visibility change
-        if (isPageVisible && meteor.parentNode) {
-          meteor.remove();
-        }
-      } catch (cleanupError) {
-        console.warn("Error during meteor cleanup:", cleanupError);
+      if (this.canvasLayer) {
+        this.createCanvasMeteor(baseAngle, trajectory, shower);
+        return;
+      }
+
+      const { durationMin, durationMax } = this.config.meteors;
+      const meteor = createMeteorElements();
+      const startPos = trajectory ?? this.calculateStartPosition();
+
+      meteor.style.left = startPos.x + "%";
+      meteor.style.top = startPos.y + "%";
+
+      const angle = this.selectAngle(trajectory ? trajectory.angle : baseAngle);
+      const tier = this.selectDistanceTier(
+        trajectory ? trajectory.lengthFactor : 1,
+      );
+      const animationName = this.getAnimationName(angle, tier);
+
+      const duration =
+        durationMin + this.random() * (durationMax - durationMin);
+      meteor.style.animation = `${animationName} ${duration}s linear forwards`;
+
+      this.meteorsContainer.appendChild(meteor);
+
+      const fireball = this.createFireball();
+      if (fireball) {
+        this.decorateFireball(meteor, {
+          fireball,
+          startPos,
+          angle,
+          distance: this.getTierDistances()[tier],
+          duration,
+        });
       }
-    }, duration * 1000);
-    activeMeteorTimeouts.push(cleanupTimeoutId);
-  } catch (error) {
-    console.error("Error creating meteor:", error);
+
+      // Track cleanup timeout so it can be cleared when page is hidden
+      const cleanupTimeoutId = setTimeout(() => {
+        try {
+          // Only cleanup if page is still visible
+          // If hidden, meteors will be cleaned up on visibility change
+          if (this.isPageVisible && meteor.parentNode) {
+            meteor.remove();
+          }
+        } catch (cleanupError) {
+          console.warn("Error during meteor cleanup:", cleanupError);
+        }
+      }, duration * 1000);
+      this.activeMeteorTimeouts.push(cleanupTimeoutId);
+    } catch (error) {
+      console.error("Error creating meteor:", error);
+    }
   }
-}
 
-// ============================================================
-// SHOWER SYSTEM
-// Lines: 285-346
-// ============================================================
+  // ============================================================
+  // FIREBALLS
+  // Lines: 691-830
+  // ============================================================
 
-/**
- * Trigger a meteor shower with multiple meteors at similar angles
- * @returns {void}
- */
-function triggerMeteorShower() {
-  if (isShowerActive || !isPageVisible) return;
-
-  isShowerActive = true;
-  const showerAngle =
-    CONFIG.meteors.angleMin +
-    Math.random() * (CONFIG.meteors.angleMax - CONFIG.meteors.angleMin);
-  const numMeteors =
-    CONFIG.meteors.showerCountMin +
-    Math.floor(
-      Math.random() *
-        (CONFIG.meteors.showerCountMax - CONFIG.meteors.showerCountMin + 1),
+  /**
+   * Roll for a fireball and, if it is one, pick its sparks
+   * @returns {{sparks: Array<import("./meteor-canvas.js").FireballSpark>}|null} Null for a normal meteor
+   */
+  createFireball() {
+    const {
+      probability,
+      sparkCountMin,
+      sparkCountMax,
+      sparkLifeMin,
+      sparkLifeMax,
+      sparkSpread,
+    } = this.config.fireballs;
+    // No draw when disabled, so fireballs off leaves the seeded stream as it was
+    if (probability <= 0 || this.random() >= probability) return null;
+
+    const count =
+      sparkCountMin +
+      Math.floor(this.random() * (sparkCountMax - sparkCountMin + 1));
+    const sparks = Array.from({ length: count }, () => ({
+      angleOffset: (this.random() * 2 - 1) * sparkSpread,
+      speedFactor: 0.5 + this.random() * 0.4, // Fragments lag the main body
+      life: sparkLifeMin + this.random() * (sparkLifeMax - sparkLifeMin),
+    }));
+    return { sparks };
+  }
+
+  /**
+   * Add a DOM fireball's look: tinted bigger head, sparks where it breaks up,
+   * a train along its path and the sky flash
+   * @param {HTMLDivElement} meteor - Meteor element, already animating
+   * @param {Object} options - Fireball flight
+   * @param {{sparks: Array<import("./meteor-canvas.js").FireballSpark>}} options.fireball - From createFireball()
+   * @param {{x: number, y: number}} options.startPos - Start position in percentage
+   * @param {number} options.angle - Heading in degrees
+   * @param {number} options.distance - Travel distance in pixels
+   * @param {number} options.duration - Flight time in seconds
+   * @returns {void}
+   */
+  decorateFireball(meteor, { fireball, startPos, angle, distance, duration }) {
+    const { tint, headScale, fragmentAt, trainSeconds, trainOpacity } =
+      this.config.fireballs;
+    const radians = (angle * Math.PI) / 180;
+
+    meteor.classList.add("fireball");
+    meteor.style.setProperty("--fireball-tint", `${tint}1)`);
+    meteor.style.setProperty("--fireball-scale", headScale);
+
+    // Train: drawn out behind the head, then left to fade
+    const train = document.createElement("div");
+    train.className = "fireball-train";
+    train.style.left = startPos.x + "%";
+    train.style.top = startPos.y + "%";
+    train.style.width = `${distance}px`;
+    train.style.transform = `rotate(${angle}deg)`;
+    train.style.setProperty("--fireball-tint", `${tint}1)`);
+    train.style.setProperty("--train-opacity", trainOpacity);
+    train.style.animation = `fireball-train-grow ${duration}s linear forwards, fireball-train-fade ${trainSeconds}s ease-out ${duration}s forwards`;
+    this.meteorsContainer.appendChild(train);
+    this.removeLater(train, (duration + trainSeconds) * 1000);
+
+    // Sparks burst from where the head is when it breaks up
+    const breakupX = Math.cos(radians) * distance * fragmentAt;
+    const breakupY = Math.sin(radians) * distance * fragmentAt;
+    const speed = distance / duration;
+    const burst = document.createElement("div");
+    burst.className = "fireball-burst";
+    burst.style.left = startPos.x + "%";
+    burst.style.top = startPos.y + "%";
+    burst.style.transform = `translate(${breakupX}px, ${breakupY}px)`;
+    burst.style.setProperty("--fireball-tint", `${tint}1)`);
+    fireball.sparks.forEach(({ angleOffset, speedFactor, life }) => {
+      const sparkRadians = radians + (angleOffset * Math.PI) / 180;
+      // Eased to a stop, so each spark covers about half its drag-free distance
+      const reach = speed * speedFactor * life * 0.5;
+      const spark = document.createElement("div");
+      spark.className = "fireball-spark";
+      spark.style.setProperty(
+        "--spark-x",
+        `${Math.cos(sparkRadians) * reach}px`,
+      );
+      spark.style.setProperty(
+        "--spark-y",
+        `${Math.sin(sparkRadians) * reach}px`,
+      );
+      spark.style.setProperty("--spark-life", `${life}s`);
+      burst.appendChild(spark);
+    });
+
+    const lifeMax = Math.max(0, ...fireball.sparks.map(({ life }) => life));
+    const burstTimeoutId = setTimeout(
+      () => {
+        this.meteorsContainer.appendChild(burst);
+        this.removeLater(burst, lifeMax * 1000);
+      },
+      duration * fragmentAt * 1000,
     );
+    this.activeMeteorTimeouts.push(burstTimeoutId);
 
-  for (let i = 0; i < numMeteors; i++) {
-    const timeoutId = setTimeout(
+    this.scheduleFlash(duration);
+  }
+
+  /**
+   * Brighten the whole sky for a moment when a fireball breaks up
+   * @param {number} duration - Fireball flight time in seconds
+   * @returns {void}
+   */
+  scheduleFlash(duration) {
+    const { flashOpacity, flashMs, fragmentAt } = this.config.fireballs;
+    if (flashOpacity <= 0 || flashMs <= 0) return;
+
+    const flashTimeoutId = setTimeout(
       () => {
-        if (isPageVisible) createMeteor(showerAngle);
+        const flash = document.createElement("div");
+        flash.className = "sky-flash";
+        flash.style.setProperty("--flash-opacity", flashOpacity);
+        flash.style.animationDuration = `${flashMs}ms`;
+        this.meteorsContainer.appendChild(flash);
+        this.removeLater(flash, flashMs);
       },
-      i *
-        (CONFIG.meteors.showerIntervalMin +
-          Math.random() *
-            (CONFIG.meteors.showerIntervalMax -
-              CONFIG.meteors.showerIntervalMin)),
+      duration * fragmentAt * 1000,
     );
-    activeShowerTimeouts.push(timeoutId);
-  }
-
-  const cleanupTimeoutId = setTimeout(
-    () => {
-      isShowerActive = false;
-      scheduleNextShower();
-    },
-    numMeteors * CONFIG.meteors.showerCleanupDelayPerMeteor +
-      CONFIG.meteors.showerCleanupDelayBase,
-  );
-  activeShowerTimeouts.push(cleanupTimeoutId);
-}
+    this.activeMeteorTimeouts.push(flashTimeoutId);
+  }
 
-/**
- * Schedule the next meteor shower
- * @returns {void}
- */
-function scheduleNextShower() {
-  if (!isPageVisible) return;
-  const nextShowerIn =
-    CONFIG.meteors.nextShowerMin +
-    Math.random() *
-      (CONFIG.meteors.nextShowerMax - CONFIG.meteors.nextShowerMin);
-  const timeoutId = setTimeout(triggerMeteorShower, nextShowerIn);
-  activeShowerTimeouts.push(timeoutId);
-}
+  /**
+   * Remove a fireball element once its animation is over (tracked like meteor cleanup)
+   * @param {HTMLElement} element - Train, burst or flash
+   * @param {number} delay - Milliseconds
+   * @returns {void}
+   */
+  removeLater(element, delay) {
+    const timeoutId = setTimeout(() => element.remove(), delay);
+    this.activeMeteorTimeouts.push(timeoutId);
+  }
 
-// ============================================================
-// SINGLE METEOR SYSTEM
-// Lines: 347-367
-// ============================================================
+  // ============================================================
+  // SHOWER SYSTEM
+  // Lines: 832-907
+  // ============================================================
 
-/**
- * Create single random meteor and schedule next one
- * @returns {void}
- */
-function createSingleMeteor() {
-  if (!isPageVisible) return;
-  // Skip creating regular meteors during showers to prevent path overlap
-  if (!isShowerActive) {
-    createMeteor();
-  }
-  const nextMeteorIn =
-    CONFIG.meteors.singleMeteorIntervalMin +
-    Math.random() *
-      (CONFIG.meteors.singleMeteorIntervalMax -
-        CONFIG.meteors.singleMeteorIntervalMin);
-  const timeoutId = setTimeout(createSingleMeteor, nextMeteorIn);
-  activeMeteorTimeouts.push(timeoutId);
-}
+  /**
+   * Trigger a meteor shower with multiple meteors at similar angles
+   * @param {boolean} [scheduleNext=true] - Chain the next automatic shower when done
+   * @param {number|null} [count] - Meteors in the shower (null = showerCountMin-Max)
+   * @returns {boolean} True if a shower started
+   */
+  triggerMeteorShower(scheduleNext = true, count = null) {
+    if (!this.isPageVisible) return false;
+    if (this.isShowerActive) {
+      // A manual shower is running - keep the automatic chain alive
+      if (scheduleNext) this.scheduleNextShower();
+      return false;
+    }
 
-// ============================================================
-// PUBLIC CONTROL FUNCTIONS
-// Lines: 368-434
-// ============================================================
+    const meteors = this.config.meteors;
+    this.isShowerActive = true;
+    // On a calendar shower date, bursts radiate from that shower's radiant
+    const calendarShower = this.config.showerCalendar.enabled
+      ? getMeteorActivity(this.config).shower
+      : null;
+    const showerAngle =
+      meteors.angleMin + this.random() * (meteors.angleMax - meteors.angleMin);
+    const numMeteors =
+      count ??
+      meteors.showerCountMin +
+        Math.floor(
+          this.random() * (meteors.showerCountMax - meteors.showerCountMin + 1),
+        );
 
-/**
- * Start meteor animation system (single meteors + showers)
- * @returns {void}
- */
-export function startMeteors() {
-  // Start scattered single meteors
-  for (let i = 0; i < CONFIG.meteors.singleMeteorStreamCount; i++) {
-    setTimeout(
-      createSingleMeteor,
-      Math.random() * CONFIG.meteors.initialMeteorDelayMax,
+    for (let i = 0; i < numMeteors; i++) {
+      const timeoutId = setTimeout(
+        () => {
+          if (this.isPageVisible) {
+            this.createMeteor(showerAngle, calendarShower);
+          }
+        },
+        i *
+          (meteors.showerIntervalMin +
+            this.random() *
+              (meteors.showerIntervalMax - meteors.showerIntervalMin)),
+      );
+      this.activeShowerTimeouts.push(timeoutId);
+    }
+
+    const cleanupTimeoutId = setTimeout(
+      () => {
+        this.isShowerActive = false;
+        if (scheduleNext) this.scheduleNextShower();
+      },
+      numMeteors * meteors.showerCleanupDelayPerMeteor +
+        meteors.showerCleanupDelayBase,
     );
+    this.activeShowerTimeouts.push(cleanupTimeoutId);
+    return true;
   }
 
-  // Start first meteor shower
-  setTimeout(
-    triggerMeteorShower,
-    CONFIG.meteors.initialShowerDelayMin +
-      Math.random() *
-        (CONFIG.meteors.initialShowerDelayMax -
-          CONFIG.meteors.initialShowerDelayMin),
-  );
-}
+  /**
+   * Schedule the next meteor shower
+   * @returns {void}
+   */
+  scheduleNextShower() {
+    if (!this.isPageVisible) return;
+    const { nextShowerMin, nextShowerMax } = this.config.meteors;
+    const nextShowerIn =
+      nextShowerMin + this.random() * (nextShowerMax - nextShowerMin);
+    const timeoutId = setTimeout(
+      () => this.triggerMeteorShower(),
+      nextShowerIn,
+    );
+    this.activeShowerTimeouts.push(timeoutId);
+  }
 
-/**
- * Stop all meteor timers and clean up DOM
- * @returns {void}
- */
-export function stopMeteors() {
-  // Clear all pending timeouts
-  activeMeteorTimeouts.forEach(clearTimeout);
-  activeShowerTimeouts.forEach(clearTimeout);
-  activeMeteorTimeouts = [];
-  activeShowerTimeouts = [];
+  // ============================================================
+  // SINGLE METEOR SYSTEM
+  // Lines: 909-939
+  // ============================================================
 
-  // Reset shower state
-  isShowerActive = false;
+  /**
+   * Create single random meteor and schedule next one
+   * @returns {void}
+   */
+  createSingleMeteor() {
+    if (!this.isPageVisible) return;
+    const isCalendar = this.config.showerCalendar.enabled;
+    if (isCalendar) this.activity = getMeteorActivity(this.config);
 
-  // Clean up meteor DOM elements
-  if (meteorsContainer) {
-    const oldMeteors = meteorsContainer.querySelectorAll(".meteor");
-    oldMeteors.forEach((meteor) => meteor.remove());
+    // Skip creating regular meteors during showers to prevent path overlap
+    if (!this.isShowerActive) {
+      if (isCalendar) {
+        this.createCalendarMeteor();
+      } else {
+        this.createMeteor();
+      }
+    }
+    const { singleMeteorIntervalMin, singleMeteorIntervalMax } =
+      this.config.meteors;
+    const nextMeteorIn = isCalendar
+      ? this.getCalendarInterval()
+      : singleMeteorIntervalMin +
+        this.random() * (singleMeteorIntervalMax - singleMeteorIntervalMin);
+    const timeoutId = setTimeout(() => this.createSingleMeteor(), nextMeteorIn);
+    this.activeMeteorTimeouts.push(timeoutId);
   }
-}
 
-/**
- * Set page visibility state (for tab visibility handling)
- * @param {boolean} visible - Is page currently visible
- * @returns {void}
- */
-export function setMeteorPageVisible(visible) {
-  isPageVisible = visible;
-}
+  // ============================================================
+  // SHOWER CALENDAR
+  // Lines: 941-974
+  // ============================================================
 
-/**
- * Restart meteor system after being stopped
- * @returns {void}
- */
-export function restartMeteors() {
-  isShowerActive = false;
-  stopMeteors(); // Clean up any existing state
-  startMeteors(); // Start fresh
+  /**
+   * Create one calendar meteor: from the active shower's radiant for the
+   * shower's share of the hourly rate, otherwise a sporadic meteor
+   * @returns {void}
+   */
+  createCalendarMeteor() {
+    const { shower, showerRate, sporadicRate } = this.activity;
+    const isShowerMeteor =
+      shower !== null &&
+      this.random() * (showerRate + sporadicRate) < showerRate;
+    this.createMeteor(null, isShowerMeteor ? shower : null);
+  }
+
+  /**
+   * Delay until a stream's next calendar meteor
+   * Exponential gaps give random (Poisson) arrivals at the hourly rate,
+   * shared between the configured streams (a quality cap thins it out)
+   * @returns {number} Milliseconds
+   */
+  getCalendarInterval() {
+    const { showerRate, sporadicRate } = this.activity;
+    const streamRate =
+      ((showerRate + sporadicRate) * this.config.showerCalendar.timeScale) /
+      Math.max(this.config.meteors.singleMeteorStreamCount, 1);
+
+    // Nothing expected: look again later in case the date reaches a shower
+    if (streamRate <= 0) return this.config.meteors.singleMeteorIntervalMax;
+    return (-Math.log(1 - this.random()) * 3600000) / streamRate;
+  }
+
+  // ============================================================
+  // PUBLIC CONTROL METHODS
+  // Lines: 976-1111
+  // ============================================================
+
+  /**
+   * Start meteor animation system (single meteors + showers)
+   * @returns {void}
+   */
+  start() {
+    const meteors = this.config.meteors;
+
+    // Start scattered single meteors
+    const streamCount = Math.min(
+      meteors.singleMeteorStreamCount,
+      this.streamLimit,
+    );
+    for (let i = 0; i < streamCount; i++) {
+      const timeoutId = setTimeout(
+        () => this.createSingleMeteor(),
+        this.random() * meteors.initialMeteorDelayMax,
+      );
+      this.activeMeteorTimeouts.push(timeoutId);
+    }
+
+    // The shower calendar sets the rate from real showers instead of random bursts
+    if (this.config.showerCalendar.enabled) return;
+
+    // Start first meteor shower
+    const showerTimeoutId = setTimeout(
+      () => this.triggerMeteorShower(),
+      meteors.initialShowerDelayMin +
+        this.random() *
+          (meteors.initialShowerDelayMax - meteors.initialShowerDelayMin),
+    );
+    this.activeShowerTimeouts.push(showerTimeoutId);
+  }
+
+  /**
+   * Trigger a meteor shower on demand (outside the automatic schedule)
+   * Ignored while another shower is running or the page is hidden
+   * @param {number|null} [count] - Meteors in the shower (null = showerCountMin-Max)
+   * @returns {boolean} True if a shower started
+   */
+  triggerShower(count = null) {
+    return this.triggerMeteorShower(false, count);
+  }
+
+  /**
+   * Launch one meteor on demand, through a point if given
+   * Ignored while the page is hidden
+   * @param {{x: number, y: number}|null} [target] - Point in hero percentages (null = usual random meteor)
+   * @returns {boolean} True if a meteor launched
+   */
+  launchMeteor(target = null) {
+    if (!this.isPageVisible) return false;
+    this.createMeteor(null, null, target);
+    return true;
+  }
+
+  /**
+   * Number of meteors in flight, for rate limiting
+   * @returns {number}
+   */
+  getMeteorCount() {
+    if (this.canvasLayer) return this.canvasLayer.meteors.length;
+    return this.meteorsContainer?.querySelectorAll(".meteor").length ?? 0;
+  }
+
+  /**
+   * Stop all meteor timers and clean up DOM
+   * @returns {void}
+   */
+  stop() {
+    // Clear all pending timeouts
+    this.activeMeteorTimeouts.forEach(clearTimeout);
+    this.activeShowerTimeouts.forEach(clearTimeout);
+    this.activeMeteorTimeouts = [];
+    this.activeShowerTimeouts = [];
+
+    // Reset shower state
+    this.isShowerActive = false;
+
+    // Clean up meteor and fireball DOM elements and canvas meteors in flight
+    if (this.meteorsContainer) {
+      const oldMeteors = this.meteorsContainer.querySelectorAll(
+        ".meteor, .fireball-train, .fireball-burst, .sky-flash",
+      );
+      oldMeteors.forEach((meteor) => meteor.remove());
+    }
+    this.canvasLayer?.clear();
+  }
+
+  /**
+   * Set page visibility state (for tab visibility handling)
+   * @param {boolean} visible - Is page currently visible
+   * @returns {void}
+   */
+  setVisible(visible) {
+    this.isPageVisible = visible;
+    this.canvasLayer?.setVisible(visible);
+  }
+
+  /**
+   * Cap parallel single-meteor streams (quality tier); applies on the next start()
+   * @param {number} limit - Maximum streams
+   * @returns {void}
+   */
+  setStreamLimit(limit) {
+    this.streamLimit = limit;
+  }
+
+  /**
+   * Restart meteor system after being stopped
+   * @returns {void}
+   */
+  restart() {
+    this.isShowerActive = false;
+    this.stop(); // Clean up any existing state
+    this.start(); // Start fresh
+  }
+
+  /**
+   * Tear down the meteor system: timers, DOM, canvas layer and injected keyframes
+   * @returns {void}
+   */
+  destroy() {
+    this.isPageVisible = false;
+    this.stop();
+
+    this.removeKeyframes();
+    this.canvasLayer?.destroy();
+    this.canvasLayer = null;
+    this.heroDiagonal = 0;
+  }
 }
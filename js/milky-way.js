@@ -0,0 +1,433 @@
+/**
+ * @fileoverview Milky Way module - Procedural galactic band with dust lanes
+ * @module milky-way
+ * @exports {MilkyWayLayer}
+ * @imports {getObserver, projectEquatorial, toRadians, toDegrees} from astronomy.js
+ * @imports {createRandom} from random.js
+ * @imports {createLayerCanvas} from star-renderer.js
+ * @description Paints a diffuse band of light along a great circle of the sky
+ *   (the galactic equator by default, set by its pole and centre in
+ *   CONFIG.milkyWay), brighter and warmer toward the galactic centre, mottled
+ *   with star clouds and split by dark dust lanes. The band is pre-rendered at
+ *   reduced resolution into one image whenever the sky is generated and drawn
+ *   under the stars on the star canvas, so it rotates with .night-sky.
+ *   samplePoint() places random stars along the band for its higher star density.
+ *   Each StarField owns one MilkyWayLayer.
+ */
+
+// ============================================================
+// MILKY WAY - Procedural galactic band with dust lanes
+// Purpose: Galactic structure behind the random and catalogue stars
+// Lines: 1-433
+// ============================================================
+
+import {
+  getObserver,
+  projectEquatorial,
+  toRadians,
+  toDegrees,
+} from "./astronomy.js";
+import { createRandom } from "./random.js";
+import { createLayerCanvas } from "./star-renderer.js";
+
+// ============================================================
+// CONSTANTS
+// Lines: 33-104
+// ============================================================
+
+// Spacing of the blobs that build the band, in degrees of galactic longitude
+const STEP_DEGREES = 2;
+
+// How far from the galactic centre (degrees) the central bulge reaches
+const CORE_SPREAD_DEGREES = 35;
+
+// Extra brightness at the galactic centre, relative to the rest of the band
+const CORE_BOOST = 1.5;
+
+// Star clouds scattered over the band
+const CLOUD_COUNT = 70;
+
+// Share of band stars clustered around the galactic centre
+const CORE_STAR_SHARE = 0.35;
+
+// Blobs wider than this share of the canvas lie where the projection tears
+// (around the point behind the viewer) and are left out
+const MAX_BLOB_SHARE = 1 / 6;
+
+/**
+ * Unit vector for equatorial coordinates
+ * @param {number} rightAscension - Right ascension in hours
+ * @param {number} declination - Declination in degrees
+ * @returns {Array<number>} [x, y, z]
+ */
+function toVector(rightAscension, declination) {
+  const ra = toRadians(rightAscension * 15);
+  const dec = toRadians(declination);
+  return [
+    Math.cos(dec) * Math.cos(ra),
+    Math.cos(dec) * Math.sin(ra),
+    Math.sin(dec),
+  ];
+}
+
+/**
+ * Smooth seeded wave around the band, periodic over 360° of longitude
+ * @param {function(): number} random - Seeded generator
+ * @param {Array<number>} frequencies - Whole cycles per turn of the band
+ * @returns {function(number): number} Longitude in degrees -> value in -1..1
+ */
+function createWave(random, frequencies) {
+  const phases = frequencies.map(() => random() * Math.PI * 2);
+  return (longitude) => {
+    const angle = toRadians(longitude);
+    const sum = frequencies.reduce(
+      (total, frequency, index) =>
+        total + Math.sin(angle * frequency + phases[index]) / frequency,
+      0,
+    );
+    const amplitude = frequencies.reduce(
+      (total, frequency) => total + 1 / frequency,
+      0,
+    );
+    return sum / amplitude;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {function(): number} random - Seeded generator
+ * @returns {number}
+ */
+function gaussian(random) {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(Math.PI * 2 * random());
+}
+
+// ============================================================
+// MILKY WAY LAYER
+// Lines: 106-126
+// ============================================================
+
+/**
+ * The Milky Way band for one star canvas
+ */
+export class MilkyWayLayer {
+  /**
+   * @param {Config} config - Configuration for this sky
+   */
+  constructor(config) {
+    this.config = config;
+    this.image = null; // Pre-rendered band, null while disabled
+    this.width = 0;
+    this.height = 0;
+    this.observer = null;
+    this.basis = null; // { core, pole, across } unit vectors of the band's plane
+    this.visibility = 1; // Twilight fading (applyVisibility())
+  }
+
+  // ============================================================
+  // GEOMETRY
+  // Lines: 128-192
+  // ============================================================
+
+  /**
+   * Set up the band's great circle from the configured pole and centre
+   * The centre is squared up against the pole, so any nearby point works
+   * @returns {void} - Updates this.basis
+   */
+  updateBasis() {
+    const { poleRa, poleDec, coreRa, coreDec } = this.config.milkyWay;
+    const pole = toVector(poleRa, poleDec);
+    const center = toVector(coreRa, coreDec);
+    const dot = center.reduce((sum, value, i) => sum + value * pole[i], 0);
+    let core = center.map((value, i) => value - dot * pole[i]);
+    const length = Math.hypot(...core);
+    // A centre on the pole leaves no direction along the band: pick any
+    core =
+      length > 1e-6
+        ? core.map((value) => value / length)
+        : toVector(pole[2] > 0.9 ? 0 : 6, 0);
+    const across = [
+      pole[1] * core[2] - pole[2] * core[1],
+      pole[2] * core[0] - pole[0] * core[2],
+      pole[0] * core[1] - pole[1] * core[0],
+    ];
+    this.basis = { core, pole, across };
+  }
+
+  /**
+   * Canvas position of a point given in band coordinates
+   * @param {number} longitude - Degrees along the band from its centre
+   * @param {number} latitude - Degrees across the band
+   * @returns {{x: number, y: number, altitude: number}} Canvas position in logical pixels
+   */
+  project(longitude, latitude) {
+    const { core, pole, across } = this.basis;
+    const l = toRadians(longitude);
+    const b = toRadians(latitude);
+    const [x, y, z] = core.map(
+      (value, i) =>
+        Math.cos(b) * (Math.cos(l) * value + Math.sin(l) * across[i]) +
+        Math.sin(b) * pole[i],
+    );
+    const rightAscension = (toDegrees(Math.atan2(y, x)) / 15 + 24) % 24;
+    const declination = toDegrees(Math.asin(Math.max(-1, Math.min(1, z))));
+    return projectEquatorial(
+      rightAscension,
+      declination,
+      this.observer,
+      this.width,
+      this.height,
+    );
+  }
+
+  /**
+   * Brightness boost toward the galactic centre
+   * @param {number} longitude - Degrees along the band from its centre
+   * @returns {number} 0 far from the centre, 1 at it
+   */
+  getCoreWeight(longitude) {
+    const distance = Math.min(Math.abs(longitude), 360 - Math.abs(longitude));
+    return Math.exp(-((distance / CORE_SPREAD_DEGREES) ** 2));
+  }
+
+  // ============================================================
+  // LAYOUT
+  // Lines: 194-360
+  // ============================================================
+
+  /**
+   * Lay out the band for the configured observer and pre-render it
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @param {string} seed - Seed for the clouds and dust lanes
+   * @returns {void} - Updates this.image
+   */
+  generate(canvasWidth, canvasHeight, seed) {
+    this.width = canvasWidth;
+    this.height = canvasHeight;
+    this.observer = getObserver(this.config);
+    this.updateBasis();
+
+    const { resolution } = this.config.milkyWay;
+    this.image = createLayerCanvas(
+      Math.max(1, Math.round(canvasWidth * resolution)),
+      Math.max(1, Math.round(canvasHeight * resolution)),
+    );
+    const ctx = this.image.getContext("2d");
+    ctx.scale(resolution, resolution);
+
+    const random = createRandom(seed, "milky-way");
+    const mottling = createWave(random, [3, 7, 13]);
+    const laneOffset = createWave(random, [2, 5, 11]);
+    const laneStrength = createWave(random, [1, 4, 9]);
+
+    this.drawBand(ctx, mottling);
+    this.drawClouds(ctx, random);
+    this.drawDustLanes(ctx, laneOffset, laneStrength);
+  }
+
+  /**
+   * Forget the band (disabled or WebGL)
+   * @returns {void}
+   */
+  clear() {
+    this.image = null;
+  }
+
+  /**
+   * Draw a soft round blob centred on a band point
+   * Blobs over the projection's tear, or too faint to show, are skipped
+   * @param {CanvasRenderingContext2D} ctx - Band image context (logical pixels)
+   * @param {number} longitude - Degrees along the band
+   * @param {number} latitude - Degrees across the band
+   * @param {number} size - Blob radius in degrees
+   * @param {string} color - RGBA color string (incomplete, opacity added here)
+   * @param {number} opacity - Opacity at the centre (0-1)
+   * @returns {void}
+   */
+  drawBlob(ctx, longitude, latitude, size, color, opacity) {
+    if (opacity <= 0) return;
+    const center = this.project(longitude, latitude);
+    const edge = this.project(longitude, latitude + size);
+    const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+    if (
+      radius < 0.5 ||
+      radius > Math.min(this.width, this.height) * MAX_BLOB_SHARE
+    ) {
+      return;
+    }
+
+    const gradient = ctx.createRadialGradient(
+      center.x,
+      center.y,
+      0,
+      center.x,
+      center.y,
+      radius,
+    );
+    gradient.addColorStop(0, `${color}${Math.min(1, opacity)})`);
+    gradient.addColorStop(1, `${color}0)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(center.x - radius, center.y - radius, radius * 2, radius * 2);
+  }
+
+  /**
+   * Diffuse glow along the whole circle, warmer and brighter at the centre
+   * @param {CanvasRenderingContext2D} ctx - Band image context
+   * @param {function(number): number} mottling - Brightness variation along the band
+   * @returns {void}
+   */
+  drawBand(ctx, mottling) {
+    const { width, opacity, color, coreColor } = this.config.milkyWay;
+    // Overlapping blobs add up to roughly the configured opacity
+    const blobOpacity = (opacity * STEP_DEGREES) / width;
+
+    for (let longitude = -180; longitude < 180; longitude += STEP_DEGREES) {
+      const core = this.getCoreWeight(longitude);
+      const intensity =
+        (1 + CORE_BOOST * core) * (0.7 + 0.3 * mottling(longitude));
+      this.drawBlob(
+        ctx,
+        longitude,
+        0,
+        width / 2,
+        color,
+        blobOpacity * intensity,
+      );
+      this.drawBlob(
+        ctx,
+        longitude,
+        0,
+        (width / 2) * (1 + core),
+        coreColor,
+        blobOpacity * CORE_BOOST * core,
+      );
+    }
+  }
+
+  /**
+   * Brighter star clouds scattered over the band, crowding toward the centre
+   * @param {CanvasRenderingContext2D} ctx - Band image context
+   * @param {function(): number} random - Seeded generator
+   * @returns {void}
+   */
+  drawClouds(ctx, random) {
+    const { width, opacity, color } = this.config.milkyWay;
+
+    for (let i = 0; i < CLOUD_COUNT; i++) {
+      const { longitude, latitude } = this.sampleBand(random);
+      this.drawBlob(
+        ctx,
+        longitude,
+        latitude,
+        width * (0.1 + random() * 0.25),
+        color,
+        opacity * (0.2 + random() * 0.4) * (1 + this.getCoreWeight(longitude)),
+      );
+    }
+  }
+
+  /**
+   * Dark lanes cut out of the glow, wandering off the band's centre line
+   * and thickest toward the galactic centre (like the Great Rift)
+   * @param {CanvasRenderingContext2D} ctx - Band image context
+   * @param {function(number): number} laneOffset - Lane position across the band
+   * @param {function(number): number} laneStrength - Lane darkness along the band
+   * @returns {void}
+   */
+  drawDustLanes(ctx, laneOffset, laneStrength) {
+    const { width, dustOpacity } = this.config.milkyWay;
+    const blobOpacity = (dustOpacity * STEP_DEGREES * 2) / width;
+
+    ctx.save();
+    ctx.globalCompositeOperation = "destination-out";
+    for (let longitude = -180; longitude < 180; longitude += STEP_DEGREES / 2) {
+      const strength = Math.max(
+        0,
+        laneStrength(longitude) + this.getCoreWeight(longitude),
+      );
+      this.drawBlob(
+        ctx,
+        longitude,
+        laneOffset(longitude) * width * 0.2,
+        width * 0.12,
+        "rgba(0, 0, 0,",
+        blobOpacity * Math.min(1, strength),
+      );
+    }
+    ctx.restore();
+  }
+
+  // ============================================================
+  // BAND STARS
+  // Lines: 362-393
+  // ============================================================
+
+  /**
+   * Random band coordinates, crowding toward the plane and the centre
+   * @param {function(): number} random - Seeded generator
+   * @returns {{longitude: number, latitude: number}} Degrees
+   */
+  sampleBand(random) {
+    const longitude =
+      random() < CORE_STAR_SHARE
+        ? gaussian(random) * CORE_SPREAD_DEGREES
+        : random() * 360 - 180;
+    return {
+      longitude,
+      latitude: (gaussian(random) * this.config.milkyWay.width) / 4,
+    };
+  }
+
+  /**
+   * Random canvas position on the band, for its extra stars
+   * Only valid after generate()
+   * @param {function(): number} random - Seeded generator (the star stream)
+   * @returns {{x: number, y: number}} Canvas position in logical pixels
+   */
+  samplePoint(random) {
+    const { longitude, latitude } = this.sampleBand(random);
+    const { x, y } = this.project(longitude, latitude);
+    return { x, y };
+  }
+
+  // ============================================================
+  // VISIBILITY AND RENDERING
+  // Lines: 395-433
+  // ============================================================
+
+  /**
+   * Fade the band out in twilight, before all but the faintest stars go
+   * @param {number} limitingMagnitude - Faintest visible magnitude
+   * @returns {boolean} True if the band's visibility changed
+   */
+  applyVisibility(limitingMagnitude) {
+    if (!this.image) return false;
+
+    const { visibleMagnitude } = this.config.milkyWay;
+    const { fadeMagnitudes } = this.config.timeOfDay;
+    const visibility = Math.min(
+      1,
+      Math.max(0, (limitingMagnitude - visibleMagnitude) / fadeMagnitudes),
+    );
+    const changed = visibility !== this.visibility;
+    this.visibility = visibility;
+    return changed;
+  }
+
+  /**
+   * Draw the band image stretched over the canvas
+   * Called under the stars: into the baked layer, or first in each direct frame
+   * @param {CanvasRenderingContext2D} ctx - Star canvas or baked layer context (DPR-scaled)
+   * @returns {void}
+   */
+  render(ctx) {
+    if (!this.image || this.visibility === 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.visibility;
+    ctx.drawImage(this.image, 0, 0, this.width, this.height);
+    ctx.restore();
+  }
+}
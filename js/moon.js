@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Moon module - Phase-shaded Moon with halo and sky glow
+ * @module moon
+ * @exports {MoonLayer, getMoonDate}
+ * @imports {CONFIG} from config.js
+ * @imports {getObserver, projectEquatorial} from astronomy.js
+ * @imports {getMoonPosition, getSunPosition} from ephemeris.js
+ * @imports {createLayerCanvas} from star-renderer.js
+ * @description Draws the Moon where it stands for CONFIG.observer, as an extra pass on
+ *   the star canvas so it rotates with .night-sky (like the constellation overlay).
+ *   The disc is shaded for the current phase with its lit limb turned toward the Sun,
+ *   the unlit part faintly visible by earthshine, inside a halo that grows with
+ *   the Moon's brightness. Moonlight washes out faint stars around it
+ *   (getLimitingMagnitude(), used by StarField's visibility pass), and the disc
+ *   hides the stars behind it. Disc and halo are pre-rendered into one sprite
+ *   whenever the sky is generated.
+ *   Each StarField owns one MoonLayer.
+ */
+
+// ============================================================
+// MOON - Phase-shaded Moon with halo and sky glow
+// Purpose: The brightest object in the night sky, in its real phase
+// Lines: 1-274
+// ============================================================
+
+import { CONFIG } from "./config.js";
+import { getObserver, projectEquatorial } from "./astronomy.js";
+import { getMoonPosition, getSunPosition } from "./ephemeris.js";
+import { createLayerCanvas } from "./star-renderer.js";
+
+// ============================================================
+// CONSTANTS
+// Lines: 31-48
+// ============================================================
+
+// Apparent magnitude of the full Moon; brightness is measured against it
+const FULL_MOON_MAGNITUDE = -12.73;
+
+/**
+ * Resolve the date the Moon is drawn for
+ * @param {Config} [config=CONFIG] - Configuration to read the date override from
+ * @returns {Date} moon.date, else observer.date, else now
+ */
+export function getMoonDate(config = CONFIG) {
+  const override = config.moon.date ?? config.observer.date;
+  const date = override ? new Date(override) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+// ============================================================
+// MOON LAYER
+// Lines: 50-79
+// ============================================================
+
+/**
+ * @typedef {Object} MoonLayout
+ * @property {number} x - Canvas position in logical pixels
+ * @property {number} y - Canvas position in logical pixels
+ * @property {number} radius - Disc radius in logical pixels
+ * @property {number} haloRadius - Halo radius in logical pixels
+ * @property {number} brightness - Relative to the full Moon (0-1, square root of the flux ratio)
+ * @property {number} magnitude - Apparent magnitude
+ * @property {number} illumination - Lit fraction of the disc (0-1)
+ */
+
+/**
+ * The Moon for one star canvas
+ */
+export class MoonLayer {
+  /**
+   * @param {Config} config - Configuration for this sky
+   */
+  constructor(config) {
+    this.config = config;
+    /** @type {MoonLayout|null} */
+    this.layout = null; // null while disabled or below the horizon
+    this.sprite = null;
+    this.visibility = 1; // Daylight fading (applyVisibility())
+  }
+
+  // ============================================================
+  // LAYOUT
+  // Lines: 81-198
+  // ============================================================
+
+  /**
+   * Place the Moon for the configured observer and pre-render its sprite
+   * Like ephemeris planets, a Moon below the horizon is left out
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @param {number} pixelRatio - Device pixels per logical pixel
+   * @returns {void} - Updates this.layout and this.sprite
+   */
+  generate(canvasWidth, canvasHeight, pixelRatio) {
+    const settings = this.config.moon;
+    const observer = {
+      ...getObserver(this.config),
+      date: getMoonDate(this.config),
+    };
+    const moon = getMoonPosition(observer.date);
+    const { x, y, altitude } = projectEquatorial(
+      moon.ra,
+      moon.dec,
+      observer,
+      canvasWidth,
+      canvasHeight,
+    );
+    this.clear();
+    if (altitude < 0) return;
+
+    // The lit limb faces the Sun as it lands on the same canvas
+    const sun = getSunPosition(observer.date);
+    const sunPoint = projectEquatorial(
+      sun.ra,
+      sun.dec,
+      observer,
+      canvasWidth,
+      canvasHeight,
+    );
+    const brightness = Math.sqrt(
+      Math.min(1, 10 ** (-0.4 * (moon.magnitude - FULL_MOON_MAGNITUDE))),
+    );
+    const radius = settings.size / 2;
+
+    this.layout = {
+      x,
+      y,
+      radius,
+      haloRadius: radius * (1 + (settings.haloScale - 1) * brightness),
+      brightness,
+      magnitude: moon.magnitude,
+      illumination: moon.illumination,
+    };
+    this.sprite = this.createSprite(
+      Math.atan2(sunPoint.y - y, sunPoint.x - x),
+      pixelRatio,
+    );
+  }
+
+  /**
+   * Forget the Moon (disabled, below the horizon or WebGL)
+   * @returns {void}
+   */
+  clear() {
+    this.layout = null;
+    this.sprite = null;
+  }
+
+  /**
+   * Pre-render halo, earthshine disc and lit phase into one sprite
+   * @param {number} limbAngle - Direction of the lit limb on the canvas in radians
+   * @param {number} pixelRatio - Device pixels per logical pixel
+   * @returns {OffscreenCanvas|HTMLCanvasElement}
+   */
+  createSprite(limbAngle, pixelRatio) {
+    const { color, earthshineOpacity, haloOpacity } = this.config.moon;
+    const { radius, haloRadius, brightness, illumination } = this.layout;
+    const size = Math.max(1, Math.ceil(haloRadius * 2 * pixelRatio));
+    const sprite = createLayerCanvas(size, size);
+    const ctx = sprite.getContext("2d");
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.translate(haloRadius, haloRadius);
+
+    // Halo: brighter and wider toward full Moon
+    const halo = ctx.createRadialGradient(0, 0, radius, 0, 0, haloRadius);
+    halo.addColorStop(0, `${color}${haloOpacity * brightness})`);
+    halo.addColorStop(1, `${color}0)`);
+    ctx.fillStyle = halo;
+    ctx.fillRect(-haloRadius, -haloRadius, haloRadius * 2, haloRadius * 2);
+
+    // Earthshine: the faint unlit disc (stars behind it are hidden by
+    // getLimitingMagnitude(), not painted over)
+    ctx.fillStyle = `${color}${earthshineOpacity})`;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Lit part: the sunward half-disc, closed by the terminator ellipse,
+    // which bulges sunward for a crescent and away from the Sun past half
+    const terminatorRadius = radius * Math.abs(2 * illumination - 1);
+    ctx.rotate(limbAngle);
+    ctx.fillStyle = `${color}1)`;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.ellipse(
+      0,
+      0,
+      terminatorRadius,
+      radius,
+      0,
+      Math.PI / 2,
+      -Math.PI / 2,
+      illumination < 0.5,
+    );
+    ctx.fill();
+
+    return sprite;
+  }
+
+  // ============================================================
+  // SKY GLOW
+  // Lines: 200-246
+  // ============================================================
+
+  /**
+   * Faintest magnitude visible at a point, given the Moon's glow
+   * Next to a full Moon only stars brighter than moon.dimMagnitude show;
+   * the glow fades out over dimRadius and with the phase. The disc hides
+   * everything behind it
+   * @param {{x: number, y: number}} point - Canvas position in logical pixels
+   * @returns {number} Limiting magnitude (Infinity = no effect)
+   */
+  getLimitingMagnitude(point) {
+    if (!this.layout) return Infinity;
+
+    const { dimRadius, dimMagnitude } = this.config.moon;
+    const { x, y, radius, brightness } = this.layout;
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance < radius) return -Infinity;
+    if (distance >= dimRadius) return Infinity;
+
+    const washout = brightness * (1 - distance / dimRadius) ** 2;
+    if (washout <= 0) return Infinity;
+    // Faintest drawn star at no washout, dimMagnitude at full washout
+    const faintest =
+      this.config.realSky.magnitudeLimit + this.config.timeOfDay.fadeMagnitudes;
+    return faintest - washout * (faintest - dimMagnitude);
+  }
+
+  /**
+   * Fade the Moon itself against the sky's limiting magnitude (daylight)
+   * @param {number} limitingMagnitude - Faintest visible magnitude
+   * @returns {boolean} True if the Moon's visibility changed
+   */
+  applyVisibility(limitingMagnitude) {
+    if (!this.layout) return false;
+
+    const { fadeMagnitudes } = this.config.timeOfDay;
+    const visibility = Math.min(
+      1,
+      Math.max(0, (limitingMagnitude - this.layout.magnitude) / fadeMagnitudes),
+    );
+    const changed = visibility !== this.visibility;
+    this.visibility = visibility;
+    return changed;
+  }
+
+  // ============================================================
+  // RENDERING
+  // Lines: 248-274
+  // ============================================================
+
+  /**
+   * Draw the Moon sprite
+   * Called once per frame from StarField.render() after stars and planets
+   * @param {CanvasRenderingContext2D} ctx - Star canvas context (DPR-scaled)
+   * @returns {void}
+   */
+  render(ctx) {
+    if (!this.sprite || this.visibility === 0) return;
+
+    const { x, y, haloRadius } = this.layout;
+    ctx.save();
+    ctx.globalAlpha = this.visibility;
+    ctx.drawImage(
+      this.sprite,
+      x - haloRadius,
+      y - haloRadius,
+      haloRadius * 2,
+      haloRadius * 2,
+    );
+    ctx.restore();
+  }
+}
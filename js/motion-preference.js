@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Motion preference module - prefers-reduced-motion plus an on-page toggle
+ * @module motion-preference
+ * @exports {isMotionReduced, setMotionPreference, onMotionPreferenceChange, attachMotionToggle}
+ * @imports {CONFIG} from config.js
+ * @description Page-wide answer to "should the sky move?". The visitor's choice from
+ *   the on-page toggle is stored in localStorage and wins; otherwise the
+ *   prefers-reduced-motion media query decides. Listeners hear about both kinds of
+ *   change live, so skies can freeze or resume without a reload.
+ *   Each Sky reads this when config.motion.reduceMotion is "auto".
+ */
+
+// ============================================================
+// MOTION PREFERENCE - prefers-reduced-motion plus an on-page toggle
+// Purpose: One reduced-motion decision shared by every sky on the page
+// Lines: 1-157
+// ============================================================
+
+import { CONFIG } from "./config.js";
+
+// ============================================================
+// STATE MANAGEMENT
+// Lines: 21-36
+// ============================================================
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Stored toggle values; no entry means "follow the OS setting"
+const STORED_REDUCE = "reduce";
+const STORED_ALLOW = "allow";
+
+/** @type {Set<function(boolean): void>} */
+const listeners = new Set();
+
+/** @type {MediaQueryList|null} Watched only while someone is listening */
+let mediaQuery = null;
+
+// ============================================================
+// PREFERENCE
+// Lines: 38-131
+// ============================================================
+
+/**
+ * Read the toggle's stored choice (storage can be blocked, e.g. in private mode)
+ * @returns {string|null} STORED_REDUCE, STORED_ALLOW or null
+ */
+function getStoredPreference() {
+  try {
+    return localStorage.getItem(CONFIG.motion.storageKey);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tell every listener the current answer
+ * @returns {void}
+ */
+function notifyListeners() {
+  const reduced = isMotionReduced();
+  listeners.forEach((listener) => {
+    try {
+      listener(reduced);
+    } catch (error) {
+      console.error("Error in motion preference listener:", error);
+    }
+  });
+}
+
+/**
+ * Whether the sky should hold still
+ * @returns {boolean} Stored toggle choice, else the prefers-reduced-motion query
+ */
+export function isMotionReduced() {
+  const stored = getStoredPreference();
+  if (stored === STORED_REDUCE) return true;
+  if (stored === STORED_ALLOW) return false;
+  return window.matchMedia?.(REDUCED_MOTION_QUERY).matches ?? false;
+}
+
+/**
+ * Store the visitor's choice and notify listeners
+ * @param {boolean|null} reduced - true = hold still, false = animate, null = follow the OS
+ * @returns {void}
+ */
+export function setMotionPreference(reduced) {
+  try {
+    if (reduced === null) {
+      localStorage.removeItem(CONFIG.motion.storageKey);
+    } else {
+      localStorage.setItem(
+        CONFIG.motion.storageKey,
+        reduced ? STORED_REDUCE : STORED_ALLOW,
+      );
+    }
+  } catch (error) {
+    // Still applies for this page view, just not remembered
+    console.warn("Could not save motion preference:", error);
+  }
+  notifyListeners();
+}
+
+/**
+ * Pass on toggles made in other tabs of the site
+ * @param {StorageEvent} event - Storage event
+ * @returns {void}
+ */
+function handleStorage(event) {
+  if (event.key === CONFIG.motion.storageKey) notifyListeners();
+}
+
+/**
+ * Call a listener whenever the answer may have changed (OS setting or toggle)
+ * @param {function(boolean): void} listener - Receives isMotionReduced()
+ * @returns {function(): void} Removes the listener
+ */
+export function onMotionPreferenceChange(listener) {
+  if (listeners.size === 0) {
+    mediaQuery = window.matchMedia?.(REDUCED_MOTION_QUERY) ?? null;
+    mediaQuery?.addEventListener("change", notifyListeners);
+    window.addEventListener("storage", handleStorage);
+  }
+  listeners.add(listener);
+
+  return () => {
+    if (!listeners.delete(listener) || listeners.size > 0) return;
+    mediaQuery?.removeEventListener("change", notifyListeners);
+    mediaQuery = null;
+    window.removeEventListener("storage", handleStorage);
+  };
+}
+
+// ============================================================
+// ON-PAGE TOGGLE
+// Lines: 133-157
+// ============================================================
+
+/**
+ * Turn a "Reduce motion" button into the toggle (aria-pressed follows the preference)
+ * @param {HTMLButtonElement} button - Toggle button, labelled in the markup
+ * @returns {function(): void} Removes the listeners
+ */
+export function attachMotionToggle(button) {
+  const update = (reduced) => {
+    button.setAttribute("aria-pressed", String(reduced));
+  };
+  const handleClick = () => setMotionPreference(!isMotionReduced());
+
+  update(isMotionReduced());
+  button.addEventListener("click", handleClick);
+  const removeListener = onMotionPreferenceChange(update);
+
+  return () => {
+    button.removeEventListener("click", handleClick);
+    removeListener();
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Parallax module - Pointer and device tilt input for star depth layers
+ * @module parallax
+ * @exports {attachParallax}
+ * @imports {clientToSkyVector} from utils.js
+ * @description Turns mouse position over the sky, or device tilt on phones and tablets,
+ *   into a view direction for the star field's parallax layers (StarField.setParallax()).
+ *   Input is measured on screen and turned into the rotating .night-sky's own axes, so
+ *   near stars always slide the same way on screen whatever the rotation; the direction
+ *   is refreshed while it is held, as the sky keeps turning underneath it.
+ *   Tilt is measured from the first reading, so any comfortable holding angle is centre.
+ *   Smoothing happens in the star loop; Sky attaches this only while CONFIG.parallax
+ *   is enabled and motion isn't reduced.
+ */
+
+// ============================================================
+// PARALLAX - Pointer and device tilt input for star depth layers
+// Purpose: View direction for the star field's depth layers
+// Lines: 1-125
+// ============================================================
+
+import { clientToSkyVector } from "./utils.js";
+
+// ============================================================
+// CONSTANTS
+// Lines: 24-39
+// ============================================================
+
+// How often a held direction is re-mapped onto the turning sky (ms)
+const ROTATION_REFRESH_MS = 1000;
+
+/**
+ * Clamp to -1..1
+ * @param {number} value - Value
+ * @returns {number}
+ */
+function clampUnit(value) {
+  return Math.min(1, Math.max(-1, value));
+}
+
+// ============================================================
+// ATTACH
+// Lines: 41-125
+// ============================================================
+
+/**
+ * Feed pointer and tilt input to a star field's parallax layers
+ * @param {HTMLElement} element - Sky element the pointer moves over
+ * @param {import("./stars.js").StarField|import("./worker-star-field.js").WorkerStarField} starField - Star field to steer
+ * @param {Object} options - Parallax options
+ * @param {HTMLElement} options.nightSky - Rotating night sky container
+ * @param {Config} options.config - Configuration for this sky
+ * @returns {function(): void} Removes the listeners and re-centres the view
+ */
+export function attachParallax(element, starField, { nightSky, config }) {
+  let screenDirection = { x: 0, y: 0 };
+  let tiltBaseline = null; // { beta, gamma, angle } of the first reading
+
+  /**
+   * Send the current screen direction in the sky's own axes
+   * @returns {void}
+   */
+  const update = () => {
+    const { x, y } = screenDirection;
+    starField.setParallax(
+      x === 0 && y === 0 ? { x, y } : clientToSkyVector(nightSky, x, y),
+    );
+  };
+
+  const handlePointerMove = (event) => {
+    // Touch moves are scrolls and taps; tilt covers touch devices
+    if (event.pointerType === "touch") return;
+    const rect = element.getBoundingClientRect();
+    screenDirection = {
+      x: clampUnit(
+        (event.clientX - rect.left - rect.width / 2) / (rect.width / 2),
+      ),
+      y: clampUnit(
+        (event.clientY - rect.top - rect.height / 2) / (rect.height / 2),
+      ),
+    };
+    update();
+  };
+
+  const handlePointerLeave = (event) => {
+    if (event.pointerType === "touch") return;
+    screenDirection = { x: 0, y: 0 };
+    update();
+  };
+
+  const handleOrientation = (event) => {
+    if (event.beta === null || event.gamma === null) return;
+    const angle = window.screen?.orientation?.angle ?? 0;
+    // Re-centre on the first reading and whenever the screen turns
+    if (!tiltBaseline || tiltBaseline.angle !== angle) {
+      tiltBaseline = { beta: event.beta, gamma: event.gamma, angle };
+    }
+
+    const { maxTilt } = config.parallax;
+    const deviceX = (event.gamma - tiltBaseline.gamma) / maxTilt;
+    const deviceY = (event.beta - tiltBaseline.beta) / maxTilt;
+    // Device axes onto screen axes for the current screen orientation
+    const radians = (angle * Math.PI) / 180;
+    screenDirection = {
+      x: clampUnit(deviceX * Math.cos(radians) + deviceY * Math.sin(radians)),
+      y: clampUnit(-deviceX * Math.sin(radians) + deviceY * Math.cos(radians)),
+    };
+    update();
+  };
+
+  element.addEventListener("pointermove", handlePointerMove);
+  element.addEventListener("pointerleave", handlePointerLeave);
+  window.addEventListener("deviceorientation", handleOrientation);
+  const refreshInterval = setInterval(() => {
+    if (screenDirection.x !== 0 || screenDirection.y !== 0) update();
+  }, ROTATION_REFRESH_MS);
+
+  return () => {
+    clearInterval(refreshInterval);
+    element.removeEventListener("pointermove", handlePointerMove);
+    element.removeEventListener("pointerleave", handlePointerLeave);
+    window.removeEventListener("deviceorientation", handleOrientation);
+    starField.setParallax({ x: 0, y: 0 });
+  };
+}
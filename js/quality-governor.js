@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Quality governor module - Frame-rate driven quality tiers
+ * @module quality-governor
+ * @exports {QualityGovernor}
+ * @imports None
+ * @description Samples the star render loop's frame stats and moves a sky between
+ *   CONFIG.quality.tiers (fewer stars, lower DPR, fewer meteor streams, no aurora).
+ *   Steps down when the measured frame rate falls below downgradeFps while frames
+ *   are busy (a capped refresh rate alone is not slowness), and back up when it
+ *   holds at upgradeFps with frame work to spare. The gap between the two
+ *   thresholds and the consecutive-check counts are the hysteresis that keeps the
+ *   sky from flapping between tiers. Applying a tier is left to the owner (Sky).
+ */
+
+// ============================================================
+// QUALITY GOVERNOR - Frame-rate driven quality tiers
+// Purpose: Keep the sky smooth on devices the static checks misjudge
+// Lines: 1-144
+// ============================================================
+
+/**
+ * Steps a sky through quality tiers from measured frame rate
+ *
+ * Usage:
+ *   const governor = new QualityGovernor({
+ *     config,                                  // reads config.quality on every check
+ *     getFrameStats: () => starField.getFrameStats(),
+ *     isRunning: () => !document.hidden,
+ *     onTierChange: (index) => applyTier(index),
+ *   });
+ *   governor.start();
+ */
+export class QualityGovernor {
+  /**
+   * @param {Object} options - Governor options
+   * @param {Config} options.config - Configuration for this sky (live, so setConfig() tuning applies)
+   * @param {function(): import("./frame-timer.js").FrameStats} options.getFrameStats - Current frame stats
+   * @param {function(): boolean} options.isRunning - False while the sky is paused or hidden
+   * @param {function(number): void} options.onTierChange - Apply the new tier index
+   */
+  constructor({ config, getFrameStats, isRunning, onTierChange }) {
+    this.config = config;
+    this.getFrameStats = getFrameStats;
+    this.isRunning = isRunning;
+    this.onTierChange = onTierChange;
+
+    this.tierIndex = 0; // 0 = full quality, higher = cheaper
+    this.slowChecks = 0;
+    this.fastChecks = 0;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start checking frame stats every checkIntervalMs
+   * @returns {void}
+   */
+  start() {
+    if (this.intervalId !== null) return;
+    this.slowChecks = 0;
+    this.fastChecks = 0;
+    this.intervalId = setInterval(
+      () => this.check(),
+      this.config.quality.checkIntervalMs,
+    );
+  }
+
+  /**
+   * Stop checking (the current tier stays applied)
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Compare the latest frame stats against the thresholds and step if needed
+   * @returns {void}
+   */
+  check() {
+    const {
+      tiers,
+      minFrames,
+      downgradeFps,
+      downgradeMinWorkMs,
+      upgradeFps,
+      upgradeMaxWorkMs,
+      downgradeChecks,
+      upgradeChecks,
+    } = this.config.quality;
+    const stats = this.getFrameStats();
+
+    // Paused loops and freshly reset timers (every tier change regenerates) say nothing
+    if (!this.isRunning() || !stats || stats.frames < minFrames) {
+      this.slowChecks = 0;
+      this.fastChecks = 0;
+      return;
+    }
+
+    // fps comes from rAF intervals, so a 30Hz display reads slow however
+    // little each frame costs; only busy frames count against the tier
+    if (stats.fps < downgradeFps && stats.averageWorkMs >= downgradeMinWorkMs) {
+      this.slowChecks++;
+      this.fastChecks = 0;
+    } else if (
+      stats.fps >= upgradeFps &&
+      stats.averageWorkMs <= upgradeMaxWorkMs
+    ) {
+      this.fastChecks++;
+      this.slowChecks = 0;
+    } else {
+      // Between the thresholds: hold the current tier
+      this.slowChecks = 0;
+      this.fastChecks = 0;
+    }
+
+    if (
+      this.slowChecks >= downgradeChecks &&
+      this.tierIndex < tiers.length - 1
+    ) {
+      this.setTier(this.tierIndex + 1);
+    } else if (this.fastChecks >= upgradeChecks && this.tierIndex > 0) {
+      this.setTier(this.tierIndex - 1);
+    }
+  }
+
+  /**
+   * Move to a tier and let the owner apply it
+   * @param {number} index - Tier index (clamped to the configured tiers)
+   * @returns {void}
+   */
+  setTier(index) {
+    const lastIndex = this.config.quality.tiers.length - 1;
+    this.tierIndex = Math.max(0, Math.min(index, lastIndex));
+    this.slowChecks = 0;
+    this.fastChecks = 0;
+
+    try {
+      this.onTierChange(this.tierIndex);
+    } catch (error) {
+      console.error("Error applying quality tier:", error);
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Seeded random module - Deterministic pseudo-random numbers
+ * @module random
+ * @exports {hashSeed, createRandom, resolveSeed}
+ * @imports {CONFIG} from config.js
+ * @description Replaces Math.random() for every animation system so a sky can be reproduced.
+ *   Each system draws from its own named stream derived from one shared seed, so the
+ *   order in which systems consume numbers never changes what the others produce.
+ */
+
+// ============================================================
+// SEEDED RANDOM - Deterministic pseudo-random numbers
+// Purpose: Reproducible star fields, planet placement and meteor schedules
+// Lines: 1-86
+// ============================================================
+
+import { CONFIG } from "./config.js";
+
+// ============================================================
+// GENERATORS
+// Lines: 19-60
+// ============================================================
+
+/**
+ * Hash any seed value into a 32-bit unsigned integer (FNV-1a)
+ * Lets seeds be readable strings ("aurora-demo") as well as numbers
+ * @param {string|number} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * Drop-in replacement for Math.random(): returns a function producing
+ * floats in [0, 1). The stream name keeps systems independent, e.g.
+ * createRandom(seed, "stars") and createRandom(seed, "meteors").
+ *
+ * @param {string|number} seed - Seed value
+ * @param {string} [stream=""] - Stream name for an independent sequence
+ * @returns {function(): number} Random number generator
+ */
+export function createRandom(seed, stream = "") {
+  let state = hashSeed(`${seed}:${stream}`);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================
+// SEED RESOLUTION
+// Lines: 62-86
+// ============================================================
+
+/**
+ * Resolve the seed for a sky
+ *
+ * Priority: ?seed= URL parameter, then config.random.seed, then a
+ * freshly generated seed (so unseeded loads still differ).
+ * Each mounted sky keeps the seed it resolved on mount.
+ *
+ * @param {Config} [config=CONFIG] - Configuration to read random.seed from
+ * @returns {string} Resolved seed
+ */
+export function resolveSeed(config = CONFIG) {
+  const urlSeed = new URLSearchParams(window.location.search).get("seed");
+  if (urlSeed) {
+    return urlSeed;
+  }
+  if (config.random.seed !== null && config.random.seed !== undefined) {
+    return String(config.random.seed);
+  }
+  return Math.floor(Math.random() * 2 ** 32).toString(36);
+}
@@ -0,0 +1,538 @@
+/**
+ * @fileoverview Config schema module - Runtime mirror of the config.js typedefs
+ * @module schema
+ * @exports {CONFIG_SCHEMA, isField, getFieldSchema, checkValue, checkObject, parseOverrideValue}
+ * @imports None
+ * @description JSDoc typedefs vanish at runtime, so this module restates them as data:
+ *   the type of every CONFIG field plus the range it must stay in.
+ *   Used to validate overrides before they are merged into a sky's config.
+ *   Keep in sync with the typedefs in config.js when adding fields.
+ */
+
+// ============================================================
+// CONFIG SCHEMA - Runtime mirror of the config.js typedefs
+// Purpose: Type and range checks for CONFIG fields
+// Lines: 1-538
+// ============================================================
+
+// ============================================================
+// FIELD BUILDERS
+// Lines: 18-111
+// ============================================================
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {string} kind - number, boolean, string, choice, color, date or array
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {boolean} [integer] - Number must be whole
+ * @property {boolean} [nullable] - null is allowed
+ * @property {boolean} [allowNumber] - String fields that also accept numbers (seeds)
+ * @property {Array<string>} [options] - Allowed values of a choice field
+ * @property {Object<string, FieldSchema>} [items] - Shape of each array item
+ */
+
+/**
+ * Number field
+ * @param {Object} [options] - min, max, integer, nullable
+ * @returns {FieldSchema}
+ */
+function number(options = {}) {
+  return { kind: "number", ...options };
+}
+
+/**
+ * Whole-number field (counts, milliseconds)
+ * @param {Object} [options] - min, max, nullable
+ * @returns {FieldSchema}
+ */
+function integer(options = {}) {
+  return { kind: "number", integer: true, ...options };
+}
+
+/**
+ * Number between 0 and 1 (opacity, percentage)
+ * @returns {FieldSchema}
+ */
+function fraction() {
+  return { kind: "number", min: 0, max: 1 };
+}
+
+/**
+ * Boolean flag
+ * @returns {FieldSchema}
+ */
+function boolean() {
+  return { kind: "boolean" };
+}
+
+/**
+ * Free-form string
+ * @param {Object} [options] - nullable, allowNumber
+ * @returns {FieldSchema}
+ */
+function string(options = {}) {
+  return { kind: "string", ...options };
+}
+
+/**
+ * One of a fixed set of strings (render modes, context types)
+ * @param {Array<string>} options - Allowed values
+ * @returns {FieldSchema}
+ */
+function choice(options) {
+  return { kind: "choice", options };
+}
+
+/**
+ * Incomplete RGBA color ("rgba(r, g, b,") - opacity is appended at render
+ * @returns {FieldSchema}
+ */
+function color() {
+  return { kind: "color" };
+}
+
+/**
+ * Date string parseable by new Date()
+ * @param {Object} [options] - nullable
+ * @returns {FieldSchema}
+ */
+function date(options = {}) {
+  return { kind: "date", ...options };
+}
+
+/**
+ * Array of objects with a fixed shape
+ * @param {Object<string, FieldSchema>} items - Shape of each item
+ * @returns {FieldSchema}
+ */
+function arrayOf(items) {
+  return { kind: "array", items };
+}
+
+// ============================================================
+// SCHEMA
+// Lines: 113-362
+// ============================================================
+
+/** Mirrors the Config typedef in config.js */
+export const CONFIG_SCHEMA = {
+  stars: {
+    countDesktop: integer({ min: 0, max: 20000 }),
+    countMobile: integer({ min: 0, max: 20000 }),
+    mobileBreakpoint: integer({ min: 0 }),
+    maxSize: number({ min: 0 }),
+    minSize: number({ min: 0 }),
+    animationDelayMax: number({ min: 0 }),
+    animationDurationMin: number({ min: 0.1 }),
+    animationDurationMax: number({ min: 0.1 }),
+    twinkleOpacityMin: fraction(),
+    twinkleOpacityMax: fraction(),
+    staticPercentage: fraction(),
+    staticOpacityMin: fraction(),
+    staticOpacityMax: fraction(),
+    spectralClasses: arrayOf({
+      type: string(),
+      color: color(),
+      percentage: fraction(),
+      colorIndexMax: number({ min: -1, max: 3 }),
+    }),
+    binaryPercentage: fraction(),
+    binarySeparationMin: number({ min: 0 }),
+    binarySeparationMax: number({ min: 0 }),
+    renderMode: choice(["baked", "direct"]),
+  },
+  planets: arrayOf({
+    name: string(),
+    color: color(),
+    size: number({ min: 0 }),
+    opacity: fraction(),
+  }),
+  meteors: {
+    enabled: boolean(),
+    startXMin: number(),
+    startXMax: number(),
+    startYMin: {
+      whenXOutOfBounds: number(),
+      whenXInBounds: number(),
+    },
+    startYMax: number(),
+    angleMin: number({ min: 0, max: 360 }),
+    angleMax: number({ min: 0, max: 360 }),
+    durationMin: number({ min: 0.1 }),
+    durationMax: number({ min: 0.1 }),
+    showerCountMin: integer({ min: 0 }),
+    showerCountMax: integer({ min: 0 }),
+    showerIntervalMin: integer({ min: 0 }),
+    showerIntervalMax: integer({ min: 0 }),
+    singleMeteorIntervalMin: integer({ min: 100 }),
+    singleMeteorIntervalMax: integer({ min: 100 }),
+    nextShowerMin: integer({ min: 0 }),
+    nextShowerMax: integer({ min: 0 }),
+    singleMeteorStreamCount: integer({ min: 0, max: 10 }),
+    initialMeteorDelayMax: integer({ min: 0 }),
+    initialShowerDelayMin: integer({ min: 0 }),
+    initialShowerDelayMax: integer({ min: 0 }),
+    showerCleanupDelayPerMeteor: integer({ min: 0 }),
+    showerCleanupDelayBase: integer({ min: 0 }),
+    renderer: choice(["dom", "canvas"]),
+    radiant: {
+      enabled: boolean(),
+      x: number({ min: -1, max: 2 }),
+      y: number({ min: -1, max: 2 }),
+      shortenWithin: number({ min: 0 }),
+      minLength: fraction(),
+    },
+  },
+  meteorCanvas: {
+    speedMin: number({ min: 1 }),
+    speedMax: number({ min: 1 }),
+    drag: fraction(),
+    brightnessMin: fraction(),
+    brightnessMax: fraction(),
+    showerAngleSpread: number({ min: 0, max: 180 }),
+    headRadius: number({ min: 0 }),
+    tailSeconds: number({ min: 0 }),
+    tailWidth: number({ min: 0 }),
+    headColor: color(),
+    tailColor: color(),
+  },
+  showerCalendar: {
+    enabled: boolean(),
+    date: date({ nullable: true }),
+    sporadicHourlyRate: number({ min: 0 }),
+    minZhr: number({ min: 0 }),
+    timeScale: number({ min: 1 }),
+  },
+  fireballs: {
+    probability: fraction(),
+    headScale: number({ min: 1 }),
+    tint: color(),
+    fragmentAt: fraction(),
+    sparkCountMin: integer({ min: 0 }),
+    sparkCountMax: integer({ min: 0 }),
+    sparkLifeMin: number({ min: 0 }),
+    sparkLifeMax: number({ min: 0 }),
+    sparkSpread: number({ min: 0, max: 180 }),
+    trainSeconds: number({ min: 0 }),
+    trainOpacity: fraction(),
+    flashOpacity: fraction(),
+    flashMs: integer({ min: 0 }),
+  },
+  interaction: {
+    enabled: boolean(),
+    cooldownMs: integer({ min: 0 }),
+    maxMeteors: integer({ min: 0 }),
+    approachDistance: number({ min: 0 }),
+    longPressMs: integer({ min: 0 }),
+    moveTolerance: number({ min: 0 }),
+    showerCount: integer({ min: 1 }),
+    label: string(),
+  },
+  parallax: {
+    enabled: boolean(),
+    layers: integer({ min: 1, max: 8 }),
+    farShare: fraction(),
+    maxOffset: number({ min: 0 }),
+    smoothingMs: integer({ min: 0 }),
+    maxTilt: number({ min: 1, max: 90 }),
+  },
+  aurora: {
+    enabled: boolean(),
+    lowEndCpuCores: integer({ min: 0 }),
+    kpIndex: number({ min: 0, max: 9 }),
+    bandCount: integer({ min: 1, max: 8 }),
+    intensity: number({ min: 0, max: 3 }),
+    speed: number({ min: 0, max: 10 }),
+    opacity: fraction(),
+    color: color(),
+    topColor: color(),
+    fringeColor: color(),
+    rayWidth: number({ min: 1, max: 50 }),
+    resolution: number({ min: 0.1, max: 1 }),
+  },
+  performance: {
+    resizeDebounceMs: integer({ min: 0 }),
+    frameSampleCount: integer({ min: 1, max: 3600 }),
+  },
+  quality: {
+    enabled: boolean(),
+    checkIntervalMs: integer({ min: 100 }),
+    minFrames: integer({ min: 1 }),
+    downgradeFps: number({ min: 1, max: 240 }),
+    downgradeMinWorkMs: number({ min: 0 }),
+    upgradeFps: number({ min: 1, max: 240 }),
+    upgradeMaxWorkMs: number({ min: 0 }),
+    downgradeChecks: integer({ min: 1 }),
+    upgradeChecks: integer({ min: 1 }),
+    tiers: arrayOf({
+      name: string(),
+      starScale: fraction(),
+      maxPixelRatio: number({ min: 0.5, max: 4 }),
+      maxMeteorStreams: integer({ min: 0, max: 10 }),
+      aurora: boolean(),
+    }),
+  },
+  nightSky: {
+    diagonalMultiplier: number({ min: 1 }),
+    bottomOffsetFactor: fraction(),
+  },
+  canvas: {
+    devicePixelRatioEnabled: boolean(),
+    contextType: choice(["2d", "webgl", "webgl2"]),
+    offscreenWorker: boolean(),
+  },
+  random: {
+    seed: string({ nullable: true, allowNumber: true }),
+  },
+  observer: {
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180, nullable: true }),
+    date: date({ nullable: true }),
+    facingAzimuth: number({ min: 0, max: 360 }),
+  },
+  timeOfDay: {
+    enabled: boolean(),
+    updateMs: integer({ min: 1000 }),
+    daylightAltitude: number({ min: -18, max: 90 }),
+    fadeMagnitudes: number({ min: 0.1 }),
+  },
+  realSky: {
+    enabled: boolean(),
+    magnitudeLimit: number({ min: -2, max: 8 }),
+    brightestMagnitude: number({ min: -2, max: 8 }),
+  },
+  ephemeris: {
+    enabled: boolean(),
+    brightestMagnitude: number({ min: -5, max: 6 }),
+    faintestMagnitude: number({ min: -5, max: 6 }),
+    minOpacity: fraction(),
+  },
+  moon: {
+    enabled: boolean(),
+    date: date({ nullable: true }),
+    size: number({ min: 1 }),
+    color: color(),
+    earthshineOpacity: fraction(),
+    haloScale: number({ min: 1 }),
+    haloOpacity: fraction(),
+    dimRadius: number({ min: 0 }),
+    dimMagnitude: number({ min: -2, max: 8 }),
+  },
+  milkyWay: {
+    enabled: boolean(),
+    poleRa: number({ min: 0, max: 24 }),
+    poleDec: number({ min: -90, max: 90 }),
+    coreRa: number({ min: 0, max: 24 }),
+    coreDec: number({ min: -90, max: 90 }),
+    width: number({ min: 1, max: 45 }),
+    opacity: fraction(),
+    color: color(),
+    coreColor: color(),
+    dustOpacity: fraction(),
+    starShare: fraction(),
+    resolution: number({ min: 0.05, max: 1 }),
+    visibleMagnitude: number({ min: -2, max: 8 }),
+  },
+  constellations: {
+    enabled: boolean(),
+    lineColor: color(),
+    lineOpacity: fraction(),
+    lineWidth: number({ min: 0 }),
+    labelColor: color(),
+    labelFont: string(),
+    hoverRadius: number({ min: 0 }),
+    labelFadeMs: integer({ min: 1 }),
+    tapHoldMs: integer({ min: 0 }),
+  },
+  api: {
+    exposeGlobal: boolean(),
+  },
+  motion: {
+    reduceMotion: choice(["auto", "always", "never"]),
+    storageKey: string(),
+  },
+  validation: {
+    enabled: boolean(),
+    strict: boolean(),
+  },
+  debug: {
+    applyDelayMs: integer({ min: 0, max: 2000 }),
+  },
+};
+
+// ============================================================
+// LOOKUP AND CHECKS
+// Lines: 364-495
+// ============================================================
+
+// Incomplete rgba() string as expected by the renderers: "rgba(r, g, b,"
+const COLOR_PATTERN = /^rgba\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*,$/;
+
+/**
+ * Whether a schema node is a field (as opposed to a nested section)
+ * @param {Object} node - Schema node
+ * @returns {boolean}
+ */
+export function isField(node) {
+  return typeof node.kind === "string";
+}
+
+/**
+ * Find the schema for a dotted config path
+ * @param {string} path - e.g. "stars.countDesktop" or "meteors.startYMin.whenXInBounds"
+ * @returns {FieldSchema|Object|null} Field or section schema; null if the path is unknown
+ */
+export function getFieldSchema(path) {
+  let node = CONFIG_SCHEMA;
+  for (const key of path.split(".")) {
+    if (!node || isField(node) || !Object.hasOwn(node, key)) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Check a value against a field schema
+ * @param {FieldSchema} field - Field schema
+ * @param {*} value - Value to check
+ * @param {string} path - Dotted path, used in messages
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function checkValue(field, value, path) {
+  if (value === null) {
+    return field.nullable ? [] : [`${path} must not be null`];
+  }
+
+  switch (field.kind) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [`${path} must be a number (got ${JSON.stringify(value)})`];
+      }
+      if (field.integer && !Number.isInteger(value)) {
+        return [`${path} must be a whole number (got ${value})`];
+      }
+      if (field.min !== undefined && value < field.min) {
+        return [`${path} must be at least ${field.min} (got ${value})`];
+      }
+      if (field.max !== undefined && value > field.max) {
+        return [`${path} must be at most ${field.max} (got ${value})`];
+      }
+      return [];
+
+    case "boolean":
+      return typeof value === "boolean"
+        ? []
+        : [`${path} must be true or false (got ${JSON.stringify(value)})`];
+
+    case "string":
+      return typeof value === "string" ||
+        (field.allowNumber && typeof value === "number")
+        ? []
+        : [`${path} must be a string (got ${JSON.stringify(value)})`];
+
+    case "choice":
+      return field.options.includes(value)
+        ? []
+        : [
+            `${path} must be one of ${field.options.join(", ")} (got ${JSON.stringify(value)})`,
+          ];
+
+    case "color":
+      return typeof value === "string" && COLOR_PATTERN.test(value)
+        ? []
+        : [
+            `${path} must be an incomplete rgba string like "rgba(255, 255, 255," (got ${JSON.stringify(value)})`,
+          ];
+
+    case "date":
+      return typeof value === "string" &&
+        !Number.isNaN(new Date(value).getTime())
+        ? []
+        : [`${path} must be a date string (got ${JSON.stringify(value)})`];
+
+    case "array":
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      return value.flatMap((item, index) =>
+        checkObject(field.items, item, `${path}[${index}]`),
+      );
+
+    default:
+      return [`${path} has unknown schema kind "${field.kind}"`];
+  }
+}
+
+/**
+ * Check every field of an object against a section schema
+ * Missing fields and unknown keys are both reported
+ * @param {Object<string, FieldSchema>} section - Section schema
+ * @param {*} value - Object to check
+ * @param {string} path - Dotted path, used in messages
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function checkObject(section, value, path) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return [`${path} must be an object`];
+  }
+
+  const problems = Object.keys(value)
+    .filter((key) => !Object.hasOwn(section, key))
+    .map((key) => `${path}.${key} is not a known setting`);
+
+  Object.entries(section).forEach(([key, node]) => {
+    const childPath = `${path}.${key}`;
+    if (!Object.hasOwn(value, key)) {
+      problems.push(`${childPath} is missing`);
+    } else if (isField(node)) {
+      problems.push(...checkValue(node, value[key], childPath));
+    } else {
+      problems.push(...checkObject(node, value[key], childPath));
+    }
+  });
+  return problems;
+}
+
+// ============================================================
+// STRING PARSING
+// Lines: 497-538
+// ============================================================
+
+/**
+ * Convert an override string (URL parameter, data attribute) to a field's type
+ * @param {FieldSchema} field - Field schema
+ * @param {string} raw - Raw string value
+ * @returns {*} Parsed value (may still be out of range; run checkValue next)
+ * @throws {Error} If the string can't be read as the field's type
+ */
+export function parseOverrideValue(field, raw) {
+  const text = raw.trim();
+  if (field.nullable && text === "null") return null;
+
+  switch (field.kind) {
+    case "number": {
+      const value = Number(text);
+      if (text === "" || Number.isNaN(value)) {
+        throw new Error(`"${raw}" is not a number`);
+      }
+      return value;
+    }
+
+    case "boolean":
+      // Bare flags (?aurora.enabled, data-aurora.enabled) mean true
+      if (["", "true", "1", "on"].includes(text)) return true;
+      if (["false", "0", "off"].includes(text)) return false;
+      throw new Error(`"${raw}" is not true or false`);
+
+    case "array":
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new Error(`"${raw}" is not a JSON array`);
+      }
+
+    default:
+      return raw;
+  }
+}
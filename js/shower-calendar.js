@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Shower calendar module - Annual meteor showers and meteor rates
+ * @module shower-calendar
+ * @exports {METEOR_SHOWERS, getCalendarDate, getShowerRate, getMeteorActivity}
+ * @imports {CONFIG} from config.js
+ * @description The major annual meteor showers with their activity window, peak date,
+ *   zenithal hourly rate (ZHR), radiant and entry speed, after the IMO working list.
+ *   Activity falls off exponentially either side of the peak (ZHR × 10^(-slope × days)),
+ *   a simplified form of the profiles used by meteor observers. Slopes are approximate
+ *   and tuned so rates a week out match typical reports.
+ *   MeteorSystem asks getMeteorActivity() how many shower and sporadic meteors
+ *   to expect per hour when CONFIG.showerCalendar is enabled.
+ */
+
+// ============================================================
+// SHOWER CALENDAR - Annual meteor showers and meteor rates
+// Purpose: Real shower dates, rates and radiants for the meteor system
+// Lines: 1-252
+// ============================================================
+
+import { CONFIG } from "./config.js";
+
+// ============================================================
+// SHOWER DATA
+// Lines: 23-164
+// ============================================================
+
+/**
+ * @typedef {Object} MeteorShower
+ * @property {string} name - Shower name
+ * @property {string} code - IMO three-letter code
+ * @property {string} start - First day of activity ("MM-DD", UT)
+ * @property {string} peak - Peak day ("MM-DD", UT)
+ * @property {string} end - Last day of activity ("MM-DD", UT)
+ * @property {number} zhr - Zenithal hourly rate at the peak
+ * @property {number} slope - Activity falls by 10^slope per day from the peak
+ * @property {number} ra - Radiant right ascension at the peak in hours (J2000)
+ * @property {number} dec - Radiant declination at the peak in degrees (J2000)
+ * @property {number} speed - Atmospheric entry speed in km/s
+ */
+
+/** @type {Array<MeteorShower>} */
+export const METEOR_SHOWERS = [
+  {
+    name: "Quadrantids",
+    code: "QUA",
+    start: "12-28",
+    peak: "01-03",
+    end: "01-12",
+    zhr: 110,
+    slope: 1.0, // Sharp peak, only a few hours wide
+    ra: 15.33,
+    dec: 49,
+    speed: 41,
+  },
+  {
+    name: "Lyrids",
+    code: "LYR",
+    start: "04-14",
+    peak: "04-22",
+    end: "04-30",
+    zhr: 18,
+    slope: 0.3,
+    ra: 18.07,
+    dec: 34,
+    speed: 49,
+  },
+  {
+    name: "Eta Aquariids",
+    code: "ETA",
+    start: "04-19",
+    peak: "05-06",
+    end: "05-28",
+    zhr: 50,
+    slope: 0.08,
+    ra: 22.53,
+    dec: -1,
+    speed: 66,
+  },
+  {
+    name: "Southern Delta Aquariids",
+    code: "SDA",
+    start: "07-12",
+    peak: "07-30",
+    end: "08-23",
+    zhr: 25,
+    slope: 0.06,
+    ra: 22.67,
+    dec: -16,
+    speed: 41,
+  },
+  {
+    name: "Perseids",
+    code: "PER",
+    start: "07-17",
+    peak: "08-12",
+    end: "08-24",
+    zhr: 100,
+    slope: 0.12,
+    ra: 3.2,
+    dec: 58,
+    speed: 59,
+  },
+  {
+    name: "Draconids",
+    code: "DRA",
+    start: "10-06",
+    peak: "10-08",
+    end: "10-10",
+    zhr: 10,
+    slope: 0.5,
+    ra: 17.47,
+    dec: 54,
+    speed: 20,
+  },
+  {
+    name: "Orionids",
+    code: "ORI",
+    start: "10-02",
+    peak: "10-21",
+    end: "11-07",
+    zhr: 20,
+    slope: 0.1,
+    ra: 6.33,
+    dec: 16,
+    speed: 66,
+  },
+  {
+    name: "Leonids",
+    code: "LEO",
+    start: "11-06",
+    peak: "11-17",
+    end: "11-30",
+    zhr: 15,
+    slope: 0.25,
+    ra: 10.13,
+    dec: 22,
+    speed: 71,
+  },
+  {
+    name: "Geminids",
+    code: "GEM",
+    start: "12-04",
+    peak: "12-14",
+    end: "12-20",
+    zhr: 150,
+    slope: 0.19,
+    ra: 7.47,
+    dec: 33,
+    speed: 35,
+  },
+  {
+    name: "Ursids",
+    code: "URS",
+    start: "12-17",
+    peak: "12-22",
+    end: "12-26",
+    zhr: 10,
+    slope: 0.4,
+    ra: 14.47,
+    dec: 76,
+    speed: 33,
+  },
+];
+
+// ============================================================
+// DATES
+// Lines: 166-200
+// ============================================================
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Resolve the date the calendar is read for
+ * @param {Config} [config=CONFIG] - Configuration to read the date override from
+ * @returns {Date} showerCalendar.date, else observer.date, else now
+ */
+export function getCalendarDate(config = CONFIG) {
+  const override = config.showerCalendar.date ?? config.observer.date;
+  const date = override ? new Date(override) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Signed days from an annual "MM-DD" date (UT midnight) to a moment,
+ * taking the nearest year so windows can span New Year
+ * @param {string} monthDay - "MM-DD"
+ * @param {Date} date - Moment in time
+ * @returns {number} Days (negative = before the annual date)
+ */
+function daysFrom(monthDay, date) {
+  const [month, day] = monthDay.split("-").map(Number);
+  const year = date.getUTCFullYear();
+
+  return [year - 1, year, year + 1]
+    .map((y) => (date.getTime() - Date.UTC(y, month - 1, day)) / MS_PER_DAY)
+    .reduce((nearest, days) =>
+      Math.abs(days) < Math.abs(nearest) ? days : nearest,
+    );
+}
+
+// ============================================================
+// RATES
+// Lines: 202-252
+// ============================================================
+
+/**
+ * Zenithal hourly rate of a shower at a moment
+ * @param {MeteorShower} shower - Shower
+ * @param {Date} date - Moment in time
+ * @returns {number} Meteors per hour (0 outside the activity window)
+ */
+export function getShowerRate(shower, date) {
+  const daysFromPeak = daysFrom(shower.peak, date);
+  const peak = new Date(date.getTime() - daysFromPeak * MS_PER_DAY);
+  // Window edges around this peak (start may fall in the previous year)
+  const daysBefore = daysFrom(shower.start, peak);
+  const daysAfter = -daysFrom(shower.end, peak) + 1; // End day is inclusive
+
+  if (daysFromPeak < -daysBefore || daysFromPeak > daysAfter) return 0;
+  return shower.zhr * 10 ** (-shower.slope * Math.abs(daysFromPeak));
+}
+
+/**
+ * @typedef {Object} MeteorActivity
+ * @property {Date} date - Moment the rates are for
+ * @property {MeteorShower|null} shower - Strongest active shower, if any
+ * @property {number} showerRate - Shower meteors per hour
+ * @property {number} sporadicRate - Background meteors per hour
+ */
+
+/**
+ * Expected meteors per hour for the configured date
+ * @param {Config} [config=CONFIG] - Configuration for this sky
+ * @returns {MeteorActivity}
+ */
+export function getMeteorActivity(config = CONFIG) {
+  const { sporadicHourlyRate, minZhr } = config.showerCalendar;
+  const date = getCalendarDate(config);
+
+  let shower = null;
+  let showerRate = 0;
+  METEOR_SHOWERS.forEach((candidate) => {
+    const rate = getShowerRate(candidate, date);
+    if (rate >= minZhr && rate > showerRate) {
+      shower = candidate;
+      showerRate = rate;
+    }
+  });
+
+  return { date, shower, showerRate, sporadicRate: sporadicHourlyRate };
+}
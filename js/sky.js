@@ -0,0 +1,863 @@
+/**
+ * @fileoverview Sky module - Mountable night sky instances
+ * @module sky
+ * @exports {Sky, mountSky}
+ * @imports {CONFIG} from config.js
+ * @imports {initializeNightSkySize, isLowEndDevice, deepMerge, pauseAnimations, resumeAnimations} from utils.js
+ * @imports {resolveSeed} from random.js
+ * @imports {StarField} from stars.js
+ * @imports {WorkerStarField, canRenderInWorker} from worker-star-field.js
+ * @imports {MeteorSystem} from meteors.js
+ * @imports {AuroraLayer} from aurora.js
+ * @imports {QualityGovernor} from quality-governor.js
+ * @imports {isMotionReduced, onMotionPreferenceChange} from motion-preference.js
+ * @imports {attachMeteorInteraction} from meteor-interaction.js
+ * @imports {attachParallax} from parallax.js
+ * @imports {getTimeOfDay, readTimeOverride, SKY_GRADIENT_PROPERTIES} from time-of-day.js
+ * @description Wires a StarField, a MeteorSystem and an AuroraLayer to one element with
+ *   its own config, seed and lifecycle, so several independent skies can share a page
+ *   (e.g. the hero and a footer). Missing night sky / canvas / aurora / meteor containers
+ *   are created inside the element; existing markup (index.html hero) is reused.
+ *   A QualityGovernor per sky steps through CONFIG.quality.tiers from measured frame rate.
+ *   Reduced motion (prefers-reduced-motion or the on-page toggle) holds the sky still.
+ *   Clicks, taps and Enter on the sky launch meteors (config.interaction).
+ *   Pointer and device tilt shift the star depth layers (config.parallax).
+ *   The real sun sets the background, star visibility and whether meteors and aurora
+ *   show (config.timeOfDay); ?time= previews any moment.
+ */
+
+// ============================================================
+// SKY - Mountable night sky instances
+// Purpose: Independent skies with their own config and lifecycle
+// Lines: 1-863
+// ============================================================
+
+import { CONFIG } from "./config.js";
+import {
+  initializeNightSkySize,
+  isLowEndDevice,
+  deepMerge,
+  pauseAnimations,
+  resumeAnimations,
+} from "./utils.js";
+import { resolveSeed } from "./random.js";
+import { StarField } from "./stars.js";
+import { WorkerStarField, canRenderInWorker } from "./worker-star-field.js";
+import { MeteorSystem } from "./meteors.js";
+import { AuroraLayer } from "./aurora.js";
+import { QualityGovernor } from "./quality-governor.js";
+import {
+  isMotionReduced,
+  onMotionPreferenceChange,
+} from "./motion-preference.js";
+import { attachMeteorInteraction } from "./meteor-interaction.js";
+import { attachParallax } from "./parallax.js";
+import {
+  getTimeOfDay,
+  readTimeOverride,
+  SKY_GRADIENT_PROPERTIES,
+} from "./time-of-day.js";
+
+// ============================================================
+// STATE MANAGEMENT
+// Lines: 61-67
+// ============================================================
+
+// Numbers mounted skies so keyframe names never collide
+let skyCount = 0;
+
+// ============================================================
+// SKY INSTANCE
+// Lines: 69-147
+// ============================================================
+
+/**
+ * @typedef {Object} SkyOptions
+ * @property {Object} [config] - Partial Config merged over a copy of CONFIG
+ * @property {string|number} [seed] - Seed for this sky (default: resolveSeed())
+ * @property {Node} [styleRoot=document.head] - Where meteor keyframes are injected
+ */
+
+/**
+ * One night sky mounted in an element
+ *
+ * Owns the stars, meteors, aurora and the resize/visibility
+ * listeners for that element. Config is a private copy, so setConfig()
+ * on one sky never affects another.
+ */
+export class Sky {
+  /**
+   * @param {HTMLElement} element - Element to render the sky in
+   * @param {SkyOptions} [options={}] - Mount options
+   */
+  constructor(element, { config = {}, seed, styleRoot = document.head } = {}) {
+    this.id = ++skyCount;
+    this.element = element;
+    this.config = deepMerge(structuredClone(CONFIG), config);
+    this.seed = seed !== undefined ? String(seed) : resolveSeed(this.config);
+    // ?time= previews a moment for everything time-based (twilight, real sky, showers)
+    const timeOverride = readTimeOverride();
+    if (timeOverride) this.config.observer.date = timeOverride;
+
+    // Lifecycle flags
+    this.isUserPaused = false; // pause() wins over tab visibility until resume()
+    this.isMotionReduced = false; // Still sky, no meteors (see applyMotionPreference())
+    this.isDaylight = false; // Sun too high for meteors and aurora (see updateTimeOfDay())
+    this.isDestroyed = false;
+
+    // Listener removers and created elements, undone by destroy()
+    this.cleanupTasks = [];
+    this.createdElements = [];
+    this.detachInteraction = null; // Set while config.interaction.enabled
+    this.detachParallax = null; // Set while config.parallax.enabled and moving
+    this.detachConstellationHover = null; // Set while the constellation overlay is on
+    this.timeOfDayInterval = null; // Set while following a live clock
+
+    element.classList.add("sky-mount");
+    this.nightSky = this.findOrCreatePart(element, "night-sky", "div");
+    this.canvas = this.findOrCreatePart(this.nightSky, "star-canvas", "canvas");
+    this.meteorsContainer = this.findOrCreatePart(element, "meteors", "div");
+    this.auroraContainer = this.findOrCreatePart(element, "aurora", "div");
+
+    this.starField = this.createStarField();
+    this.meteors = new MeteorSystem({
+      container: this.meteorsContainer,
+      hero: element,
+      config: this.config,
+      seed: this.seed,
+      keyframePrefix: `sky${this.id}`,
+      styleRoot,
+      nightSky: this.nightSky,
+    });
+    this.aurora = new AuroraLayer({
+      container: this.auroraContainer,
+      config: this.config,
+      seed: this.seed,
+    });
+
+    // Runtime quality tiers from the star loop's frame rate
+    this.qualityListeners = new Set();
+    this.governor = new QualityGovernor({
+      config: this.config,
+      getFrameStats: () => this.starField.getFrameStats(),
+      isRunning: () =>
+        !this.isUserPaused && !document.hidden && !this.isMotionReduced,
+      onTierChange: () => this.applyQualityTier(),
+    });
+  }
+
+  // ============================================================
+  // DOM SETUP
+  // Lines: 149-256
+  // ============================================================
+
+  /**
+   * Find a sky part by data-component, creating it if the markup lacks it
+   * @param {HTMLElement} parent - Element the part belongs to
+   * @param {string} component - data-component value (night-sky, star-canvas, aurora, meteors)
+   * @param {string} tagName - Tag to create when missing
+   * @returns {HTMLElement} Existing or newly created element
+   */
+  findOrCreatePart(parent, component, tagName) {
+    const existing = parent.querySelector(`[data-component="${component}"]`);
+    if (existing) return existing;
+
+    const classNames = {
+      "night-sky": "night-sky",
+      "star-canvas": "star-canvas",
+      aurora: "aurora-container",
+      meteors: "meteors-container",
+    };
+    const part = document.createElement(tagName);
+    part.className = classNames[component];
+    part.dataset.component = component;
+
+    // Night sky goes first so page content inside the element stays on top
+    if (component === "aurora" || component === "meteors") {
+      this.nightSky.after(part);
+    } else {
+      parent.prepend(part);
+    }
+    this.createdElements.push(part);
+    return part;
+  }
+
+  /**
+   * Create the star renderer: worker-backed if configured and supported,
+   * otherwise (or if the worker can't start) on the main thread
+   * @returns {StarField|WorkerStarField}
+   */
+  createStarField() {
+    const options = {
+      canvas: this.canvas,
+      nightSky: this.nightSky,
+      config: this.config,
+      seed: this.seed,
+    };
+
+    if (this.config.canvas.offscreenWorker && canRenderInWorker(this.canvas)) {
+      const workerStarField = new WorkerStarField({
+        ...options,
+        onFailure: () => this.fallBackFromWorker(),
+      });
+      try {
+        workerStarField.start();
+        return workerStarField;
+      } catch (error) {
+        console.warn(
+          "Star worker unavailable, rendering on the main thread:",
+          error,
+        );
+      }
+    }
+    return new StarField(options);
+  }
+
+  /**
+   * Replace a failed worker star field with a main-thread StarField on the
+   * fresh canvas it left behind, carrying over the sky's current state
+   * @returns {void}
+   */
+  fallBackFromWorker() {
+    if (this.isDestroyed) return;
+    console.warn("Star worker failed, rendering on the main thread");
+
+    const workerStarField = this.starField;
+    this.starField = new StarField({
+      canvas: workerStarField.canvas,
+      nightSky: this.nightSky,
+      config: this.config,
+      seed: this.seed,
+      visible: !document.hidden && !this.isUserPaused,
+    });
+    this.starField.setQuality(this.getQualityTier());
+    if (this.isMotionReduced) this.starField.setReducedMotion(true);
+    this.updateTimeOfDay();
+    this.applyParallax();
+    this.applyConstellationOverlay();
+
+    // Otherwise the pending first-layout frame initializes the new field
+    if (workerStarField.isInitialized) this.starField.initialize();
+  }
+
+  /**
+   * Show or hide the aurora from config, device capability, quality tier and daylight
+   * @returns {void}
+   */
+  applyAuroraVisibility() {
+    const isShown =
+      this.config.aurora.enabled &&
+      !isLowEndDevice(this.config) &&
+      this.getQualityTier().aurora &&
+      !this.isDaylight;
+    this.auroraContainer.style.display = isShown ? "" : "none";
+    // After the display change, so a shown layer can measure the container
+    this.aurora.setActive(isShown);
+  }
+
+  // ============================================================
+  // REDUCED MOTION
+  // Lines: 258-282
+  // ============================================================
+
+  /**
+   * Hold the sky still or let it move, from config.motion and the page preference
+   * Still: one twinkle-free star frame, no meteors, rotation and aurora frozen
+   * (.reduced-motion pauses the CSS rotation)
+   * @returns {void}
+   */
+  applyMotionPreference() {
+    const { reduceMotion } = this.config.motion;
+    const reduced =
+      reduceMotion === "always" ||
+      (reduceMotion === "auto" && isMotionReduced());
+    if (reduced === this.isMotionReduced) return;
+
+    this.isMotionReduced = reduced;
+    this.element.classList.toggle("reduced-motion", reduced);
+    this.starField.setReducedMotion(reduced);
+    this.aurora.setReducedMotion(reduced);
+    this.applyParallax();
+    if (!this.isUserPaused && !document.hidden) this.restartMeteors();
+  }
+
+  // ============================================================
+  // PARALLAX
+  // Lines: 284-303
+  // ============================================================
+
+  /**
+   * Follow the pointer and device tilt while config.parallax is enabled
+   * and motion isn't reduced; otherwise the layers rest centred
+   * @returns {void}
+   */
+  applyParallax() {
+    this.detachParallax?.();
+    this.detachParallax = null;
+    if (!this.config.parallax.enabled || this.isMotionReduced) return;
+
+    this.detachParallax = attachParallax(this.element, this.starField, {
+      nightSky: this.nightSky,
+      config: this.config,
+    });
+  }
+
+  // ============================================================
+  // TIME OF DAY
+  // Lines: 305-370
+  // ============================================================
+
+  /**
+   * Follow the sun to match config.timeOfDay, re-reading it every updateMs
+   * on a live clock (a fixed observer.date or ?time= never changes)
+   * @returns {void}
+   */
+  applyTimeOfDay() {
+    clearInterval(this.timeOfDayInterval);
+    this.timeOfDayInterval = null;
+    this.updateTimeOfDay();
+
+    const { enabled, updateMs } = this.config.timeOfDay;
+    if (enabled && !this.config.observer.date) {
+      this.timeOfDayInterval = setInterval(
+        () => this.updateTimeOfDay(),
+        updateMs,
+      );
+    }
+  }
+
+  /**
+   * Blend the background, fade stars and hold meteors and aurora for the
+   * sun's current altitude (full night while config.timeOfDay is off)
+   * @returns {void}
+   */
+  updateTimeOfDay() {
+    const { style, dataset } = this.element;
+    let isDaylight = false;
+
+    try {
+      if (this.config.timeOfDay.enabled) {
+        const timeOfDay = getTimeOfDay(this.config);
+        SKY_GRADIENT_PROPERTIES.forEach((name, index) =>
+          style.setProperty(name, timeOfDay.gradient[index]),
+        );
+        dataset.skyPhase = timeOfDay.phase;
+        this.starField.setLimitingMagnitude(timeOfDay.limitingMagnitude);
+        isDaylight = timeOfDay.isDaylight;
+      } else {
+        this.clearTimeOfDay();
+        this.starField.setLimitingMagnitude(Infinity);
+      }
+    } catch (error) {
+      console.error("Error updating time of day:", error);
+    }
+
+    if (isDaylight === this.isDaylight) return;
+    this.isDaylight = isDaylight;
+    this.applyAuroraVisibility();
+    if (!this.isUserPaused && !document.hidden) this.restartMeteors();
+  }
+
+  /**
+   * Remove the twilight gradient and phase so the stylesheet's night shows
+   * @returns {void}
+   */
+  clearTimeOfDay() {
+    SKY_GRADIENT_PROPERTIES.forEach((name) =>
+      this.element.style.removeProperty(name),
+    );
+    delete this.element.dataset.skyPhase;
+  }
+
+  // ============================================================
+  // METEOR INTERACTION
+  // Lines: 372-400
+  // ============================================================
+
+  /**
+   * Attach or detach click/tap/keyboard meteors to match config.interaction.enabled
+   * Reattaching picks up a changed label
+   * @returns {void}
+   */
+  applyInteraction() {
+    this.detachInteraction?.();
+    this.detachInteraction = null;
+    if (!this.config.interaction.enabled) return;
+
+    this.detachInteraction = attachMeteorInteraction(
+      this.element,
+      this.meteors,
+      {
+        config: this.config,
+        canInteract: () =>
+          !this.isDestroyed &&
+          !this.isUserPaused &&
+          !document.hidden &&
+          !this.isMotionReduced &&
+          !this.isDaylight,
+      },
+    );
+  }
+
+  // ============================================================
+  // ADAPTIVE QUALITY
+  // Lines: 402-463
+  // ============================================================
+
+  /**
+   * Start, restart or stop the governor to match config.quality
+   * Disabling it returns the sky to full quality (tiers[0])
+   * @returns {void}
+   */
+  updateQualityGovernor() {
+    const previousIndex = this.governor.tierIndex;
+
+    // Restart so a changed checkIntervalMs takes effect
+    this.governor.stop();
+    if (this.config.quality.enabled) {
+      this.governor.start();
+    } else {
+      this.governor.tierIndex = 0;
+    }
+    this.applyQualityLimits();
+
+    if (this.governor.tierIndex !== previousIndex) this.notifyQualityChange();
+  }
+
+  /**
+   * Hand the current tier's limits to the star field and meteors
+   * They take effect on the next refreshLayout() / meteor restart
+   * @returns {void}
+   */
+  applyQualityLimits() {
+    const tier = this.getQualityTier();
+    this.starField.setQuality(tier);
+    this.meteors.setStreamLimit(tier.maxMeteorStreams);
+  }
+
+  /**
+   * Apply the tier the governor just chose: regenerate, restart meteors, notify
+   * @returns {void}
+   */
+  applyQualityTier() {
+    this.applyQualityLimits();
+    this.applyAuroraVisibility();
+    this.refreshLayout();
+    if (!this.isUserPaused && !document.hidden) this.restartMeteors();
+    this.notifyQualityChange();
+  }
+
+  /**
+   * Report the current tier to onQualityChange() listeners
+   * @returns {void}
+   */
+  notifyQualityChange() {
+    const tier = this.getQualityTier();
+    this.qualityListeners.forEach((listener) => {
+      try {
+        listener(tier);
+      } catch (error) {
+        console.error("Error in quality change listener:", error);
+      }
+    });
+  }
+
+  // ============================================================
+  // LIFECYCLE
+  // Lines: 465-659
+  // ============================================================
+
+  /**
+   * Size the sky, start rendering and attach listeners
+   * @returns {Sky} This sky, for chaining
+   */
+  mount() {
+    // Initialize night sky container size
+    initializeNightSkySize(this.element, this.nightSky, this.config);
+
+    // Start at the governor's tier so the first frame already uses its limits
+    this.updateQualityGovernor();
+    this.cleanupTasks.push(() => this.governor.stop());
+
+    // Decide on reduced motion before anything starts moving
+    this.applyMotionPreference();
+    this.cleanupTasks.push(
+      onMotionPreferenceChange(() => this.applyMotionPreference()),
+    );
+
+    // Read the sun before meteors and aurora start (no meteors by day)
+    this.applyTimeOfDay();
+    this.cleanupTasks.push(() => {
+      clearInterval(this.timeOfDayInterval);
+      this.clearTimeOfDay();
+    });
+
+    // Show the aurora (hidden if disabled, on low-end devices, by quality tier or by day)
+    this.applyAuroraVisibility();
+
+    // Initialize stars with requestAnimationFrame to ensure layout is complete
+    requestAnimationFrame(() => {
+      if (!this.isDestroyed) this.starField.initialize();
+    });
+
+    // Initialize and start meteor system
+    if (this.meteors.initialize()) {
+      this.meteors.prepareRenderer();
+      if (this.canShowMeteors()) {
+        this.meteors.start();
+      }
+    }
+
+    this.setupResizeHandler();
+    this.setupVisibilityHandler();
+    this.applyConstellationOverlay();
+    this.cleanupTasks.push(() => this.detachConstellationHover?.());
+    this.applyInteraction();
+    this.cleanupTasks.push(() => this.detachInteraction?.());
+    this.applyParallax();
+    this.cleanupTasks.push(() => this.detachParallax?.());
+    return this;
+  }
+
+  /**
+   * Resize the night sky and canvases, then regenerate stars and the meteor renderer
+   * @returns {void}
+   */
+  refreshLayout() {
+    initializeNightSkySize(this.element, this.nightSky, this.config);
+
+    try {
+      this.starField.resize();
+    } catch (error) {
+      console.error("Error handling resize for stars:", error);
+    }
+
+    this.meteors.updateHeroDiagonal();
+    this.meteors.prepareRenderer();
+    this.aurora.resize();
+  }
+
+  /**
+   * Setup resize event handler with debouncing
+   * @returns {void}
+   */
+  setupResizeHandler() {
+    let resizeTimeout;
+
+    const handleResize = () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(
+        () => this.refreshLayout(),
+        this.config.performance.resizeDebounceMs,
+      );
+    };
+
+    window.addEventListener("resize", handleResize);
+    this.cleanupTasks.push(() => {
+      clearTimeout(resizeTimeout);
+      window.removeEventListener("resize", handleResize);
+    });
+  }
+
+  /**
+   * Pause when the tab is hidden, resume when it returns
+   * See ARCHITECTURE.md "Visibility Change Flow" for the full sequence
+   * @returns {void}
+   */
+  setupVisibilityHandler() {
+    const handleVisibilityChange = () => {
+      try {
+        if (document.hidden) {
+          this.pauseSystems();
+        } else if (!this.isUserPaused) {
+          // Stay paused if pause() asked for it
+          this.resumeSystems();
+        }
+      } catch (error) {
+        console.error("Error handling visibility change:", error);
+      }
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    this.cleanupTasks.push(() =>
+      document.removeEventListener("visibilitychange", handleVisibilityChange),
+    );
+  }
+
+  /**
+   * Attach or detach hover/tap labels for the constellation overlay
+   * Lines are drawn by the StarField; this only wires up pointer events
+   * @returns {void}
+   */
+  applyConstellationOverlay() {
+    this.detachConstellationHover?.();
+    this.detachConstellationHover = null;
+    if (!this.config.constellations.enabled) return;
+
+    if (!this.config.realSky.enabled) {
+      console.warn(
+        "Constellation overlay needs config.realSky.enabled - skipping",
+      );
+      return;
+    }
+
+    this.detachConstellationHover = this.starField.attachConstellationHover(
+      this.element,
+      this.nightSky,
+    );
+  }
+
+  /**
+   * Pause every animation system (CSS, canvas loops, meteor timers)
+   * @returns {void}
+   */
+  pauseSystems() {
+    pauseAnimations(this.nightSky, this.meteorsContainer, this.auroraContainer);
+    this.starField.setVisible(false);
+    this.aurora.setVisible(false);
+    this.meteors.setVisible(false);
+    this.meteors.stop();
+  }
+
+  /**
+   * Resume every animation system from a clean meteor state
+   * @returns {void}
+   */
+  resumeSystems() {
+    resumeAnimations(
+      this.nightSky,
+      this.meteorsContainer,
+      this.auroraContainer,
+    );
+    this.starField.setVisible(true);
+    this.aurora.setVisible(true);
+    this.meteors.setVisible(true);
+    this.restartMeteors();
+  }
+
+  /**
+   * Whether automatic meteors should run: enabled, moving and dark enough
+   * @returns {boolean}
+   */
+  canShowMeteors() {
+    return (
+      this.config.meteors.enabled && !this.isMotionReduced && !this.isDaylight
+    );
+  }
+
+  /**
+   * Restart automatic meteors, or clear them if config.meteors.enabled is off,
+   * motion is reduced or it's daylight
+   * @returns {void}
+   */
+  restartMeteors() {
+    if (this.canShowMeteors()) {
+      this.meteors.restart();
+    } else {
+      this.meteors.stop();
+    }
+  }
+
+  // ============================================================
+  // PUBLIC CONTROL METHODS
+  // Lines: 661-836
+  // ============================================================
+
+  /**
+   * Pause all animation until resume(), even if the tab becomes visible
+   * @returns {void}
+   */
+  pause() {
+    if (this.warnIfDestroyed("pause")) return;
+    this.isUserPaused = true;
+    this.pauseSystems();
+  }
+
+  /**
+   * Resume animation after pause() (stays paused while the tab is hidden)
+   * @returns {void}
+   */
+  resume() {
+    if (this.warnIfDestroyed("resume")) return;
+    this.isUserPaused = false;
+    if (!document.hidden) this.resumeSystems();
+  }
+
+  /**
+   * Whether the sky is paused by pause()
+   * @returns {boolean} False after destroy()
+   */
+  isPaused() {
+    if (this.warnIfDestroyed("isPaused")) return false;
+    return this.isUserPaused;
+  }
+
+  /**
+   * Start a meteor shower now (ignored if one is already running, motion is
+   * reduced or it's daylight)
+   * @returns {void}
+   */
+  triggerShower() {
+    if (
+      this.warnIfDestroyed("triggerShower") ||
+      this.isMotionReduced ||
+      this.isDaylight
+    ) {
+      return;
+    }
+    this.meteors.triggerShower();
+  }
+
+  /**
+   * Deep-merge config overrides into this sky's config and apply them
+   * Arrays (spectralClasses, planets) are replaced, not merged
+   * @param {Object} partial - Partial Config, e.g. { stars: { countDesktop: 2000 } }
+   * @returns {void}
+   */
+  setConfig(partial) {
+    if (this.warnIfDestroyed("setConfig")) return;
+    if (!partial || typeof partial !== "object") {
+      console.warn(
+        "Sky.setConfig() expects a partial config object, got:",
+        partial,
+      );
+      return;
+    }
+    deepMerge(this.config, partial);
+
+    if (partial.random) this.applySeed(resolveSeed(this.config));
+    if (partial.quality) this.updateQualityGovernor();
+    if (partial.motion) this.applyMotionPreference();
+    if (partial.interaction) this.applyInteraction();
+    if (partial.parallax) this.applyParallax();
+    if (partial.constellations || partial.realSky) {
+      this.applyConstellationOverlay();
+    }
+    if (partial.timeOfDay || partial.observer) this.applyTimeOfDay();
+    this.applyAuroraVisibility();
+    this.refreshLayout();
+
+    // Restart meteor timers so new intervals take effect
+    if (!this.isUserPaused && !document.hidden) this.restartMeteors();
+  }
+
+  /**
+   * Frame-time statistics from the star render loop
+   * @returns {import("./frame-timer.js").FrameStats|undefined} Undefined after destroy()
+   */
+  getFrameStats() {
+    if (this.warnIfDestroyed("getFrameStats")) return undefined;
+    return this.starField.getFrameStats();
+  }
+
+  /**
+   * Current quality tier (tiers[0] while config.quality.enabled is off)
+   * @returns {(import("./config.js").QualityTier & {index: number})|undefined} Undefined after destroy()
+   */
+  getQualityTier() {
+    if (this.warnIfDestroyed("getQualityTier")) return undefined;
+    const { tiers } = this.config.quality;
+    const index = Math.min(this.governor.tierIndex, tiers.length - 1);
+    return { index, ...tiers[index] };
+  }
+
+  /**
+   * Call a listener whenever the quality tier changes
+   * @param {function(import("./config.js").QualityTier & {index: number}): void} listener - Receives the new tier
+   * @returns {function(): void} Removes the listener (does nothing after destroy())
+   */
+  onQualityChange(listener) {
+    if (this.warnIfDestroyed("onQualityChange")) return () => {};
+    this.qualityListeners.add(listener);
+    return () => this.qualityListeners.delete(listener);
+  }
+
+  /**
+   * Rebuild stars, planets and the meteor renderer from the current config
+   * @param {string|number} [seed] - New seed; omit to rebuild the same sky
+   * @returns {void}
+   */
+  regenerate(seed) {
+    if (this.warnIfDestroyed("regenerate")) return;
+    if (seed !== undefined) this.applySeed(String(seed));
+    this.refreshLayout();
+  }
+
+  /**
+   * Stop everything and remove listeners, meteors, injected styles and created elements
+   * @returns {void}
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+
+    this.cleanupTasks.forEach((cleanup) => cleanup());
+    this.cleanupTasks = [];
+    this.qualityListeners.clear();
+    this.starField.destroy();
+    this.meteors.destroy();
+    this.aurora.destroy();
+
+    // A worker-rendered canvas is swapped for a fresh element on destroy,
+    // and a failed WebGL renderer swaps it for the 2D fallback
+    this.createdElements = this.createdElements.map((part) =>
+      part === this.canvas ? this.starField.canvas : part,
+    );
+    this.canvas = this.starField.canvas;
+
+    this.createdElements.forEach((part) => part.remove());
+    this.createdElements = [];
+    this.element.classList.remove("sky-mount", "reduced-motion");
+  }
+
+  /**
+   * Hand a new seed to every seeded system
+   * @param {string} seed - Seed value
+   * @returns {void}
+   */
+  applySeed(seed) {
+    this.seed = seed;
+    this.starField.seed = seed;
+    this.meteors.setSeed(seed);
+    this.aurora.setSeed(seed);
+  }
+
+  /**
+   * Guard for control methods called after destroy()
+   * @param {string} method - Method name for the warning
+   * @returns {boolean} True if the sky was destroyed
+   */
+  warnIfDestroyed(method) {
+    if (this.isDestroyed) {
+      console.warn(`Sky.${method}() called after destroy()`);
+    }
+    return this.isDestroyed;
+  }
+}
+
+// ============================================================
+// PUBLIC API
+// Lines: 838-863
+// ============================================================
+
+/**
+ * Mount an independent night sky in an element
+ *
+ * Usage:
+ *   const footerSky = mountSky(document.querySelector("footer"), {
+ *     config: { stars: { countDesktop: 300 }, meteors: { singleMeteorStreamCount: 1 } },
+ *   });
+ *   footerSky.triggerShower();
+ *   footerSky.destroy();
+ *
+ * @param {HTMLElement} element - Element to render the sky in
+ * @param {SkyOptions} [options={}] - Mount options
+ * @returns {Sky} Mounted sky
+ * @throws {Error} If element is not an HTMLElement
+ */
+export function mountSky(element, options = {}) {
+  if (!(element instanceof HTMLElement)) {
+    throw new Error("mountSky needs an HTMLElement to mount into");
+  }
+  return new Sky(element, options).mount();
+}
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview WebGL star renderer module - Instanced star sprites with shader twinkle
+ * @module star-renderer-webgl
+ * @exports {StarRendererWebGL}
+ * @imports None
+ * @description Draws every star and planet in one instanced draw call: each body is a
+ *   small quad whose corners are expanded in the vertex shader, and twinkle opacity is
+ *   computed on the GPU from twinkleDelay/twinkleDuration, so the CPU only uploads
+ *   the instance buffer when the field is generated. Selected with
+ *   CONFIG.canvas.contextType "webgl" or "webgl2"; works in WebGL 1
+ *   (ANGLE_instanced_arrays) and WebGL 2. Handles context loss and restore.
+ *   Parallax layer offsets are a small uniform array indexed by each instance's layer.
+ * @performance One draw call per frame regardless of star count, no per-frame CPU work per star
+ */
+
+// ============================================================
+// WEBGL STAR RENDERER - Instanced star sprites with shader twinkle
+// Purpose: 10k+ stars at 60fps on desktop GPUs
+// Lines: 1-380
+// ============================================================
+
+// ============================================================
+// SHADERS
+// Lines: 22-90
+// ============================================================
+
+// Most parallax layers the shader has offsets for (schema caps parallax.layers)
+const MAX_PARALLAX_LAYERS = 8;
+
+// GLSL ES 1.00 so the same source runs on WebGL 1 and 2
+const VERTEX_SHADER = `
+attribute vec2 a_corner;   // Quad corner, -1..1 (per vertex)
+attribute vec3 a_body;     // x, y, size in logical pixels (per instance)
+attribute vec3 a_color;    // RGB 0-1 (per instance)
+attribute vec4 a_twinkle;  // static opacity (<0 = twinkles), delay s, duration s, brightness
+attribute float a_layer;   // Parallax layer (per instance)
+
+uniform vec2 u_resolution;   // Canvas size in logical pixels
+uniform float u_pixelRatio;
+uniform float u_time;        // Seconds since the star field started
+uniform vec2 u_twinkleRange; // twinkleOpacityMin, twinkleOpacityMax
+uniform vec2 u_layerOffsets[${MAX_PARALLAX_LAYERS}]; // Parallax offset per layer, logical pixels
+
+varying vec2 v_offset;  // Distance from the star centre in device pixels
+varying float v_radius; // Star radius in device pixels
+varying vec4 v_color;
+
+void main() {
+  // One extra device pixel around the disc for the anti-aliased edge
+  float radius = a_body.z * 0.5 * u_pixelRatio;
+  float extent = radius + 1.0;
+  v_offset = a_corner * extent;
+  v_radius = radius;
+
+  vec2 position =
+    a_body.xy + u_layerOffsets[int(a_layer)] + a_corner * extent / u_pixelRatio;
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+  // Same curve as StarField.getTwinkleOpacity(): easeInOutSine over each cycle
+  float opacity = a_twinkle.x;
+  if (opacity < 0.0) {
+    float elapsed = u_time - a_twinkle.y;
+    float cycle = elapsed < 0.0 ? 0.0 : mod(elapsed, a_twinkle.z) / a_twinkle.z;
+    float eased = -(cos(3.14159265 * cycle) - 1.0) / 2.0;
+    opacity = (u_twinkleRange.x + eased * (u_twinkleRange.y - u_twinkleRange.x)) * a_twinkle.w;
+  }
+  v_color = vec4(a_color, opacity);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+varying vec2 v_offset;
+varying float v_radius;
+varying vec4 v_color;
+
+void main() {
+  float coverage = clamp(v_radius - length(v_offset) + 0.5, 0.0, 1.0);
+  float alpha = v_color.a * coverage;
+  gl_FragColor = vec4(v_color.rgb * alpha, alpha); // Premultiplied for the page compositor
+}
+`;
+
+// Floats per instance: x, y, size, r, g, b, static opacity, delay, duration, brightness, layer
+const INSTANCE_FLOATS = 11;
+
+// Triangle strip covering the unit quad
+const QUAD_CORNERS = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+// ============================================================
+// HELPERS
+// Lines: 92-136
+// ============================================================
+
+/**
+ * Read the RGB channels of an incomplete rgba string ("rgba(r, g, b,")
+ * @param {string} color - Config color string
+ * @returns {Array<number>} [r, g, b] in 0-1
+ */
+function parseColor(color) {
+  return color
+    .match(/\d+/g)
+    .slice(0, 3)
+    .map((channel) => Number(channel) / 255);
+}
+
+/**
+ * Compile and link the star shader program
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @returns {WebGLProgram}
+ * @throws {Error} With the compiler log if a shader fails
+ */
+function createProgram(gl) {
+  const program = gl.createProgram();
+
+  [
+    [gl.VERTEX_SHADER, VERTEX_SHADER],
+    [gl.FRAGMENT_SHADER, FRAGMENT_SHADER],
+  ].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Star shader failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  });
+
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Star program failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+// ============================================================
+// WEBGL RENDERER
+// Lines: 138-380
+// ============================================================
+
+/**
+ * Instanced WebGL renderer for one star canvas
+ *
+ * Usage:
+ *   const renderer = new StarRendererWebGL(gl, config, startTime);
+ *   renderer.bake(stars, planets, width, height, pixelRatio); // after generate()
+ *   renderer.draw(performance.now(), false, offsets);         // every frame
+ */
+export class StarRendererWebGL {
+  /**
+   * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - Context of the star canvas
+   * @param {Config} config - Configuration for this sky (twinkle range is read every frame)
+   * @param {number} startTime - performance.now() when the star field started
+   * @throws {Error} If instancing is unavailable or the shaders fail
+   */
+  constructor(gl, config, startTime) {
+    this.gl = gl;
+    this.config = config;
+    this.startTime = startTime;
+    this.instanceData = new Float32Array(0);
+    this.instanceCount = 0;
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+    this.isContextLost = false;
+    this.layerOffsets = new Float32Array(MAX_PARALLAX_LAYERS * 2);
+
+    this.setupInstancing();
+    this.createResources();
+
+    // The browser may drop the GPU context (driver reset, too many contexts)
+    this.handleContextLost = (event) => {
+      event.preventDefault(); // Allows webglcontextrestored to fire
+      this.isContextLost = true;
+    };
+    this.handleContextRestored = () => {
+      try {
+        this.setupInstancing();
+        this.createResources();
+        this.uploadInstances();
+        this.isContextLost = false;
+      } catch (error) {
+        console.error("Failed to restore WebGL star renderer:", error);
+      }
+    };
+    gl.canvas.addEventListener("webglcontextlost", this.handleContextLost);
+    gl.canvas.addEventListener(
+      "webglcontextrestored",
+      this.handleContextRestored,
+    );
+  }
+
+  /**
+   * Pick native (WebGL 2) or extension (WebGL 1) instancing
+   * @returns {void}
+   * @throws {Error} If WebGL 1 lacks ANGLE_instanced_arrays
+   */
+  setupInstancing() {
+    const { gl } = this;
+    if (typeof gl.drawArraysInstanced === "function") {
+      this.vertexAttribDivisor = (index, divisor) =>
+        gl.vertexAttribDivisor(index, divisor);
+      this.drawArraysInstanced = (mode, first, count, instances) =>
+        gl.drawArraysInstanced(mode, first, count, instances);
+      return;
+    }
+
+    const extension = gl.getExtension("ANGLE_instanced_arrays");
+    if (!extension) {
+      throw new Error("WebGL instancing (ANGLE_instanced_arrays) unavailable");
+    }
+    this.vertexAttribDivisor = (index, divisor) =>
+      extension.vertexAttribDivisorANGLE(index, divisor);
+    this.drawArraysInstanced = (mode, first, count, instances) =>
+      extension.drawArraysInstancedANGLE(mode, first, count, instances);
+  }
+
+  /**
+   * Create the program, buffers and attribute layout
+   * Only one program is ever used, so attribute state is set once here
+   * @returns {void}
+   */
+  createResources() {
+    const { gl } = this;
+    this.program = createProgram(gl);
+    gl.useProgram(this.program);
+
+    this.uniforms = {
+      resolution: gl.getUniformLocation(this.program, "u_resolution"),
+      pixelRatio: gl.getUniformLocation(this.program, "u_pixelRatio"),
+      time: gl.getUniformLocation(this.program, "u_time"),
+      twinkleRange: gl.getUniformLocation(this.program, "u_twinkleRange"),
+      layerOffsets: gl.getUniformLocation(this.program, "u_layerOffsets"),
+    };
+
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, QUAD_CORNERS, gl.STATIC_DRAW);
+    const corner = gl.getAttribLocation(this.program, "a_corner");
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+    this.instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    const stride = INSTANCE_FLOATS * Float32Array.BYTES_PER_ELEMENT;
+    [
+      ["a_body", 3, 0],
+      ["a_color", 3, 3],
+      ["a_twinkle", 4, 6],
+      ["a_layer", 1, 10],
+    ].forEach(([name, size, offset]) => {
+      const location = gl.getAttribLocation(this.program, name);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(
+        location,
+        size,
+        gl.FLOAT,
+        false,
+        stride,
+        offset * Float32Array.BYTES_PER_ELEMENT,
+      );
+      this.vertexAttribDivisor(location, 1);
+    });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.clearColor(0, 0, 0, 0);
+  }
+
+  /**
+   * Pack stars and planets into the instance buffer
+   * @param {Array<Object>} stars - Generated stars
+   * @param {Array<Object>} planets - Generated planets
+   * @param {number} width - Canvas width in logical pixels
+   * @param {number} height - Canvas height in logical pixels
+   * @param {number} pixelRatio - Device pixels per logical pixel
+   * @returns {void}
+   */
+  bake(stars, planets, width, height, pixelRatio) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+
+    // Planets last so they draw over stars, as in the 2D renderers;
+    // bodies hidden by twilight are left out
+    const bodies = [...stars, ...planets].filter(
+      (body) => body.visibility !== 0,
+    );
+    const data = new Float32Array(bodies.length * INSTANCE_FLOATS);
+    bodies.forEach((body, index) => {
+      const twinkles = body.isStatic === false;
+      data.set(
+        [
+          body.x,
+          body.y,
+          body.size,
+          ...parseColor(body.color),
+          twinkles ? -1 : body.opacity * (body.visibility ?? 1),
+          twinkles ? body.twinkleDelay / 1000 : 0,
+          twinkles ? body.twinkleDuration / 1000 : 1,
+          (body.brightness ?? 1) * (body.visibility ?? 1),
+          Math.min(body.layer ?? 0, MAX_PARALLAX_LAYERS - 1),
+        ],
+        index * INSTANCE_FLOATS,
+      );
+    });
+
+    this.instanceData = data;
+    this.instanceCount = bodies.length;
+    if (!this.isContextLost) this.uploadInstances();
+  }
+
+  /**
+   * Send the packed instances to the GPU
+   * @returns {void}
+   */
+  uploadInstances() {
+    const { gl } = this;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.instanceData, gl.STATIC_DRAW);
+  }
+
+  /**
+   * Draw one frame
+   * @param {number} currentTime - Current performance timestamp
+   * @param {boolean} [isStill=false] - Reduced motion: twinkling stars hold mid-range opacity
+   * @param {Array<{x: number, y: number}>} [offsets=[]] - Parallax offset per layer
+   * @returns {void}
+   */
+  draw(currentTime, isStill = false, offsets = []) {
+    const { gl } = this;
+    if (this.isContextLost) return;
+
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (this.instanceCount === 0) return;
+
+    const { twinkleOpacityMin, twinkleOpacityMax } = this.config.stars;
+    const middle = (twinkleOpacityMin + twinkleOpacityMax) / 2;
+    gl.uniform2f(this.uniforms.resolution, this.width, this.height);
+    gl.uniform1f(this.uniforms.pixelRatio, this.pixelRatio);
+    gl.uniform1f(this.uniforms.time, (currentTime - this.startTime) / 1000);
+    gl.uniform2f(
+      this.uniforms.twinkleRange,
+      isStill ? middle : twinkleOpacityMin,
+      isStill ? middle : twinkleOpacityMax,
+    );
+    this.layerOffsets.fill(0);
+    offsets.slice(0, MAX_PARALLAX_LAYERS).forEach(({ x, y }, layer) => {
+      this.layerOffsets[layer * 2] = x;
+      this.layerOffsets[layer * 2 + 1] = y;
+    });
+    gl.uniform2fv(this.uniforms.layerOffsets, this.layerOffsets);
+    this.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this.instanceCount);
+  }
+
+  /**
+   * Free GPU resources and listeners
+   * @returns {void}
+   */
+  destroy() {
+    const { gl } = this;
+    gl.canvas.removeEventListener("webglcontextlost", this.handleContextLost);
+    gl.canvas.removeEventListener(
+      "webglcontextrestored",
+      this.handleContextRestored,
+    );
+
+    if (!this.isContextLost) {
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.deleteBuffer(this.cornerBuffer);
+      gl.deleteBuffer(this.instanceBuffer);
+      gl.deleteProgram(this.program);
+    }
+    this.instanceData = new Float32Array(0);
+    this.instanceCount = 0;
+  }
+}
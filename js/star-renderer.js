@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Star renderer module - Baked static layer and sprite twinkle pass
+ * @module star-renderer
+ * @exports {StarRenderer2D, createLayerCanvas}
+ * @imports None
+ * @description Canvas 2D renderer that splits the star field into two passes:
+ *   static stars and planets are drawn once into an offscreen layer whenever
+ *   the field is generated, and each frame copies that layer with one drawImage()
+ *   and then draws only the twinkling stars from pre-rendered glow sprites
+ *   (one sprite per color, opacity via globalAlpha - no per-star fillStyle strings).
+ *   Only the still far parallax layer (layer 0) is baked; stars and planets in nearer
+ *   layers are drawn from sprites each frame at their layer's offset.
+ *   Bodies hidden by twilight (visibility 0) are left out of both passes.
+ * @performance One drawImage for all static stars, one drawImage per twinkling star, no path building per frame
+ */
+
+// ============================================================
+// STAR RENDERER - Baked static layer and sprite twinkle pass
+// Purpose: Cut per-frame canvas work to the stars that change
+// Lines: 1-241
+// ============================================================
+
+// ============================================================
+// CONSTANTS
+// Lines: 23-71
+// ============================================================
+
+// Sprite resolution in device pixels; stars are at most a few pixels wide,
+// so 32px leaves headroom for high-DPR screens and large planets
+const SPRITE_SIZE = 32;
+
+// Star disc radius as a fraction of the sprite; the rest is the glow halo.
+// Sprites are drawn at twice the star's size so the disc matches arc() output
+const SPRITE_DISC_RADIUS = 0.25;
+
+// Halo opacity at the disc edge (fades to 0 at the sprite edge)
+const SPRITE_GLOW_OPACITY = 0.18;
+
+// Offset for bodies without a parallax layer offset
+const NO_OFFSET = { x: 0, y: 0 };
+
+/**
+ * Create a canvas that is never attached to the page
+ * Uses OffscreenCanvas where available so layers also work off the main thread
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+export function createLayerCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Draw a star or planet disc with the original arc() look
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on
+ * @param {Object} body - Star or planet with x, y, size, color
+ * @param {number} opacity - Opacity (0-1)
+ * @returns {void}
+ */
+function drawDisc(ctx, body, opacity) {
+  ctx.fillStyle = `${body.color}${opacity})`;
+  ctx.beginPath();
+  ctx.arc(body.x, body.y, body.size / 2, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// ============================================================
+// 2D RENDERER
+// Lines: 73-241
+// ============================================================
+
+/**
+ * Baked-layer renderer for one star canvas
+ *
+ * Usage:
+ *   const renderer = new StarRenderer2D(ctx);
+ *   renderer.bake(stars, planets, width, height, pixelRatio); // after generate()
+ *   renderer.draw((star) => opacityFor(star), offsets);       // every frame
+ */
+export class StarRenderer2D {
+  /**
+   * @param {CanvasRenderingContext2D} ctx - Context of the visible canvas (already DPR-scaled)
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.staticLayer = null;
+    this.twinklingStars = [];
+    this.movingBodies = []; // Static stars and planets in nearer parallax layers
+    this.sprites = new Map(); // color string -> glow sprite
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * Pre-render still static stars and planets and sort out the ones drawn each frame
+   * @param {Array<Object>} stars - Generated stars
+   * @param {Array<Object>} planets - Generated planets
+   * @param {number} width - Canvas width in logical pixels
+   * @param {number} height - Canvas height in logical pixels
+   * @param {number} pixelRatio - Device pixels per logical pixel
+   * @param {function(CanvasRenderingContext2D): void|null} [drawUnderlay=null] - Draws
+   *   into the layer (logical pixels) before the stars, e.g. the Milky Way
+   * @returns {void}
+   */
+  bake(stars, planets, width, height, pixelRatio, drawUnderlay = null) {
+    this.width = width;
+    this.height = height;
+    const isVisible = (body) => body.visibility !== 0;
+    const visibleStars = stars.filter(isVisible);
+    const visiblePlanets = planets.filter(isVisible);
+    this.twinklingStars = visibleStars.filter((star) => !star.isStatic);
+    const isStill = (body) => !body.layer;
+    const stillStars = visibleStars.filter(
+      (star) => star.isStatic && isStill(star),
+    );
+    const stillPlanets = visiblePlanets.filter(isStill);
+    // Planets last so they draw over stars
+    this.movingBodies = [
+      ...visibleStars.filter((star) => star.isStatic && !isStill(star)),
+      ...visiblePlanets.filter((planet) => !isStill(planet)),
+    ];
+
+    const layerWidth = Math.max(1, Math.round(width * pixelRatio));
+    const layerHeight = Math.max(1, Math.round(height * pixelRatio));
+    if (
+      !this.staticLayer ||
+      this.staticLayer.width !== layerWidth ||
+      this.staticLayer.height !== layerHeight
+    ) {
+      this.staticLayer = createLayerCanvas(layerWidth, layerHeight);
+    }
+
+    const layerCtx = this.staticLayer.getContext("2d");
+    layerCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    layerCtx.clearRect(0, 0, width, height);
+    drawUnderlay?.(layerCtx);
+    [...stillStars, ...stillPlanets].forEach((body) =>
+      drawDisc(layerCtx, body, body.opacity * (body.visibility ?? 1)),
+    );
+
+    // Colors can change with config, so sprites are rebuilt with the layer
+    this.sprites.clear();
+    [...this.twinklingStars, ...this.movingBodies].forEach((body) =>
+      this.getSprite(body.color),
+    );
+  }
+
+  /**
+   * Glow sprite for a color, drawn at full opacity
+   * @param {string} color - RGBA color string (incomplete, opacity added here)
+   * @returns {OffscreenCanvas|HTMLCanvasElement}
+   */
+  getSprite(color) {
+    let sprite = this.sprites.get(color);
+    if (sprite) return sprite;
+
+    sprite = createLayerCanvas(SPRITE_SIZE, SPRITE_SIZE);
+    const spriteCtx = sprite.getContext("2d");
+    const center = SPRITE_SIZE / 2;
+    const discRadius = SPRITE_SIZE * SPRITE_DISC_RADIUS;
+
+    const glow = spriteCtx.createRadialGradient(
+      center,
+      center,
+      discRadius,
+      center,
+      center,
+      center,
+    );
+    glow.addColorStop(0, `${color}${SPRITE_GLOW_OPACITY})`);
+    glow.addColorStop(1, `${color}0)`);
+    spriteCtx.fillStyle = glow;
+    spriteCtx.fillRect(0, 0, SPRITE_SIZE, SPRITE_SIZE);
+
+    spriteCtx.fillStyle = `${color}1)`;
+    spriteCtx.beginPath();
+    spriteCtx.arc(center, center, discRadius, 0, Math.PI * 2);
+    spriteCtx.fill();
+
+    this.sprites.set(color, sprite);
+    return sprite;
+  }
+
+  /**
+   * Draw a body's sprite at its parallax layer's offset
+   * @param {Object} body - Star or planet with x, y, size, color, layer
+   * @param {number} opacity - Opacity (0-1)
+   * @param {Array<{x: number, y: number}>} offsets - Offset per layer
+   * @returns {void}
+   */
+  drawSprite(body, opacity, offsets) {
+    const offset = offsets[body.layer] ?? NO_OFFSET;
+    this.ctx.globalAlpha = opacity;
+    this.ctx.drawImage(
+      this.sprites.get(body.color),
+      body.x + offset.x - body.size,
+      body.y + offset.y - body.size,
+      body.size * 2,
+      body.size * 2,
+    );
+  }
+
+  /**
+   * Draw one frame: the baked layer, then twinkling stars and nearer static bodies
+   * @param {function(Object): number} getOpacity - Current opacity for a twinkling star
+   * @param {Array<{x: number, y: number}>} [offsets=[]] - Parallax offset per layer
+   * @returns {void}
+   */
+  draw(getOpacity, offsets = []) {
+    const { ctx } = this;
+    ctx.clearRect(0, 0, this.width, this.height);
+    if (!this.staticLayer) return;
+
+    ctx.drawImage(this.staticLayer, 0, 0, this.width, this.height);
+
+    this.twinklingStars.forEach((star) =>
+      this.drawSprite(star, getOpacity(star), offsets),
+    );
+    this.movingBodies.forEach((body) =>
+      this.drawSprite(body, body.opacity * (body.visibility ?? 1), offsets),
+    );
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Release the offscreen layer and sprites
+   * @returns {void}
+   */
+  destroy() {
+    this.staticLayer = null;
+    this.twinklingStars = [];
+    this.movingBodies = [];
+    this.sprites.clear();
+  }
+}
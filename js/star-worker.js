@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Star worker module - Runs a StarField on an OffscreenCanvas
+ * @module star-worker
+ * @exports None (Web Worker entry point)
+ * @imports {StarField} from stars.js
+ * @description Worker side of the off-main-thread renderer (see worker-star-field.js).
+ *   Owns the star and planet arrays and the twinkle loop, so star rendering never
+ *   competes with layout and meteor DOM work on the main thread.
+ *   Started with new Worker(url, { type: "module" }).
+ *
+ *   Main -> worker messages:
+ *     init           { canvas, config, seed, visible }   (canvas is transferred)
+ *     resize         { width, height, pixelRatio, viewportWidth }
+ *     regenerate     { config, seed, quality }           (config, seeds, quality tier limits)
+ *     setPageVisible { visible }
+ *     setReducedMotion { reduced }                       (still frame instead of the loop)
+ *     parallax       { x, y }                            (view direction for parallax layers)
+ *     limitingMagnitude { magnitude }                    (twilight: faintest visible body)
+ *     highlight      { name, holdMs }                    (constellation hover/tap)
+ *     destroy        {}
+ *   Worker -> main messages:
+ *     stats          { stats }                           (FrameStats, while rendering)
+ *     error          { message }
+ */
+
+// ============================================================
+// STAR WORKER - Runs a StarField on an OffscreenCanvas
+// Purpose: Star generation and twinkle loop off the main thread
+// Lines: 1-211
+// ============================================================
+
+import { StarField } from "./stars.js";
+
+// ============================================================
+// WORKER STATE
+// Lines: 34-51
+// ============================================================
+
+// How often frame stats are reported to the main thread (ms)
+const STATS_INTERVAL_MS = 500;
+
+// Dedicated workers lack requestAnimationFrame in some browsers
+self.requestAnimationFrame ??= (callback) =>
+  setTimeout(() => callback(performance.now()), 1000 / 60);
+self.cancelAnimationFrame ??= (id) => clearTimeout(id);
+
+/** @type {StarField|null} */
+let starField = null;
+let size = null; // Last resize message; generation waits for the first one
+let generateTimeout = null;
+let statsInterval = null;
+
+// ============================================================
+// GENERATION
+// Lines: 53-86
+// ============================================================
+
+/**
+ * Regenerate once per batch of messages (refreshLayout sends regenerate + resize)
+ * @returns {void}
+ */
+function scheduleGenerate() {
+  if (generateTimeout !== null) return;
+
+  generateTimeout = setTimeout(() => {
+    generateTimeout = null;
+    if (!starField || !size) return;
+
+    const { width, height, pixelRatio, viewportWidth } = size;
+    starField.setSize(width, height, pixelRatio, viewportWidth);
+
+    // First generation starts the loop (setVisible restarts it after pauses)
+    if (!starField.animationFrameId) starField.render();
+  }, 0);
+}
+
+/**
+ * Report a failure to the main thread (console output in workers is easy to miss)
+ * @param {string} context - What was being done
+ * @param {Error} error - The error
+ * @returns {void}
+ */
+function reportError(context, error) {
+  console.error(`Star worker ${context}:`, error);
+  self.postMessage({ type: "error", message: `${context}: ${error.message}` });
+}
+
+// ============================================================
+// MESSAGE HANDLERS
+// Lines: 88-211
+// ============================================================
+
+const handlers = {
+  /**
+   * Take over the transferred canvas
+   * @param {{canvas: OffscreenCanvas, config: Config, seed: string, visible: boolean}} data
+   * @returns {void}
+   */
+  init({ canvas, config, seed, visible }) {
+    starField = new StarField({
+      canvas,
+      nightSky: null,
+      config,
+      seed,
+      visible,
+    });
+    starField.createContext();
+
+    statsInterval = setInterval(() => {
+      if (starField.isPageVisible) {
+        self.postMessage({ type: "stats", stats: starField.getFrameStats() });
+      }
+    }, STATS_INTERVAL_MS);
+  },
+
+  /**
+   * New canvas size from the main thread's layout
+   * @param {{width: number, height: number, pixelRatio: number, viewportWidth: number}} data
+   * @returns {void}
+   */
+  resize(data) {
+    size = data;
+    scheduleGenerate();
+  },
+
+  /**
+   * Replace config sections, seed and quality limits, then rebuild the sky
+   * The object is updated in place because the constellation layer shares it
+   * @param {{config: Config, seed: string, quality: {starScale: number, maxPixelRatio: number}}} data
+   * @returns {void}
+   */
+  regenerate({ config, seed, quality }) {
+    Object.assign(starField.config, config);
+    starField.seed = seed;
+    starField.setQuality(quality);
+    scheduleGenerate();
+  },
+
+  /**
+   * Pause or resume the twinkle loop
+   * @param {{visible: boolean}} data
+   * @returns {void}
+   */
+  setPageVisible({ visible }) {
+    starField.setVisible(visible);
+  },
+
+  /**
+   * Switch between the twinkle loop and a still frame
+   * @param {{reduced: boolean}} data
+   * @returns {void}
+   */
+  setReducedMotion({ reduced }) {
+    starField.setReducedMotion(reduced);
+  },
+
+  /**
+   * New parallax view direction from the pointer or device tilt
+   * @param {{x: number, y: number}} data
+   * @returns {void}
+   */
+  parallax({ x, y }) {
+    starField.setParallax({ x, y });
+  },
+
+  /**
+   * Fade bodies for the current twilight
+   * @param {{magnitude: number}} data
+   * @returns {void}
+   */
+  limitingMagnitude({ magnitude }) {
+    starField.setLimitingMagnitude(magnitude);
+  },
+
+  /**
+   * Show a constellation label chosen by the main thread's hit test
+   * @param {{name: string|null, holdMs: number}} data
+   * @returns {void}
+   */
+  highlight({ name, holdMs }) {
+    starField.constellations.highlight(name, holdMs);
+    if (starField.isMotionReduced) starField.render();
+  },
+
+  /**
+   * Stop rendering and end the worker
+   * @returns {void}
+   */
+  destroy() {
+    clearTimeout(generateTimeout);
+    clearInterval(statsInterval);
+    starField?.destroy();
+    starField = null;
+    self.close();
+  },
+};
+
+self.addEventListener("message", (event) => {
+  const { type, ...data } = event.data;
+  const handler = handlers[type];
+  if (!handler) {
+    console.warn(`Star worker ignoring unknown message: ${type}`);
+    return;
+  }
+
+  try {
+    handler(data);
+  } catch (error) {
+    reportError(`failed to handle ${type}`, error);
+  }
+});
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Web Component module - <stardew-sky> custom element
+ * @module stardew-sky
+ * @exports {StardewSkyElement}
+ * @imports {CONFIG} from config.js
+ * @imports {mountSky} from sky.js
+ * @imports {resolveSeed} from random.js
+ * @description Packages the whole hero sky (night sky, aurora, meteors) in a
+ *   shadow root so other sites can embed it with one script tag and one element.
+ *   Styles and meteor keyframes live inside the shadow root and never leak out.
+ *   Embed: <script type="module" src="https://stardew.work/js/stardew-sky.js"></script>
+ *          <stardew-sky star-count="600" aurora seed="demo">Optional slotted content</stardew-sky>
+ */
+
+// ============================================================
+// STARDEW SKY ELEMENT - <stardew-sky> custom element
+// Purpose: Embeddable night sky with scoped styles
+// Lines: 1-244
+// ============================================================
+
+import { CONFIG } from "./config.js";
+import { mountSky } from "./sky.js";
+import { resolveSeed } from "./random.js";
+
+// ============================================================
+// TEMPLATE
+// Lines: 25-57
+// ============================================================
+
+// Resolved against this module so embeds load the stylesheet from our origin
+const STYLESHEET_URL = new URL("../css/styles.css", import.meta.url).href;
+
+// Same structure as the .hero in index.html; slotted content sits on top
+const TEMPLATE = `
+  <link rel="stylesheet" href="${STYLESHEET_URL}" />
+  <style>
+    :host {
+      display: block;
+      position: relative;
+      height: 60vh;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    .hero {
+      height: 100%;
+    }
+  </style>
+  <div class="hero" data-component="hero" part="sky">
+    <div class="night-sky" data-component="night-sky">
+      <canvas class="star-canvas" data-component="star-canvas"></canvas>
+    </div>
+    <div class="aurora-container" data-component="aurora"></div>
+    <div class="meteors-container" data-component="meteors"></div>
+    <slot></slot>
+  </div>
+`;
+
+// ============================================================
+// ATTRIBUTE MAPPING
+// Lines: 59-116
+// ============================================================
+
+/**
+ * Parse a boolean attribute ("", "true", "on" / "false", "off", "0")
+ * @param {string|null} value - Attribute value (null when absent)
+ * @param {boolean} fallback - Value when the attribute is absent
+ * @returns {boolean} Parsed flag
+ */
+function parseBooleanAttribute(value, fallback) {
+  if (value === null) return fallback;
+  return !["false", "off", "0"].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Parse a positive integer attribute
+ * @param {string} name - Attribute name (for the warning)
+ * @param {string|null} value - Attribute value (null when absent)
+ * @param {number} fallback - Value when absent or invalid
+ * @returns {number} Parsed integer
+ */
+function parseCountAttribute(name, value, fallback) {
+  if (value === null) return fallback;
+  const count = Number.parseInt(value, 10);
+  if (!Number.isFinite(count) || count < 0) {
+    console.warn(`<stardew-sky> ignoring invalid ${name}="${value}"`);
+    return fallback;
+  }
+  return count;
+}
+
+// Attribute name -> partial Config; removing an attribute restores CONFIG's value
+const ATTRIBUTE_CONFIG = {
+  "star-count": (value) => ({
+    stars: {
+      countDesktop: parseCountAttribute(
+        "star-count",
+        value,
+        CONFIG.stars.countDesktop,
+      ),
+      countMobile: parseCountAttribute(
+        "star-count",
+        value,
+        CONFIG.stars.countMobile,
+      ),
+    },
+  }),
+  meteors: (value) => ({
+    meteors: {
+      enabled: parseBooleanAttribute(value, CONFIG.meteors.enabled),
+    },
+  }),
+  aurora: (value) => ({
+    aurora: { enabled: parseBooleanAttribute(value, CONFIG.aurora.enabled) },
+  }),
+};
+
+// ============================================================
+// CUSTOM ELEMENT
+// Lines: 118-234
+// ============================================================
+
+/**
+ * <stardew-sky> element
+ *
+ * Attributes:
+ *   star-count - Stars on every screen size (CONFIG.stars.countDesktop/countMobile)
+ *   meteors    - "off" disables automatic meteors (CONFIG.meteors.enabled)
+ *   aurora     - Present (or "on") shows the aurora (CONFIG.aurora.enabled)
+ *   seed       - Seed for a reproducible sky
+ *
+ * The mounted Sky is available as element.sky (pause(), triggerShower(), ...)
+ * while the element is connected.
+ */
+export class StardewSkyElement extends HTMLElement {
+  /**
+   * Attributes that update a mounted sky when they change
+   * @returns {Array<string>} Attribute names
+   */
+  static get observedAttributes() {
+    return [...Object.keys(ATTRIBUTE_CONFIG), "seed"];
+  }
+
+  /**
+   * Build the shadow DOM; the sky itself mounts in connectedCallback()
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.innerHTML = TEMPLATE;
+
+    /** @type {import("./sky.js").Sky|null} */
+    this.sky = null;
+
+    // Sizing depends on styles.css, so mount once it has loaded (or failed)
+    const stylesheet = this.shadowRoot.querySelector("link");
+    this.stylesReady = new Promise((resolve) => {
+      stylesheet.addEventListener("load", resolve, { once: true });
+      stylesheet.addEventListener(
+        "error",
+        () => {
+          console.error(`<stardew-sky> failed to load ${STYLESHEET_URL}`);
+          resolve();
+        },
+        { once: true },
+      );
+    });
+  }
+
+  /**
+   * Mount the sky when the element enters the document
+   * @returns {void}
+   */
+  connectedCallback() {
+    this.stylesReady.then(() => {
+      // Element may have been removed (or already mounted) while styles loaded
+      if (!this.isConnected || this.sky) return;
+
+      try {
+        const seed = this.getAttribute("seed");
+        this.sky = mountSky(this.shadowRoot.querySelector(".hero"), {
+          config: this.getConfigOverrides(),
+          seed: seed === null ? undefined : seed,
+          styleRoot: this.shadowRoot,
+        });
+      } catch (error) {
+        console.error("Failed to mount <stardew-sky>:", error);
+      }
+    });
+  }
+
+  /**
+   * Tear the sky down when the element leaves the document
+   * @returns {void}
+   */
+  disconnectedCallback() {
+    if (this.sky) {
+      this.sky.destroy();
+      this.sky = null;
+    }
+  }
+
+  /**
+   * Apply attribute changes to a mounted sky
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value (null when removed)
+   * @returns {void}
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.sky || oldValue === newValue) return;
+
+    if (name === "seed") {
+      // Without the attribute, fall back to ?seed=, CONFIG or a fresh seed
+      this.sky.regenerate(
+        newValue === null ? resolveSeed(this.sky.config) : newValue,
+      );
+    } else {
+      this.sky.setConfig(ATTRIBUTE_CONFIG[name](newValue));
+    }
+  }
+
+  /**
+   * Collect config overrides from every mapped attribute
+   * @returns {Object} Partial Config
+   */
+  getConfigOverrides() {
+    return Object.entries(ATTRIBUTE_CONFIG).reduce(
+      (overrides, [name, toConfig]) =>
+        Object.assign(overrides, toConfig(this.getAttribute(name))),
+      {},
+    );
+  }
+}
+
+// ============================================================
+// REGISTRATION
+// Lines: 236-244
+// ============================================================
+
+// Guard against double registration when the script is included twice
+if (!customElements.get("stardew-sky")) {
+  customElements.define("stardew-sky", StardewSkyElement);
+}
@@ -1,343 +1,1098 @@
 /**
  * @fileoverview Star system module - Canvas-based star and planet rendering
  * @module stars
- * @exports {initializeStars, generateStars, renderStars, setPageVisible, getCanvasState}
- * @imports {CONFIG} from config.js
- * @imports {getStarCount, easeInOutSine, safeQuerySelector} from utils.js
+ * @exports {StarField}
+ * @imports {getStarCount, easeInOutSine} from utils.js
+ * @imports {createRandom} from random.js
+ * @imports {getObserver, projectEquatorial} from astronomy.js
+ * @imports {BRIGHT_STARS} from catalog.js
+ * @imports {getPlanetPosition} from ephemeris.js
+ * @imports {ConstellationLayer} from constellations.js
+ * @imports {MoonLayer} from moon.js
+ * @imports {MilkyWayLayer} from milky-way.js
+ * @imports {StarRenderer2D} from star-renderer.js
+ * @imports {StarRendererWebGL} from star-renderer-webgl.js
+ * @imports {FrameTimer} from frame-timer.js
  * @description Manages canvas-based star field with realistic spectral colors.
  *   Features twinkling stars, static stars, binary systems, and bright planets.
+ *   Optional real-sky mode draws the bundled star catalogue for the observer's time and place,
+ *   and optional ephemeris mode places planets where they really are.
  *   Uses requestAnimationFrame for 60fps rendering with automatic pause when hidden.
- * @performance 60fps canvas rendering, pauses when tab hidden, device pixel ratio optimized
+ *   Each StarField owns one canvas, so several skies can render on the same page.
+ *   No DOM access outside initialize()/resize(), so star-worker.js can run a StarField
+ *   on an OffscreenCanvas (sized through setSize()).
+ *   The default "baked" render mode pre-renders static stars and planets once and redraws
+ *   only twinkling stars each frame (star-renderer.js); "direct" redraws everything.
+ *   CONFIG.canvas.contextType "webgl"/"webgl2" draws everything on the GPU instead
+ *   (star-renderer-webgl.js), falling back to 2D when the context can't be created.
+ *   With CONFIG.parallax enabled, stars are split into depth layers by size and nearer
+ *   layers are drawn offset toward the pointer or device tilt (setParallax()), eased
+ *   every frame; the farthest layer never moves, so it stays in the baked layer.
+ *   Every body carries an apparent magnitude, so twilight (setLimitingMagnitude())
+ *   can fade stars and planets in from the brightest down as the sky darkens.
+ *   The Moon (moon.js) is drawn over the 2D paths and washes out faint stars near it.
+ *   The optional Milky Way (milky-way.js) is drawn under them and draws random stars
+ *   along its band.
+ * @performance 60fps canvas rendering, baked static layer, pauses when tab hidden, device pixel ratio optimized
  */
 
 // ============================================================
 // STAR SYSTEM - Canvas-based star and planet rendering
 // Purpose: Realistic night sky with twinkling stars and planets
-// Lines: 1-343
+// Lines: 1-1098
 // ============================================================
 
-import { CONFIG } from "./config.js";
-import { getStarCount, easeInOutSine, safeQuerySelector } from "./utils.js";
+import { getStarCount, easeInOutSine } from "./utils.js";
+import { createRandom } from "./random.js";
+import { getObserver, projectEquatorial } from "./astronomy.js";
+import { BRIGHT_STARS } from "./catalog.js";
+import { getPlanetPosition } from "./ephemeris.js";
+import { ConstellationLayer } from "./constellations.js";
+import { MoonLayer } from "./moon.js";
+import { MilkyWayLayer } from "./milky-way.js";
+import { StarRenderer2D } from "./star-renderer.js";
+import { StarRendererWebGL } from "./star-renderer-webgl.js";
+import { FrameTimer } from "./frame-timer.js";
 
 // ============================================================
-// STATE MANAGEMENT
-// Lines: 26-35
+// COLOR HELPERS
+// Lines: 57-90
 // ============================================================
 
-// Canvas and rendering state
-let starCanvas = null;
-let starCtx = null;
-let stars = [];
-let planets = [];
-let animationFrameId = null;
-let isPageVisible = !document.hidden;
-const startTime = performance.now();
+/**
+ * Map a B-V color index onto the configured spectral classes
+ * @param {number} colorIndex - B-V color index
+ * @param {Array<SpectralClass>} spectralClasses - Configured spectral classes
+ * @returns {string} RGBA color string (incomplete, opacity added at render)
+ */
+function getColorIndexColor(colorIndex, spectralClasses) {
+  const match = spectralClasses.find(
+    (spectralClass) => colorIndex <= spectralClass.colorIndexMax,
+  );
+  return (match || spectralClasses[spectralClasses.length - 1]).color;
+}
+
+// No parallax offset (single-layer skies, reduced motion)
+const NO_OFFSET = Object.freeze({ x: 0, y: 0 });
+
+// 2D-only layers already reported, so regenerating skies don't repeat the warning
+const reportedWebGLWarnings = new Set();
+
+/**
+ * Warn once per page that a layer is skipped by the WebGL renderer
+ * @param {string} layer - Layer name, e.g. "Moon"
+ * @returns {void}
+ */
+function warnWebGLSkipsLayer(layer) {
+  if (reportedWebGLWarnings.has(layer)) return;
+  reportedWebGLWarnings.add(layer);
+  console.warn(`${layer} needs the 2D star renderer`);
+}
 
 // ============================================================
-// STAR GENERATION
-// Lines: 36-190
+// STAR FIELD
+// Lines: 92-149
 // ============================================================
 
 /**
- * Select spectral class color based on realistic distribution
- * @returns {string} RGBA color string (incomplete, opacity added at render)
+ * Star and planet renderer for one sky canvas
+ *
+ * Usage:
+ *   const starField = new StarField({ canvas, nightSky, config, seed });
+ *   starField.initialize(); // Size canvas, generate, start rendering
  */
-function getSpectralColor() {
-  const rand = Math.random();
-  let cumulative = 0;
-  for (const spectralClass of CONFIG.stars.spectralClasses) {
-    cumulative += spectralClass.percentage;
-    if (rand <= cumulative) {
-      return spectralClass.color;
+export class StarField {
+  /**
+   * @param {Object} options - Star field options
+   * @param {HTMLCanvasElement} options.canvas - Canvas to draw on
+   * @param {HTMLElement} options.nightSky - Rotating container that sizes the canvas
+   * @param {Config} options.config - Configuration for this sky
+   * @param {string} options.seed - Seed for the star and planet streams
+   * @param {boolean} [options.visible=!document.hidden] - Start with the render loop enabled
+   */
+  constructor({ canvas, nightSky, config, seed, visible = !document.hidden }) {
+    // Canvas and rendering state
+    this.canvas = canvas;
+    this.ctx = null;
+    this.nightSky = nightSky;
+    this.config = config;
+    this.seed = seed;
+    this.stars = [];
+    this.planets = [];
+    this.animationFrameId = null;
+    this.isPageVisible = visible;
+    this.isMotionReduced = false; // Still frames only, no twinkle (setReducedMotion())
+    this.startTime = performance.now();
+    this.pixelRatio = 1;
+    this.viewportWidth = 0; // Picks desktop vs mobile star count
+    this.renderer = null;
+    this.isWebGL = false;
+    // Parallax view direction (-1..1 in canvas axes): eased toward the target each frame
+    this.parallax = { x: 0, y: 0 };
+    this.parallaxTarget = { x: 0, y: 0 };
+    this.lastFrameTime = null;
+    // Faintest magnitude the sky is dark enough to show (setLimitingMagnitude())
+    this.limitingMagnitude = Infinity;
+    // Limits from the sky's current quality tier (see setQuality())
+    this.quality = { starScale: 1, maxPixelRatio: Infinity };
+    this.frameTimer = new FrameTimer(config.performance.frameSampleCount);
+    this.constellations = new ConstellationLayer(config);
+    this.moon = new MoonLayer(config);
+    this.milkyWay = new MilkyWayLayer(config);
+
+    // Seeded generator, re-created on every generate() call so the
+    // same seed always yields the same layout for a given canvas size
+    this.random = Math.random;
+
+    // Bound once so requestAnimationFrame can reuse it every frame
+    this.render = this.render.bind(this);
+  }
+
+  // ============================================================
+  // INITIALIZATION
+  // Lines: 151-315
+  // ============================================================
+
+  /**
+   * Initialize canvas and start star rendering
+   * @returns {void}
+   */
+  initialize() {
+    try {
+      this.createContext();
+      this.resize();
+      this.render();
+    } catch (error) {
+      console.error("Failed to initialize stars:", error);
     }
   }
-  return CONFIG.stars.spectralClasses[2].color; // Default to F-G
-}
 
-/**
- * Generate star data array with realistic distribution
- * @param {number} canvasWidth - Canvas width in logical pixels
- * @param {number} canvasHeight - Canvas height in logical pixels
- * @returns {void} - Updates global stars and planets arrays
- */
-export function generateStars(canvasWidth, canvasHeight) {
-  // Validate canvas dimensions
-  if (!canvasWidth || !canvasHeight || canvasWidth <= 0 || canvasHeight <= 0) {
-    console.warn(
-      `Invalid canvas dimensions for star generation: ${canvasWidth}x${canvasHeight}`,
-    );
-    stars = [];
-    return;
+  /**
+   * Get the drawing context and create the renderer
+   * WebGL is only attempted when configured; if the browser refuses the
+   * context, the canvas is still untouched and can take a 2D context instead.
+   * If the WebGL renderer itself fails (no instancing, shader errors), the
+   * canvas is swapped for a fresh one that can
+   * @returns {void}
+   * @throws {Error} If no context can be created
+   */
+  createContext() {
+    const { contextType } = this.config.canvas;
+
+    if (contextType !== "2d") {
+      const gl = this.canvas.getContext(contextType, { antialias: false });
+      let renderer = null;
+      if (gl) {
+        try {
+          renderer = new StarRendererWebGL(gl, this.config, this.startTime);
+        } catch (error) {
+          console.warn(
+            `${contextType} star renderer failed, falling back to 2D stars:`,
+            error,
+          );
+          this.replaceCanvas();
+        }
+      } else {
+        console.warn(`${contextType} unavailable, falling back to 2D stars`);
+      }
+
+      if (renderer) {
+        this.ctx = gl;
+        this.isWebGL = true;
+        this.renderer = renderer;
+        // Only reached when contextType was set to WebGL (the default is 2D)
+        if (this.config.constellations.enabled) {
+          warnWebGLSkipsLayer("Constellation overlay");
+        }
+        if (this.config.moon.enabled) warnWebGLSkipsLayer("Moon");
+        if (this.config.milkyWay.enabled) {
+          warnWebGLSkipsLayer("Milky Way band");
+        }
+        return;
+      }
+    }
+
+    this.ctx = this.canvas.getContext("2d");
+
+    if (!this.ctx) {
+      throw new Error("Could not get canvas context");
+    }
+    this.renderer = new StarRenderer2D(this.ctx);
   }
 
-  const numStars = getStarCount();
-  stars = [];
+  /**
+   * Put a fresh canvas in place of the star canvas
+   * A canvas keeps the first context type it hands out, so after a failed
+   * WebGL renderer only a new element can take a 2D context
+   * @returns {void}
+   * @throws {Error} If the canvas isn't in the page (an OffscreenCanvas in the worker)
+   */
+  replaceCanvas() {
+    if (typeof this.canvas.replaceWith !== "function") {
+      throw new Error("Star canvas can't be replaced for the 2D fallback");
+    }
+    const freshCanvas = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(freshCanvas);
+    this.canvas = freshCanvas;
+  }
 
-  for (let i = 0; i < numStars; i++) {
-    // Random position with bias toward top half (visible area)
-    const x = Math.random() * canvasWidth;
-    // Math.pow(random, 1.5) biases toward 0, concentrating stars at top
-    // where they're more visible (bottom half is partially below horizon)
-    const y = Math.pow(Math.random(), 1.5) * canvasHeight;
+  /**
+   * Match the canvas to the night sky size and regenerate stars
+   * @returns {void}
+   */
+  resize() {
+    if (!this.ctx) return;
 
-    // Varied sizes
-    const size =
-      CONFIG.stars.minSize +
-      Math.random() * (CONFIG.stars.maxSize - CONFIG.stars.minSize);
+    const rect = this.nightSky.getBoundingClientRect();
+    const pixelRatio = this.config.canvas.devicePixelRatioEnabled
+      ? Math.min(window.devicePixelRatio, this.quality.maxPixelRatio)
+      : 1;
+    this.setSize(rect.width, rect.height, pixelRatio, window.innerWidth);
+  }
 
-    // Assign spectral color
-    const color = getSpectralColor();
+  /**
+   * Size the canvas and regenerate stars (no DOM reads, usable in a worker)
+   *
+   * We scale the canvas buffer (width/height) by DPR, then scale context back.
+   * This gives us more pixels to work with without changing coordinate system.
+   *
+   * @param {number} width - Canvas width in logical pixels
+   * @param {number} height - Canvas height in logical pixels
+   * @param {number} pixelRatio - Device pixels per logical pixel
+   * @param {number} viewportWidth - Window width, for the mobile star count
+   * @returns {void}
+   */
+  setSize(width, height, pixelRatio, viewportWidth) {
+    if (!this.ctx) return;
 
-    // Make some stars static (non-twinkling)
-    const isStatic = Math.random() < CONFIG.stars.staticPercentage;
+    this.pixelRatio = pixelRatio;
+    this.viewportWidth = viewportWidth;
+    this.canvas.width = width * pixelRatio;
+    this.canvas.height = height * pixelRatio;
+    // Scale context so we can use logical pixels in drawing code
+    // (the WebGL renderer scales in its vertex shader)
+    if (!this.isWebGL) this.ctx.scale(pixelRatio, pixelRatio);
 
-    if (isStatic) {
-      stars.push({
-        x,
-        y,
-        size,
-        color,
-        isStatic: true,
-        opacity:
-          CONFIG.stars.staticOpacityMin +
-          Math.random() *
-            (CONFIG.stars.staticOpacityMax - CONFIG.stars.staticOpacityMin),
-      });
+    this.generate(width, height);
+    this.bakeStaticLayer(width, height);
+
+    // No loop to pick up the new layout while motion is reduced
+    if (this.isMotionReduced) this.render();
+  }
+
+  /**
+   * Pre-render static stars and planets for the baked render mode,
+   * or upload every body to the GPU in WebGL mode
+   * Timings restart so stats always describe the current layout and mode
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void}
+   */
+  bakeStaticLayer(canvasWidth, canvasHeight) {
+    if (this.renderer && this.usesRenderer()) {
+      this.renderer.bake(
+        this.stars,
+        this.planets,
+        canvasWidth,
+        canvasHeight,
+        this.pixelRatio,
+        // The Milky Way is baked under the far stars
+        this.isMilkyWayLayerActive()
+          ? (ctx) => this.milkyWay.render(ctx)
+          : null,
+      );
+    }
+    this.frameTimer.reset();
+  }
+
+  /**
+   * Whether frames come from this.renderer rather than renderDirect()
+   * renderMode only chooses between the 2D paths; WebGL always uses its renderer
+   * @returns {boolean}
+   */
+  usesRenderer() {
+    return this.isWebGL || this.config.stars.renderMode === "baked";
+  }
+
+  // ============================================================
+  // STAR GENERATION
+  // Lines: 317-780
+  // ============================================================
+
+  /**
+   * Select spectral class color based on realistic distribution
+   * @returns {string} RGBA color string (incomplete, opacity added at render)
+   */
+  getSpectralColor() {
+    const spectralClasses = this.config.stars.spectralClasses;
+    const rand = this.random();
+    let cumulative = 0;
+    for (const spectralClass of spectralClasses) {
+      cumulative += spectralClass.percentage;
+      if (rand <= cumulative) {
+        return spectralClass.color;
+      }
+    }
+    return spectralClasses[2].color; // Default to F-G
+  }
+
+  /**
+   * Generate star data array with realistic distribution
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Updates stars and planets arrays
+   */
+  generate(canvasWidth, canvasHeight) {
+    // Validate canvas dimensions
+    if (
+      !canvasWidth ||
+      !canvasHeight ||
+      canvasWidth <= 0 ||
+      canvasHeight <= 0
+    ) {
+      console.warn(
+        `Invalid canvas dimensions for star generation: ${canvasWidth}x${canvasHeight}`,
+      );
+      this.stars = [];
+      return;
+    }
+
+    this.stars = [];
+
+    // The band comes first: random stars crowd along it
+    if (this.isMilkyWayLayerActive()) {
+      this.milkyWay.generate(canvasWidth, canvasHeight, this.seed);
     } else {
-      stars.push({
-        x,
-        y,
-        size,
-        color,
-        isStatic: false,
-        twinkleDelay: Math.random() * CONFIG.stars.animationDelayMax * 1000,
-        twinkleDuration:
-          (CONFIG.stars.animationDurationMin +
-            Math.random() *
-              (CONFIG.stars.animationDurationMax -
-                CONFIG.stars.animationDurationMin)) *
-          1000,
-      });
+      this.milkyWay.clear();
+    }
+
+    // Real-sky mode replaces the random scatter with the bundled catalogue
+    if (this.config.realSky.enabled) {
+      this.generateCatalogStars(canvasWidth, canvasHeight);
+    } else {
+      this.generateRandomStars(canvasWidth, canvasHeight);
+    }
+
+    this.generatePlanets(canvasWidth, canvasHeight);
+
+    if (this.isConstellationLayerActive()) {
+      this.constellations.generate(canvasWidth, canvasHeight);
+    }
+    if (this.isMoonLayerActive()) {
+      this.moon.generate(canvasWidth, canvasHeight, this.pixelRatio);
+    } else {
+      this.moon.clear();
+    }
+    this.applyVisibility();
+  }
+
+  /**
+   * Constellation lines join catalogue stars, so they need real-sky mode
+   * (and a 2D context to draw on)
+   * @returns {boolean} True if the constellation pass should run
+   */
+  isConstellationLayerActive() {
+    return (
+      this.config.constellations.enabled &&
+      this.config.realSky.enabled &&
+      !this.isWebGL
+    );
+  }
+
+  /**
+   * The Moon is drawn with the 2D context, like the constellation overlay
+   * @returns {boolean} True if the Moon pass should run
+   */
+  isMoonLayerActive() {
+    return this.config.moon.enabled && !this.isWebGL;
+  }
+
+  /**
+   * The Milky Way band is a 2D image, drawn like the Moon
+   * @returns {boolean} True if the band should be generated and drawn
+   */
+  isMilkyWayLayerActive() {
+    return this.config.milkyWay.enabled && !this.isWebGL;
+  }
+
+  /**
+   * Number of parallax depth layers (1 when parallax is off)
+   * @returns {number}
+   */
+  getLayerCount() {
+    const { enabled, layers } = this.config.parallax;
+    return enabled ? Math.max(1, layers) : 1;
+  }
+
+  /**
+   * Parallax depth layer for a body: bigger and brighter means nearer
+   * The smallest farShare of the size range is the still far layer (0);
+   * the rest is split evenly across the moving layers
+   * @param {number} size - Body size in pixels
+   * @param {boolean} [isPlanet=false] - Planets aren't joined by constellation lines
+   * @returns {number} Layer index (0 = farthest)
+   */
+  getDepthLayer(size, isPlanet = false) {
+    const layerCount = this.getLayerCount();
+    // Constellation lines are drawn unshifted, so their stars must stay put
+    if (layerCount === 1 || (!isPlanet && this.isConstellationLayerActive())) {
+      return 0;
     }
 
-    // Generate binary companion star (2.5% chance)
-    // Binary pairs are positioned near each other in random direction
-    if (Math.random() < CONFIG.stars.binaryPercentage) {
-      const angle = Math.random() * Math.PI * 2; // Random direction
-      const separation =
-        CONFIG.stars.binarySeparationMin +
-        Math.random() *
-          (CONFIG.stars.binarySeparationMax - CONFIG.stars.binarySeparationMin);
-      const companionX = x + Math.cos(angle) * separation;
-      const companionY = y + Math.sin(angle) * separation;
-      // Companion is typically smaller than primary (60-90%)
-      const companionSize = size * (0.6 + Math.random() * 0.3);
+    const { minSize, maxSize } = this.config.stars;
+    const { farShare } = this.config.parallax;
+    const fraction = Math.min(
+      1,
+      Math.max(0, (size - minSize) / (maxSize - minSize || 1)),
+    );
+    if (fraction < farShare) return 0;
+
+    const movingLayers = layerCount - 1;
+    const nearness = (fraction - farShare) / (1 - farShare || 1);
+    return 1 + Math.min(movingLayers - 1, Math.floor(nearness * movingLayers));
+  }
+
+  /**
+   * Apparent magnitude for a body of a given size, on the real-sky scale
+   * (minSize = realSky.magnitudeLimit, maxSize = realSky.brightestMagnitude)
+   * Larger bodies extrapolate brighter, so planets outshine every star
+   * @param {number} size - Body size in pixels
+   * @returns {number} Magnitude (lower = brighter)
+   */
+  getSizeMagnitude(size) {
+    const { minSize, maxSize } = this.config.stars;
+    const { magnitudeLimit, brightestMagnitude } = this.config.realSky;
+    return (
+      magnitudeLimit -
+      ((size - minSize) / (maxSize - minSize || 1)) *
+        (magnitudeLimit - brightestMagnitude)
+    );
+  }
+
+  /**
+   * Scatter random stars with realistic spectral distribution
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Appends to this.stars
+   */
+  generateRandomStars(canvasWidth, canvasHeight) {
+    const config = this.config;
+    const numStars = Math.round(
+      getStarCount(config, this.viewportWidth) * this.quality.starScale,
+    );
+    const random = (this.random = createRandom(this.seed, "stars"));
+    const isBandActive = this.isMilkyWayLayerActive();
+
+    for (let i = 0; i < numStars; i++) {
+      let x;
+      let y;
+      // Some stars crowd along the Milky Way (the extra draw only happens
+      // with the band on, so layouts without it are unchanged)
+      if (isBandActive && random() < config.milkyWay.starShare) {
+        ({ x, y } = this.milkyWay.samplePoint(random));
+      } else {
+        // Random position with bias toward top half (visible area)
+        x = random() * canvasWidth;
+        // Math.pow(random, 1.5) biases toward 0, concentrating stars at top
+        // where they're more visible (bottom half is partially below horizon)
+        y = Math.pow(random(), 1.5) * canvasHeight;
+      }
+
+      // Varied sizes
+      const size =
+        config.stars.minSize +
+        random() * (config.stars.maxSize - config.stars.minSize);
+
+      // Assign spectral color
+      const color = this.getSpectralColor();
+
+      // Make some stars static (non-twinkling)
+      const isStatic = random() < config.stars.staticPercentage;
+      const layer = this.getDepthLayer(size);
+      const magnitude = this.getSizeMagnitude(size);
 
       if (isStatic) {
-        stars.push({
-          x: companionX,
-          y: companionY,
-          size: companionSize,
+        this.stars.push({
+          x,
+          y,
+          size,
           color,
+          layer,
+          magnitude,
           isStatic: true,
           opacity:
-            CONFIG.stars.staticOpacityMin +
-            Math.random() *
-              (CONFIG.stars.staticOpacityMax - CONFIG.stars.staticOpacityMin),
+            config.stars.staticOpacityMin +
+            random() *
+              (config.stars.staticOpacityMax - config.stars.staticOpacityMin),
         });
       } else {
-        stars.push({
-          x: companionX,
-          y: companionY,
-          size: companionSize,
+        this.stars.push({
+          x,
+          y,
+          size,
           color,
+          layer,
+          magnitude,
           isStatic: false,
-          twinkleDelay: Math.random() * CONFIG.stars.animationDelayMax * 1000,
+          twinkleDelay: random() * config.stars.animationDelayMax * 1000,
           twinkleDuration:
-            (CONFIG.stars.animationDurationMin +
-              Math.random() *
-                (CONFIG.stars.animationDurationMax -
-                  CONFIG.stars.animationDurationMin)) *
+            (config.stars.animationDurationMin +
+              random() *
+                (config.stars.animationDurationMax -
+                  config.stars.animationDurationMin)) *
             1000,
         });
       }
+
+      // Generate binary companion star (2.5% chance)
+      // Binary pairs are positioned near each other in random direction
+      if (random() < config.stars.binaryPercentage) {
+        const angle = random() * Math.PI * 2; // Random direction
+        const separation =
+          config.stars.binarySeparationMin +
+          random() *
+            (config.stars.binarySeparationMax -
+              config.stars.binarySeparationMin);
+        const companionX = x + Math.cos(angle) * separation;
+        const companionY = y + Math.sin(angle) * separation;
+        // Companion is typically smaller than primary (60-90%)
+        // and shares its layer, so parallax never pulls the pair apart
+        const companionSize = size * (0.6 + random() * 0.3);
+        const companionMagnitude = this.getSizeMagnitude(companionSize);
+
+        if (isStatic) {
+          this.stars.push({
+            x: companionX,
+            y: companionY,
+            size: companionSize,
+            color,
+            layer,
+            magnitude: companionMagnitude,
+            isStatic: true,
+            opacity:
+              config.stars.staticOpacityMin +
+              random() *
+                (config.stars.staticOpacityMax - config.stars.staticOpacityMin),
+          });
+        } else {
+          this.stars.push({
+            x: companionX,
+            y: companionY,
+            size: companionSize,
+            color,
+            layer,
+            magnitude: companionMagnitude,
+            isStatic: false,
+            twinkleDelay: random() * config.stars.animationDelayMax * 1000,
+            twinkleDuration:
+              (config.stars.animationDurationMin +
+                random() *
+                  (config.stars.animationDurationMax -
+                    config.stars.animationDurationMin)) *
+              1000,
+          });
+        }
+      }
     }
   }
 
-  // Generate planets (static bright objects)
-  // Planets don't twinkle and are brighter than stars
-  planets = [];
-  CONFIG.planets.forEach((planet, index) => {
-    // Position planets at aesthetically pleasing locations
-    // Evenly spaced horizontally with vertical randomness
-    // Formula: divide canvas into (n+1) sections, place in section centers
-    const baseX = (canvasWidth / (CONFIG.planets.length + 1)) * (index + 1);
-    const baseY = canvasHeight * (0.2 + Math.random() * 0.4); // Top 60% of sky
-    // Add 15% random offset for natural appearance
-    const offsetX = (Math.random() - 0.5) * canvasWidth * 0.15;
-    const offsetY = (Math.random() - 0.5) * canvasHeight * 0.15;
-
-    planets.push({
-      x: baseX + offsetX,
-      y: baseY + offsetY,
-      size: planet.size,
-      color: planet.color,
-      opacity: planet.opacity,
-      name: planet.name,
+  /**
+   * Place catalogue stars where they appear for the configured observer
+   *
+   * Magnitude sets size and opacity (brighter = larger, more opaque) and
+   * the B-V color index picks the spectral color. Stars below the horizon
+   * are kept: they land in the lower half of the canvas and rotate into
+   * view with the .night-sky animation.
+   *
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Appends to this.stars
+   */
+  generateCatalogStars(canvasWidth, canvasHeight) {
+    const config = this.config;
+    const { magnitudeLimit, brightestMagnitude } = config.realSky;
+    const observer = getObserver(config);
+    const random = (this.random = createRandom(this.seed, "real-sky"));
+
+    BRIGHT_STARS.forEach((catalogStar) => {
+      if (catalogStar.mag > magnitudeLimit) return;
+
+      const { x, y } = projectEquatorial(
+        catalogStar.ra,
+        catalogStar.dec,
+        observer,
+        canvasWidth,
+        canvasHeight,
+      );
+
+      // 0 = faintest drawn star, 1 = brightest
+      const brightness = Math.min(
+        1,
+        Math.max(
+          0,
+          (magnitudeLimit - catalogStar.mag) /
+            (magnitudeLimit - brightestMagnitude),
+        ),
+      );
+      const size =
+        config.stars.minSize +
+        brightness * (config.stars.maxSize - config.stars.minSize);
+      const opacity =
+        config.stars.staticOpacityMin +
+        brightness *
+          (config.stars.twinkleOpacityMax - config.stars.staticOpacityMin);
+      const color = getColorIndexColor(
+        catalogStar.bv,
+        config.stars.spectralClasses,
+      );
+      const layer = this.getDepthLayer(size);
+
+      if (random() < config.stars.staticPercentage) {
+        this.stars.push({
+          x,
+          y,
+          size,
+          color,
+          layer,
+          magnitude: catalogStar.mag,
+          isStatic: true,
+          opacity,
+          name: catalogStar.name,
+        });
+      } else {
+        // Twinkle range is scaled by brightness so faint stars stay faint
+        this.stars.push({
+          x,
+          y,
+          size,
+          color,
+          layer,
+          magnitude: catalogStar.mag,
+          isStatic: false,
+          brightness: opacity,
+          twinkleDelay: random() * config.stars.animationDelayMax * 1000,
+          twinkleDuration:
+            (config.stars.animationDurationMin +
+              random() *
+                (config.stars.animationDurationMax -
+                  config.stars.animationDurationMin)) *
+            1000,
+          name: catalogStar.name,
+        });
+      }
+    });
+  }
+
+  /**
+   * Generate planets (static bright objects)
+   * Planets don't twinkle and are brighter than stars
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Updates this.planets
+   */
+  generatePlanets(canvasWidth, canvasHeight) {
+    // Separate stream so planet placement doesn't shift with star count
+    const config = this.config;
+    this.planets = [];
+
+    if (config.ephemeris.enabled) {
+      this.generateEphemerisPlanets(canvasWidth, canvasHeight);
+      return;
+    }
+
+    const random = (this.random = createRandom(this.seed, "planets"));
+    config.planets.forEach((planet, index) => {
+      // Position planets at aesthetically pleasing locations
+      // Evenly spaced horizontally with vertical randomness
+      // Formula: divide canvas into (n+1) sections, place in section centers
+      const baseX = (canvasWidth / (config.planets.length + 1)) * (index + 1);
+      const baseY = canvasHeight * (0.2 + random() * 0.4); // Top 60% of sky
+      // Add 15% random offset for natural appearance
+      const offsetX = (random() - 0.5) * canvasWidth * 0.15;
+      const offsetY = (random() - 0.5) * canvasHeight * 0.15;
+
+      this.planets.push({
+        x: baseX + offsetX,
+        y: baseY + offsetY,
+        size: planet.size,
+        color: planet.color,
+        opacity: planet.opacity,
+        name: planet.name,
+        magnitude: this.getSizeMagnitude(planet.size),
+        layer: this.getDepthLayer(planet.size, true),
+      });
     });
-  });
-}
+  }
 
-// ============================================================
-// RENDERING
-// Lines: 191-269
-// ============================================================
+  /**
+   * Place planets at their real sky positions for the configured observer
+   *
+   * Planets below the horizon are left out, and opacity follows apparent
+   * magnitude (ephemeris config range) instead of the fixed opacity field.
+   *
+   * @param {number} canvasWidth - Canvas width in logical pixels
+   * @param {number} canvasHeight - Canvas height in logical pixels
+   * @returns {void} - Appends to this.planets
+   */
+  generateEphemerisPlanets(canvasWidth, canvasHeight) {
+    const config = this.config;
+    const { brightestMagnitude, faintestMagnitude, minOpacity } =
+      config.ephemeris;
+    const observer = getObserver(config);
 
-/**
- * Calculate current opacity for twinkling star
- * @param {Object} star - Star object with twinkle properties
- * @param {number} currentTime - Current performance timestamp
- * @returns {number} Opacity value between 0 and 1
- */
-function getTwinkleOpacity(star, currentTime) {
-  const elapsed = currentTime - startTime - star.twinkleDelay;
-  if (elapsed < 0) return CONFIG.stars.twinkleOpacityMin;
+    config.planets.forEach((planet) => {
+      const position = getPlanetPosition(planet.name, observer.date);
+      if (!position) {
+        console.warn(`No orbital elements for planet: ${planet.name}`);
+        return;
+      }
 
-  const cyclePosition = (elapsed % star.twinkleDuration) / star.twinkleDuration;
-  const easedPosition = easeInOutSine(cyclePosition);
+      const { x, y, altitude } = projectEquatorial(
+        position.ra,
+        position.dec,
+        observer,
+        canvasWidth,
+        canvasHeight,
+      );
+      if (altitude < 0) return;
 
-  return (
-    CONFIG.stars.twinkleOpacityMin +
-    easedPosition *
-      (CONFIG.stars.twinkleOpacityMax - CONFIG.stars.twinkleOpacityMin)
-  );
-}
+      // 0 = faintest, 1 = brightest
+      const brightness = Math.min(
+        1,
+        Math.max(
+          0,
+          (faintestMagnitude - position.magnitude) /
+            (faintestMagnitude - brightestMagnitude),
+        ),
+      );
 
-/**
- * Render all stars and planets on canvas (60fps loop)
- * @returns {void}
- */
-export function renderStars() {
-  if (!starCtx || !starCanvas || !isPageVisible) {
-    // Cancel any pending animation frame on early return
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
+      this.planets.push({
+        x,
+        y,
+        size: planet.size,
+        color: planet.color,
+        opacity: minOpacity + brightness * (1 - minOpacity),
+        name: planet.name,
+        magnitude: position.magnitude,
+        layer: this.getDepthLayer(planet.size, true),
+      });
+    });
+  }
+
+  // ============================================================
+  // RENDERING
+  // Lines: 782-957
+  // ============================================================
+
+  /**
+   * Calculate current opacity for twinkling star
+   * @param {Object} star - Star object with twinkle properties
+   * @param {number} currentTime - Current performance timestamp
+   * @returns {number} Opacity value between 0 and 1
+   */
+  getTwinkleOpacity(star, currentTime) {
+    const { twinkleOpacityMin, twinkleOpacityMax } = this.config.stars;
+    // Catalogue stars carry a brightness that scales the whole twinkle range;
+    // twilight visibility scales it again
+    const scale = (star.brightness ?? 1) * (star.visibility ?? 1);
+
+    // Reduced motion: hold every twinkling star at the middle of its range
+    if (this.isMotionReduced) {
+      return ((twinkleOpacityMin + twinkleOpacityMax) / 2) * scale;
     }
-    return;
+
+    const elapsed = currentTime - this.startTime - star.twinkleDelay;
+    if (elapsed < 0) return twinkleOpacityMin * scale;
+
+    const cyclePosition =
+      (elapsed % star.twinkleDuration) / star.twinkleDuration;
+    const easedPosition = easeInOutSine(cyclePosition);
+
+    return (
+      (twinkleOpacityMin +
+        easedPosition * (twinkleOpacityMax - twinkleOpacityMin)) *
+      scale
+    );
+  }
+
+  /**
+   * Ease the parallax view toward its target and work out each layer's offset
+   * Nearer layers move further; layer 0 never moves
+   * @param {number} currentTime - Current performance timestamp
+   * @returns {Array<{x: number, y: number}>} Offset in logical pixels per layer
+   */
+  updateParallax(currentTime) {
+    const layerCount = this.getLayerCount();
+    const { maxOffset, smoothingMs } = this.config.parallax;
+
+    // Exponential follow, so the easing is the same at any frame rate
+    const elapsed =
+      this.lastFrameTime === null ? Infinity : currentTime - this.lastFrameTime;
+    this.lastFrameTime = currentTime;
+    const follow = smoothingMs > 0 ? 1 - Math.exp(-elapsed / smoothingMs) : 1;
+    this.parallax.x += (this.parallaxTarget.x - this.parallax.x) * follow;
+    this.parallax.y += (this.parallaxTarget.y - this.parallax.y) * follow;
+
+    return Array.from({ length: layerCount }, (_, layer) => {
+      if (layer === 0) return NO_OFFSET;
+      const depth = (layer / (layerCount - 1)) * maxOffset;
+      // Near stars slide against the view direction, like looking past them
+      return { x: -this.parallax.x * depth, y: -this.parallax.y * depth };
+    });
   }
 
-  try {
-    const currentTime = performance.now();
-    const canvasWidth = starCanvas.width / window.devicePixelRatio;
-    const canvasHeight = starCanvas.height / window.devicePixelRatio;
+  /**
+   * Redraw every star and planet with arc() (render mode "direct")
+   * Kept as the reference path for comparing frame times against "baked"
+   * @param {number} currentTime - Current performance timestamp
+   * @param {Array<{x: number, y: number}>} offsets - Parallax offset per layer
+   * @returns {void}
+   */
+  renderDirect(currentTime, offsets) {
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    starCtx.clearRect(0, 0, starCanvas.width, starCanvas.height);
+    // Milky Way under everything
+    if (this.isMilkyWayLayerActive()) this.milkyWay.render(ctx);
 
     // Render stars with spectral colors
-    stars.forEach((star) => {
+    this.stars.forEach((star) => {
+      if (star.visibility === 0) return;
       const opacity = star.isStatic
-        ? star.opacity
-        : getTwinkleOpacity(star, currentTime);
+        ? star.opacity * star.visibility
+        : this.getTwinkleOpacity(star, currentTime);
+      const offset = offsets[star.layer] ?? NO_OFFSET;
 
-      starCtx.fillStyle = `${star.color}${opacity})`;
-      starCtx.beginPath();
-      starCtx.arc(star.x, star.y, star.size / 2, 0, Math.PI * 2);
-      starCtx.fill();
+      ctx.fillStyle = `${star.color}${opacity})`;
+      ctx.beginPath();
+      ctx.arc(
+        star.x + offset.x,
+        star.y + offset.y,
+        star.size / 2,
+        0,
+        Math.PI * 2,
+      );
+      ctx.fill();
     });
 
     // Render planets (bright, non-twinkling)
-    planets.forEach((planet) => {
-      starCtx.fillStyle = `${planet.color}${planet.opacity})`;
-      starCtx.beginPath();
-      starCtx.arc(planet.x, planet.y, planet.size / 2, 0, Math.PI * 2);
-      starCtx.fill();
+    this.planets.forEach((planet) => {
+      if (planet.visibility === 0) return;
+      const offset = offsets[planet.layer] ?? NO_OFFSET;
+      ctx.fillStyle = `${planet.color}${planet.opacity * planet.visibility})`;
+      ctx.beginPath();
+      ctx.arc(
+        planet.x + offset.x,
+        planet.y + offset.y,
+        planet.size / 2,
+        0,
+        Math.PI * 2,
+      );
+      ctx.fill();
     });
+  }
 
-    if (isPageVisible) {
-      animationFrameId = requestAnimationFrame(renderStars);
+  /**
+   * Render all stars and planets on canvas (60fps loop)
+   * While motion is reduced this draws a single still frame instead
+   * @returns {void}
+   */
+  render() {
+    const { ctx, canvas } = this;
+    if (!ctx || !canvas || !this.isPageVisible) {
+      // Cancel any pending animation frame on early return
+      this.cancelFrame();
+      return;
     }
-  } catch (error) {
-    console.error("Error in renderStars:", error);
-    // Cancel animation loop on error to prevent infinite error spam
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
+
+    try {
+      const currentTime = performance.now();
+      this.frameTimer.begin(currentTime);
+      const offsets = this.updateParallax(currentTime);
+
+      if (this.isWebGL) {
+        // Twinkle is computed in the vertex shader
+        this.renderer.draw(currentTime, this.isMotionReduced, offsets);
+      } else if (this.usesRenderer()) {
+        // Static far stars come from the baked layer
+        this.renderer.draw(
+          (star) => this.getTwinkleOpacity(star, currentTime),
+          offsets,
+        );
+      } else {
+        this.renderDirect(currentTime, offsets);
+      }
+
+      // Moon over the stars (separate pass so it rotates with the stars)
+      if (this.isMoonLayerActive()) this.moon.render(ctx);
+
+      // Constellation overlay (separate pass so it rotates with the stars)
+      if (this.isConstellationLayerActive()) {
+        this.constellations.render(ctx, currentTime);
+      }
+      this.frameTimer.end();
+
+      if (this.isMotionReduced) {
+        // One still frame; the gap until the next one isn't a slow frame
+        this.frameTimer.pause();
+      } else if (this.isPageVisible) {
+        this.animationFrameId = requestAnimationFrame(this.render);
+      }
+    } catch (error) {
+      console.error("Error in renderStars:", error);
+      // Cancel animation loop on error to prevent infinite error spam
+      this.cancelFrame();
     }
   }
-}
 
-// ============================================================
-// INITIALIZATION
-// Lines: 270-316
-// ============================================================
+  /**
+   * Cancel the pending animation frame, if any
+   * @returns {void}
+   */
+  cancelFrame() {
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
 
-/**
- * Initialize canvas and start star rendering
- * @returns {void}
- */
-export function initializeStars() {
-  try {
-    starCanvas = safeQuerySelector(
-      "#starCanvas",
-      "Star canvas element not found",
-    );
-    starCtx = starCanvas.getContext(CONFIG.canvas.contextType);
+  // ============================================================
+  // STATE ACCESSORS
+  // Lines: 959-1098
+  // ============================================================
 
-    if (!starCtx) {
-      throw new Error("Could not get canvas context");
+  /**
+   * Update page visibility state (for pause/resume)
+   * @param {boolean} visible - Is page currently visible
+   * @returns {void}
+   */
+  setVisible(visible) {
+    this.isPageVisible = visible;
+    if (!visible) {
+      this.cancelFrame();
+      this.frameTimer.pause();
+    } else if (!this.animationFrameId) {
+      this.render();
     }
+  }
 
-    // Set canvas size with device pixel ratio for sharp rendering on retina
-    // We scale the canvas buffer (width/height) by DPR, then scale context back
-    // This gives us more pixels to work with without changing coordinate system
-    const nightSky = safeQuerySelector(
-      "#nightSky",
-      "Night sky element not found",
-    );
-    const rect = nightSky.getBoundingClientRect();
+  /**
+   * Switch between the twinkle loop and a single still, twinkle-free frame
+   * @param {boolean} reduced - Hold the sky still (prefers-reduced-motion or the toggle)
+   * @returns {void}
+   */
+  setReducedMotion(reduced) {
+    this.isMotionReduced = reduced;
+    if (reduced) this.setParallax(NO_OFFSET);
+    this.cancelFrame();
+    this.frameTimer.pause();
+    this.render();
+  }
 
-    if (CONFIG.canvas.devicePixelRatioEnabled) {
-      starCanvas.width = rect.width * window.devicePixelRatio;
-      starCanvas.height = rect.height * window.devicePixelRatio;
-      // Scale context so we can use logical pixels in drawing code
-      starCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
-    } else {
-      starCanvas.width = rect.width;
-      starCanvas.height = rect.height;
+  /**
+   * Point the parallax view (eased toward over CONFIG.parallax.smoothingMs)
+   * Ignored while motion is reduced; the view snaps back to centre instead
+   * @param {{x: number, y: number}} target - View direction, -1..1 along the canvas axes
+   * @returns {void}
+   */
+  setParallax({ x, y }) {
+    if (this.isMotionReduced) {
+      this.parallaxTarget = { x: 0, y: 0 };
+      this.parallax = { x: 0, y: 0 };
+      return;
     }
+    this.parallaxTarget = { x, y };
+  }
+
+  /**
+   * Show only bodies the sky is dark enough for (twilight, CONFIG.timeOfDay)
+   * Bodies fade in over timeOfDay.fadeMagnitudes below the limit; the static
+   * layer is re-baked only when a body's visibility actually changes
+   * @param {number} magnitude - Faintest visible magnitude (Infinity = full night)
+   * @returns {void}
+   */
+  setLimitingMagnitude(magnitude) {
+    this.limitingMagnitude = magnitude;
+    if (!this.applyVisibility() || !this.ctx) return;
 
-    generateStars(rect.width, rect.height);
-    renderStars();
-  } catch (error) {
-    console.error("Failed to initialize stars:", error);
+    this.bakeStaticLayer(
+      this.canvas.width / this.pixelRatio,
+      this.canvas.height / this.pixelRatio,
+    );
+    // No loop to pick up the change while motion is reduced
+    if (this.isMotionReduced) this.render();
   }
-}
 
-// ============================================================
-// STATE ACCESSORS
-// Lines: 317-343
-// ============================================================
+  /**
+   * Set each body's visibility (0-1) from its magnitude and the limiting
+   * magnitude, lowered near the Moon by its glow
+   * @returns {boolean} True if any body's (or the Moon's or band's) visibility changed
+   */
+  applyVisibility() {
+    const { fadeMagnitudes } = this.config.timeOfDay;
+    let changed = this.moon.applyVisibility(this.limitingMagnitude);
+    if (this.milkyWay.applyVisibility(this.limitingMagnitude)) changed = true;
 
-/**
- * Update page visibility state (for pause/resume)
- * @param {boolean} visible - Is page currently visible
- * @returns {void}
- */
-export function setPageVisible(visible) {
-  isPageVisible = visible;
-  if (!visible && animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  } else if (visible && !animationFrameId) {
-    renderStars();
+    [...this.stars, ...this.planets].forEach((body) => {
+      const limit = Math.min(
+        this.limitingMagnitude,
+        this.moon.getLimitingMagnitude(body),
+      );
+      const visibility = Math.min(
+        1,
+        Math.max(0, (limit - body.magnitude) / fadeMagnitudes),
+      );
+      if (visibility !== body.visibility) {
+        body.visibility = visibility;
+        changed = true;
+      }
+    });
+    return changed;
   }
-}
 
-/**
- * Get current canvas and context for external updates (e.g., resize)
- * @returns {{canvas: HTMLCanvasElement|null, ctx: CanvasRenderingContext2D|null}}
- */
-export function getCanvasState() {
-  return { canvas: starCanvas, ctx: starCtx };
+  /**
+   * Apply quality tier limits; they take effect on the next resize()
+   * The catalogue in real-sky mode is already small, so starScale only thins random stars
+   * @param {{starScale: number, maxPixelRatio: number}} quality - Limits from a QualityTier
+   * @returns {void}
+   */
+  setQuality({ starScale, maxPixelRatio }) {
+    this.quality = { starScale, maxPixelRatio };
+  }
+
+  /**
+   * Highlight constellations near the pointer
+   * @param {HTMLElement} hero - Element receiving pointer events
+   * @param {HTMLElement} nightSky - Rotating night sky container
+   * @returns {function(): void} Removes the listeners
+   */
+  attachConstellationHover(hero, nightSky) {
+    return this.constellations.attachHover(hero, nightSky, () => {
+      // No loop while motion is reduced: show the label change as one still frame
+      if (this.isMotionReduced) this.render();
+    });
+  }
+
+  /**
+   * Frame-time statistics for the current render mode
+   * @returns {import("./frame-timer.js").FrameStats}
+   */
+  getFrameStats() {
+    return this.frameTimer.getStats();
+  }
+
+  /**
+   * Stop rendering, clear the canvas and drop generated star data
+   * @returns {void}
+   */
+  destroy() {
+    this.setVisible(false);
+    if (this.ctx && !this.isWebGL) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    this.renderer?.destroy();
+    this.stars = [];
+    this.planets = [];
+    this.ctx = null;
+  }
 }
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Time of day module - Sun altitude, twilight and sky brightness
+ * @module time-of-day
+ * @exports {TWILIGHT_STOPS, SKY_GRADIENT_PROPERTIES, getSunAltitude, getTwilightPhase, getTimeOfDay, readTimeOverride}
+ * @imports {CONFIG} from config.js
+ * @imports {getObserver, equatorialToHorizontal} from astronomy.js
+ * @imports {getSunPosition} from ephemeris.js
+ * @description Works out where the sun is for CONFIG.observer (location and time)
+ *   and what the sky looks like at that altitude: the hero gradient, blended
+ *   through day, civil, nautical and astronomical twilight into night, and the
+ *   limiting magnitude - the faintest star or planet the sky is dark enough to show.
+ *   Twilight boundaries are the standard -6°, -12° and -18° sun altitudes;
+ *   colors and magnitudes between the stops are interpolated.
+ *   Sky re-reads this every CONFIG.timeOfDay.updateMs on a live clock.
+ */
+
+// ============================================================
+// TIME OF DAY - Sun altitude, twilight and sky brightness
+// Purpose: Day/night cycle for the hero background and star visibility
+// Lines: 1-239
+// ============================================================
+
+import { CONFIG } from "./config.js";
+import { getObserver, equatorialToHorizontal } from "./astronomy.js";
+import { getSunPosition } from "./ephemeris.js";
+
+// ============================================================
+// TWILIGHT DATA
+// Lines: 27-103
+// ============================================================
+
+/**
+ * @typedef {Object} TwilightStop
+ * @property {number} altitude - Sun altitude in degrees
+ * @property {number} limitingMagnitude - Faintest magnitude visible at this altitude
+ * @property {Array<Array<number>>} gradient - Hero gradient [r, g, b] colors, zenith to horizon
+ */
+
+// Highest sun first; the last stop is full night (the original hero gradient)
+/** @type {Array<TwilightStop>} */
+export const TWILIGHT_STOPS = [
+  {
+    altitude: 10,
+    limitingMagnitude: -6, // Nothing, not even Venus
+    gradient: [
+      [52, 110, 190],
+      [88, 145, 215],
+      [150, 190, 232],
+      [196, 220, 240],
+    ],
+  },
+  {
+    altitude: 0,
+    limitingMagnitude: -3.5, // Venus and Jupiter at sunset
+    gradient: [
+      [38, 64, 120],
+      [78, 92, 140],
+      [196, 132, 112],
+      [240, 170, 110],
+    ],
+  },
+  {
+    altitude: -6,
+    limitingMagnitude: 1.5, // End of civil twilight: the brightest stars
+    gradient: [
+      [20, 28, 62],
+      [36, 40, 84],
+      [96, 66, 104],
+      [150, 90, 100],
+    ],
+  },
+  {
+    altitude: -12,
+    limitingMagnitude: 4, // End of nautical twilight: constellations complete
+    gradient: [
+      [12, 14, 40],
+      [17, 20, 50],
+      [26, 30, 64],
+      [44, 42, 76],
+    ],
+  },
+  {
+    altitude: -18,
+    limitingMagnitude: 6.5, // Astronomical night: everything
+    gradient: [
+      [10, 10, 26],
+      [13, 13, 36],
+      [18, 21, 46],
+      [26, 30, 50],
+    ],
+  },
+];
+
+// CSS custom properties the hero gradient reads, zenith to horizon (styles.css)
+export const SKY_GRADIENT_PROPERTIES = [
+  "--sky-zenith",
+  "--sky-upper",
+  "--sky-lower",
+  "--sky-horizon",
+];
+
+// Sun altitude at sunrise/sunset: upper limb on the horizon, with refraction
+const SUNRISE_ALTITUDE = -0.833;
+
+// ============================================================
+// SUN
+// Lines: 105-131
+// ============================================================
+
+/**
+ * Sun altitude for an observer
+ * @param {{latitude: number, longitude: number, date: Date}} observer - Observer
+ * @returns {number} Altitude in degrees (negative = below the horizon)
+ */
+export function getSunAltitude(observer) {
+  const sun = getSunPosition(observer.date);
+  return equatorialToHorizontal(sun.ra, sun.dec, observer).altitude;
+}
+
+/**
+ * Name the part of the day a sun altitude falls in
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {string} day, civil, nautical, astronomical or night
+ */
+export function getTwilightPhase(altitude) {
+  if (altitude >= SUNRISE_ALTITUDE) return "day";
+  if (altitude >= -6) return "civil";
+  if (altitude >= -12) return "nautical";
+  if (altitude >= -18) return "astronomical";
+  return "night";
+}
+
+// ============================================================
+// SKY APPEARANCE
+// Lines: 133-208
+// ============================================================
+
+/**
+ * Find the two stops around a sun altitude and how far between them it is
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {{upper: TwilightStop, lower: TwilightStop, t: number}} t = 0 at upper, 1 at lower
+ */
+function findStops(altitude) {
+  const first = TWILIGHT_STOPS[0];
+  const last = TWILIGHT_STOPS[TWILIGHT_STOPS.length - 1];
+  if (altitude >= first.altitude) return { upper: first, lower: first, t: 0 };
+  if (altitude <= last.altitude) return { upper: last, lower: last, t: 0 };
+
+  const index = TWILIGHT_STOPS.findIndex((stop) => stop.altitude < altitude);
+  const upper = TWILIGHT_STOPS[index - 1];
+  const lower = TWILIGHT_STOPS[index];
+  return {
+    upper,
+    lower,
+    t: (upper.altitude - altitude) / (upper.altitude - lower.altitude),
+  };
+}
+
+/**
+ * Linear interpolation
+ * @param {number} from - Value at t = 0
+ * @param {number} to - Value at t = 1
+ * @param {number} t - Position between them (0-1)
+ * @returns {number}
+ */
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+/**
+ * @typedef {Object} TimeOfDay
+ * @property {Date} date - Moment this describes
+ * @property {number} sunAltitude - Sun altitude in degrees
+ * @property {string} phase - day, civil, nautical, astronomical or night
+ * @property {Array<string>} gradient - Hero gradient CSS colors, zenith to horizon
+ * @property {number} limitingMagnitude - Faintest magnitude the sky shows (Infinity at night)
+ * @property {boolean} isDaylight - Sun above timeOfDay.daylightAltitude (no meteors or aurora)
+ */
+
+/**
+ * Sky appearance for the configured observer and time
+ * @param {Config} [config=CONFIG] - Configuration to read observer and timeOfDay from
+ * @returns {TimeOfDay}
+ */
+export function getTimeOfDay(config = CONFIG) {
+  const observer = getObserver(config);
+  const sunAltitude = getSunAltitude(observer);
+  const { upper, lower, t } = findStops(sunAltitude);
+  const phase = getTwilightPhase(sunAltitude);
+
+  return {
+    date: observer.date,
+    sunAltitude,
+    phase,
+    gradient: upper.gradient.map((color, index) => {
+      const [r, g, b] = color.map((channel, c) =>
+        Math.round(lerp(channel, lower.gradient[index][c], t)),
+      );
+      return `rgb(${r}, ${g}, ${b})`;
+    }),
+    // Full night hides nothing, however faint realSky.magnitudeLimit goes
+    limitingMagnitude:
+      phase === "night"
+        ? Infinity
+        : lerp(upper.limitingMagnitude, lower.limitingMagnitude, t),
+    isDaylight: sunAltitude > config.timeOfDay.daylightAltitude,
+  };
+}
+
+// ============================================================
+// TIME OVERRIDE
+// Lines: 210-239
+// ============================================================
+
+/**
+ * Read the ?time= URL parameter for previewing a moment
+ *
+ * Accepts an ISO date ("2025-06-21T21:30") or a clock time today ("05:45"),
+ * both in local time. Sky uses it as observer.date, so twilight, the real
+ * sky, planets and the shower calendar all show that moment.
+ *
+ * @returns {string|null} ISO timestamp, or null without a (valid) parameter
+ */
+export function readTimeOverride() {
+  const value = new URLSearchParams(window.location.search).get("time");
+  if (!value) return null;
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})$/);
+  const date = new Date(clock ? Date.now() : value);
+  if (clock) date.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+
+  if (Number.isNaN(date.getTime())) {
+    console.warn(
+      `Ignoring ?time=${value} - use an ISO date or a clock time (HH:MM)`,
+    );
+    return null;
+  }
+  return date.toISOString();
+}
@@ -1,7 +1,7 @@
 /**
  * @fileoverview Utility functions module - Shared helpers
  * @module utils
- * @exports {safeQuerySelector, getStarCount, isLowEndDevice, easeInOutSine, pauseAnimations, resumeAnimations, initializeNightSkySize}
+ * @exports {safeQuerySelector, getStarCount, isLowEndDevice, easeInOutSine, deepMerge, pauseAnimations, resumeAnimations, initializeNightSkySize, clientToSkyVector, clientToSkyPoint, skyToClientPoint}
  * @imports {CONFIG} from config.js
  * @description Reusable helper functions used across multiple systems.
  *   Includes DOM utilities, device detection, easing functions, and layout calculations.
@@ -10,7 +10,7 @@
 // ============================================================
 // UTILITY FUNCTIONS - Shared helpers
 // Purpose: Reusable functions used across multiple systems
-// Lines: 1-150
+// Lines: 1-244
 // ============================================================
 
 import { CONFIG } from "./config.js";
@@ -19,14 +19,16 @@ import { CONFIG } from "./config.js";
  * Safely query a DOM element with error handling
  * @param {string} selector - CSS selector or ID
  * @param {string} errorMsg - Error message if element not found
+ * @param {ParentNode} [root=document] - Element to search within (e.g. a mounted sky)
  * @returns {HTMLElement} The found element
  * @throws {Error} If element not found
  */
-export function safeQuerySelector(selector, errorMsg) {
+export function safeQuerySelector(selector, errorMsg, root = document) {
   // Handle both CSS selectors and IDs
-  const element = selector.startsWith("#")
-    ? document.getElementById(selector.slice(1))
-    : document.querySelector(selector);
+  const element =
+    root === document && selector.startsWith("#")
+      ? document.getElementById(selector.slice(1))
+      : root.querySelector(selector);
 
   if (!element) {
     throw new Error(errorMsg || `Element not found: ${selector}`);
@@ -36,23 +38,29 @@ export function safeQuerySelector(selector, errorMsg) {
 
 /**
  * Get appropriate star count based on current viewport width
+ * @param {Config} [config=CONFIG] - Configuration to read counts from
+ * @param {number} [viewportWidth=window.innerWidth] - Width to compare (workers pass it in)
  * @returns {number} Star count (mobile or desktop)
  */
-export function getStarCount() {
-  return window.innerWidth < CONFIG.stars.mobileBreakpoint
-    ? CONFIG.stars.countMobile
-    : CONFIG.stars.countDesktop;
+export function getStarCount(
+  config = CONFIG,
+  viewportWidth = window.innerWidth,
+) {
+  return viewportWidth < config.stars.mobileBreakpoint
+    ? config.stars.countMobile
+    : config.stars.countDesktop;
 }
 
 /**
  * Detect low-end devices based on hardware capabilities
  * Used to disable performance-intensive features like aurora
+ * @param {Config} [config=CONFIG] - Configuration to read thresholds from
  * @returns {boolean} True if device is considered low-end
  */
-export function isLowEndDevice() {
+export function isLowEndDevice(config = CONFIG) {
   // Check CPU cores (most reliable indicator)
   const cpuCores = navigator.hardwareConcurrency || 2;
-  if (cpuCores < CONFIG.aurora.lowEndCpuCores) {
+  if (cpuCores < config.aurora.lowEndCpuCores) {
     return true;
   }
 
@@ -74,6 +82,26 @@ export function easeInOutSine(t) {
   return -(Math.cos(Math.PI * t) - 1) / 2;
 }
 
+/**
+ * Recursively merge plain-object overrides into a target object
+ * Arrays and other values replace the target value wholesale
+ * @param {Object} target - Object to update in place
+ * @param {Object} source - Partial object with override values
+ * @returns {Object} The updated target
+ */
+export function deepMerge(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    const isPlainObject =
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    if (isPlainObject && target[key] && typeof target[key] === "object") {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
 /**
  * Add CSS pause class to animation elements
  * Used when tab is hidden to save CPU/GPU
@@ -102,7 +130,7 @@ export function resumeAnimations(nightSky, meteorsContainer, auroraContainer) {
 
 // ============================================================
 // NIGHT SKY UTILITIES
-// Lines: 107-150
+// Lines: 131-244
 // ============================================================
 
 /**
@@ -118,16 +146,13 @@ export function resumeAnimations(nightSky, meteorsContainer, auroraContainer) {
  * - diagonalMultiplier (2.2) = safety margin (sqrt(2) ≈ 1.41, but we need extra coverage)
  * - Positioned with bottom: -containerSize/2 so center is at horizon
  *
+ * @param {HTMLElement} hero - Element the sky is mounted in
+ * @param {HTMLElement} nightSky - Night sky container element
+ * @param {Config} [config=CONFIG] - Configuration to read sizing factors from
  * @returns {void}
  */
-export function initializeNightSkySize() {
+export function initializeNightSkySize(hero, nightSky, config = CONFIG) {
   try {
-    const hero = safeQuerySelector(".hero", "Hero element not found");
-    const nightSky = safeQuerySelector(
-      "#nightSky",
-      "Night sky element not found",
-    );
-
     const heroRect = hero.getBoundingClientRect();
     const heroWidth = heroRect.width;
     const heroHeight = heroRect.height;
@@ -137,14 +162,83 @@ export function initializeNightSkySize() {
 
     // Container rotates from center, positioned at horizon
     const containerSize = Math.ceil(
-      diagonal * CONFIG.nightSky.diagonalMultiplier,
+      diagonal * config.nightSky.diagonalMultiplier,
     );
 
     // Apply dimensions and position center at horizon
     nightSky.style.width = `${containerSize}px`;
     nightSky.style.height = `${containerSize}px`;
-    nightSky.style.bottom = `${-containerSize * CONFIG.nightSky.bottomOffsetFactor}px`;
+    nightSky.style.bottom = `${-containerSize * config.nightSky.bottomOffsetFactor}px`;
   } catch (error) {
     console.error("Failed to initialize night sky size:", error);
   }
 }
+
+/**
+ * Turn a viewport direction into the rotating night sky's own axes
+ * Undoes the 2x2 linear part of the container's current transform (rotation)
+ * @param {HTMLElement} nightSky - Night sky container element
+ * @param {number} dx - Viewport X component
+ * @param {number} dy - Viewport Y component
+ * @returns {{x: number, y: number}} Same direction along the unrotated sky's axes
+ */
+export function clientToSkyVector(nightSky, dx, dy) {
+  const { a, b, c, d } = new DOMMatrixReadOnly(
+    getComputedStyle(nightSky).transform,
+  );
+  const determinant = a * d - b * c || 1;
+
+  return {
+    x: (d * dx - c * dy) / determinant,
+    y: (-b * dx + a * dy) / determinant,
+  };
+}
+
+/**
+ * Map a viewport point into the rotating night sky's own coordinates
+ *
+ * The .night-sky container rotates about its centre, and the centre of
+ * its bounding box stays on that pivot at any angle. Undoing the
+ * rotation around that point gives the position on the unrotated sky,
+ * which is what canvas drawing coordinates refer to.
+ *
+ * @param {HTMLElement} nightSky - Night sky container element
+ * @param {number} clientX - Viewport X coordinate
+ * @param {number} clientY - Viewport Y coordinate
+ * @returns {{x: number, y: number}} Position as fractions (0-1) of sky width/height
+ */
+export function clientToSkyPoint(nightSky, clientX, clientY) {
+  const rect = nightSky.getBoundingClientRect();
+  const dx = clientX - (rect.left + rect.width / 2);
+  const dy = clientY - (rect.top + rect.height / 2);
+  const sky = clientToSkyVector(nightSky, dx, dy);
+
+  return {
+    x: (sky.x + nightSky.offsetWidth / 2) / nightSky.offsetWidth,
+    y: (sky.y + nightSky.offsetHeight / 2) / nightSky.offsetHeight,
+  };
+}
+
+/**
+ * Map a point on the rotating night sky to viewport coordinates
+ * Inverse of clientToSkyPoint: applies the container's current rotation
+ * @param {HTMLElement} nightSky - Night sky container element
+ * @param {number} x - Position as a fraction (0-1) of sky width
+ * @param {number} y - Position as a fraction (0-1) of sky height
+ * @returns {{x: number, y: number}} Viewport coordinates
+ */
+export function skyToClientPoint(nightSky, x, y) {
+  const rect = nightSky.getBoundingClientRect();
+  const dx = (x - 0.5) * nightSky.offsetWidth;
+  const dy = (y - 0.5) * nightSky.offsetHeight;
+
+  // Apply the 2x2 linear part of the current transform (rotation)
+  const { a, b, c, d } = new DOMMatrixReadOnly(
+    getComputedStyle(nightSky).transform,
+  );
+
+  return {
+    x: rect.left + rect.width / 2 + a * dx + c * dy,
+    y: rect.top + rect.height / 2 + b * dx + d * dy,
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Config validation module - Startup checks for the whole config
+ * @module validate-config
+ * @exports {validateConfig, reportConfigProblems}
+ * @imports {CONFIG_SCHEMA, checkObject} from schema.js
+ * @description Checks a full config against the schema (types, ranges, rgba strings)
+ *   plus rules that span several fields: spectral percentages summing to 1,
+ *   every *Min <= *Max pair, magnitude ordering, at least one quality tier.
+ *   All problems are collected and reported together so one reload shows every mistake.
+ *   Run by initializeApp() in main.js; CONFIG.validation.strict refuses to start on problems.
+ */
+
+// ============================================================
+// CONFIG VALIDATION - Startup checks for the whole config
+// Purpose: Report bad config values instead of failing silently
+// Lines: 1-181
+// ============================================================
+
+import { CONFIG_SCHEMA, checkObject } from "./schema.js";
+
+// ============================================================
+// CROSS-FIELD RULES
+// Lines: 21-143
+// ============================================================
+
+// Spectral percentages are cumulative probabilities; allow float rounding
+const PERCENTAGE_TOLERANCE = 0.001;
+
+// getSpectralColor() falls back to spectralClasses[2] (F-G)
+const MIN_SPECTRAL_CLASSES = 3;
+
+// [section, lower field, upper field] - lower must not exceed upper
+const RANGE_PAIRS = [
+  ["stars", "minSize", "maxSize"],
+  ["stars", "animationDurationMin", "animationDurationMax"],
+  ["stars", "twinkleOpacityMin", "twinkleOpacityMax"],
+  ["stars", "staticOpacityMin", "staticOpacityMax"],
+  ["stars", "binarySeparationMin", "binarySeparationMax"],
+  ["meteors", "startXMin", "startXMax"],
+  ["meteors", "angleMin", "angleMax"],
+  ["meteors", "durationMin", "durationMax"],
+  ["meteors", "showerCountMin", "showerCountMax"],
+  ["meteors", "showerIntervalMin", "showerIntervalMax"],
+  ["meteors", "singleMeteorIntervalMin", "singleMeteorIntervalMax"],
+  ["meteors", "nextShowerMin", "nextShowerMax"],
+  ["meteors", "initialShowerDelayMin", "initialShowerDelayMax"],
+  ["meteorCanvas", "speedMin", "speedMax"],
+  ["meteorCanvas", "brightnessMin", "brightnessMax"],
+  ["fireballs", "sparkCountMin", "sparkCountMax"],
+  ["fireballs", "sparkLifeMin", "sparkLifeMax"],
+  ["realSky", "brightestMagnitude", "magnitudeLimit"],
+  ["ephemeris", "brightestMagnitude", "faintestMagnitude"],
+  ["quality", "downgradeFps", "upgradeFps"],
+  ["quality", "upgradeMaxWorkMs", "downgradeMinWorkMs"],
+];
+
+/**
+ * Whether every value is a finite number (type errors are reported by the schema)
+ * @param {...*} values - Values to test
+ * @returns {boolean}
+ */
+function areNumbers(...values) {
+  return values.every((value) => Number.isFinite(value));
+}
+
+/**
+ * Check that each lower bound is not above its upper bound
+ * @param {import("./config.js").Config} config - Config to check
+ * @returns {Array<string>} Problems found
+ */
+function checkRangePairs(config) {
+  const problems = RANGE_PAIRS.filter(([section, lower, upper]) => {
+    const values = config[section] ?? {};
+    return (
+      areNumbers(values[lower], values[upper]) && values[lower] > values[upper]
+    );
+  }).map(
+    ([section, lower, upper]) =>
+      `${section}.${lower} (${config[section][lower]}) must not be greater than ${section}.${upper} (${config[section][upper]})`,
+  );
+
+  // Both start heights are lower bounds for startYMax
+  const { startYMin = {}, startYMax } = config.meteors ?? {};
+  Object.entries(startYMin).forEach(([key, value]) => {
+    if (areNumbers(value, startYMax) && value > startYMax) {
+      problems.push(
+        `meteors.startYMin.${key} (${value}) must not be greater than meteors.startYMax (${startYMax})`,
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check the spectral class table used by getSpectralColor() and getColorIndexColor()
+ * @param {Array<import("./config.js").SpectralClass>} spectralClasses - Spectral classes
+ * @returns {Array<string>} Problems found
+ */
+function checkSpectralClasses(spectralClasses) {
+  if (!Array.isArray(spectralClasses)) return [];
+  const problems = [];
+
+  if (spectralClasses.length < MIN_SPECTRAL_CLASSES) {
+    problems.push(
+      `stars.spectralClasses needs at least ${MIN_SPECTRAL_CLASSES} classes (the third is the fallback color)`,
+    );
+  }
+
+  const percentages = spectralClasses.map(
+    (spectralClass) => spectralClass?.percentage,
+  );
+  const total = percentages.reduce((sum, percentage) => sum + percentage, 0);
+  if (
+    areNumbers(...percentages) &&
+    Math.abs(total - 1) > PERCENTAGE_TOLERANCE
+  ) {
+    problems.push(
+      `stars.spectralClasses percentages must add up to 1 (got ${Number(total.toFixed(4))})`,
+    );
+  }
+
+  // Real-sky mode picks the first class whose colorIndexMax covers the star
+  spectralClasses.slice(1).forEach((spectralClass, index) => {
+    const current = spectralClass?.colorIndexMax;
+    const previous = spectralClasses[index]?.colorIndexMax;
+    if (areNumbers(current, previous) && current < previous) {
+      problems.push(
+        `stars.spectralClasses[${index + 1}].colorIndexMax (${current}) must not be lower than stars.spectralClasses[${index}].colorIndexMax (${previous})`,
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check the quality tiers the governor steps through
+ * @param {Array<import("./config.js").QualityTier>} tiers - Quality tiers
+ * @returns {Array<string>} Problems found
+ */
+function checkQualityTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length > 0) return [];
+  return ["quality.tiers needs at least one tier (tiers[0] is full quality)"];
+}
+
+// ============================================================
+// PUBLIC API
+// Lines: 145-181
+// ============================================================
+
+/**
+ * Check a full config against the schema and the cross-field rules
+ * Cross-field rules skip values the schema already rejected as the wrong type
+ * @param {import("./config.js").Config} config - Config to check (CONFIG merged with overrides)
+ * @returns {Array<string>} Every problem found (empty when valid)
+ */
+export function validateConfig(config) {
+  const problems = checkObject(CONFIG_SCHEMA, config, "CONFIG").map((problem) =>
+    problem.replace(/^CONFIG\./, ""),
+  );
+
+  return [
+    ...problems,
+    ...checkSpectralClasses(config.stars?.spectralClasses),
+    ...checkQualityTiers(config.quality?.tiers),
+    ...checkRangePairs(config),
+  ];
+}
+
+/**
+ * Log config problems as one grouped error
+ * @param {Array<string>} problems - Problems from validateConfig()
+ * @returns {void}
+ */
+export function reportConfigProblems(problems) {
+  if (problems.length === 0) return;
+
+  console.error(
+    `Config has ${problems.length} problem${problems.length === 1 ? "" : "s"}:\n` +
+      problems.map((problem) => `  - ${problem}`).join("\n"),
+  );
+}
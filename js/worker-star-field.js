@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Worker star field module - Main-thread handle for star-worker.js
+ * @module worker-star-field
+ * @exports {WorkerStarField, canRenderInWorker}
+ * @imports {ConstellationLayer} from constellations.js
+ * @description Drop-in replacement for StarField (same methods Sky uses) that
+ *   transfers the star canvas to an OffscreenCanvas in a Web Worker and forwards
+ *   layout, config, quality limits, visibility, reduced motion, parallax, twilight
+ *   and constellation highlights as messages.
+ *   Enabled by CONFIG.canvas.offscreenWorker; Sky falls back to StarField when
+ *   OffscreenCanvas, module workers or the worker script (e.g. cross-origin embeds)
+ *   are unavailable, or on a fresh canvas if the worker fails after the transfer.
+ */
+
+// ============================================================
+// WORKER STAR FIELD - Main-thread handle for star-worker.js
+// Purpose: Same interface as StarField, rendering off the main thread
+// Lines: 1-281
+// ============================================================
+
+import { ConstellationLayer } from "./constellations.js";
+
+// Resolved against this module so embeds look for the worker next to it
+const WORKER_URL = new URL("./star-worker.js", import.meta.url);
+
+/**
+ * Whether this browser can render a canvas from a worker
+ * @param {HTMLCanvasElement} canvas - Canvas that would be transferred
+ * @returns {boolean}
+ */
+export function canRenderInWorker(canvas) {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof canvas.transferControlToOffscreen === "function"
+  );
+}
+
+// ============================================================
+// WORKER STAR FIELD
+// Lines: 39-281
+// ============================================================
+
+/**
+ * StarField stand-in that renders in star-worker.js
+ *
+ * Usage (in Sky):
+ *   const starField = new WorkerStarField({ canvas, nightSky, config, seed, onFailure });
+ *   starField.start();      // Throws if the worker can't start - fall back to StarField
+ *   starField.initialize(); // Once layout is ready: send the first size
+ *   // onFailure(): the worker died (404, parse error) - starField.canvas is a fresh element
+ */
+export class WorkerStarField {
+  /**
+   * @param {Object} options - Star field options
+   * @param {HTMLCanvasElement} options.canvas - Canvas to transfer to the worker
+   * @param {HTMLElement} options.nightSky - Rotating container that sizes the canvas
+   * @param {Config} options.config - Configuration for this sky
+   * @param {string} options.seed - Seed for the star and planet streams
+   * @param {function(): void} [options.onFailure] - Called once the worker has failed
+   *   and the canvas was replaced, so the owner can render on the main thread instead
+   */
+  constructor({ canvas, nightSky, config, seed, onFailure = () => {} }) {
+    this.canvas = canvas;
+    this.nightSky = nightSky;
+    this.config = config;
+    this.seed = seed;
+    this.onFailure = onFailure;
+    this.worker = null;
+    this.isInitialized = false; // First layout sent (see initialize())
+    this.quality = { starScale: 1, maxPixelRatio: Infinity };
+
+    // Latest stats posted by the worker (getFrameStats() must answer synchronously)
+    this.frameStats = {
+      frames: 0,
+      averageWorkMs: 0,
+      maxWorkMs: 0,
+      averageIntervalMs: 0,
+      fps: 0,
+    };
+
+    // Hit testing stays on the main thread, next to the pointer events
+    this.constellations = new ConstellationLayer(config);
+  }
+
+  /**
+   * Start the worker and hand it the canvas
+   * @returns {void}
+   * @throws {Error} If the worker or the canvas transfer fails
+   */
+  start() {
+    try {
+      // Create the worker first: if it fails, the canvas is still usable on the main thread
+      this.worker = new Worker(WORKER_URL, { type: "module" });
+      this.worker.addEventListener("message", (event) =>
+        this.handleMessage(event.data),
+      );
+      // The canvas is transferred before the module loads, so a 404 or parse
+      // error only shows up here - by then the canvas belongs to the worker
+      this.worker.addEventListener("error", (event) => {
+        console.error("Star worker failed:", event.message || event);
+        this.fail();
+      });
+
+      const offscreen = this.canvas.transferControlToOffscreen();
+      this.worker.postMessage(
+        {
+          type: "init",
+          canvas: offscreen,
+          config: this.config,
+          seed: this.seed,
+          visible: !document.hidden,
+        },
+        [offscreen],
+      );
+    } catch (error) {
+      this.worker?.terminate();
+      this.worker = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Send the first layout; the worker generates and starts its loop
+   * @returns {void}
+   */
+  initialize() {
+    this.isInitialized = true;
+    this.resize();
+  }
+
+  /**
+   * Give up on the worker: stop it, swap in a fresh canvas and tell the owner
+   * @returns {void}
+   */
+  fail() {
+    if (!this.worker) return;
+
+    this.worker.terminate();
+    this.worker = null;
+    this.replaceCanvas();
+
+    try {
+      this.onFailure();
+    } catch (error) {
+      console.error("Error falling back from the star worker:", error);
+    }
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {{type: string}} message - Worker message
+   * @returns {void}
+   */
+  handleMessage(message) {
+    if (message.type === "stats") {
+      this.frameStats = message.stats;
+    } else if (message.type === "error") {
+      console.error("Star worker error:", message.message);
+    }
+  }
+
+  /**
+   * Send current config, seed, quality and size; the worker regenerates once for all
+   * @returns {void}
+   */
+  resize() {
+    if (!this.worker) return;
+
+    const rect = this.nightSky.getBoundingClientRect();
+    const size = {
+      width: rect.width,
+      height: rect.height,
+      pixelRatio: this.config.canvas.devicePixelRatioEnabled
+        ? Math.min(window.devicePixelRatio, this.quality.maxPixelRatio)
+        : 1,
+      viewportWidth: window.innerWidth,
+    };
+
+    this.worker.postMessage({
+      type: "regenerate",
+      config: this.config,
+      seed: this.seed,
+      quality: this.quality,
+    });
+    this.worker.postMessage({ type: "resize", ...size });
+
+    if (this.config.constellations.enabled && this.config.realSky.enabled) {
+      this.constellations.generate(size.width, size.height);
+    }
+  }
+
+  /**
+   * Pause or resume the worker's twinkle loop
+   * @param {boolean} visible - Is page currently visible
+   * @returns {void}
+   */
+  setVisible(visible) {
+    this.worker?.postMessage({ type: "setPageVisible", visible });
+  }
+
+  /**
+   * Switch the worker between the twinkle loop and a single still frame
+   * @param {boolean} reduced - Hold the sky still
+   * @returns {void}
+   */
+  setReducedMotion(reduced) {
+    this.worker?.postMessage({ type: "setReducedMotion", reduced });
+  }
+
+  /**
+   * Point the worker's parallax view (it eases toward it each frame)
+   * @param {{x: number, y: number}} target - View direction, -1..1 along the canvas axes
+   * @returns {void}
+   */
+  setParallax({ x, y }) {
+    this.worker?.postMessage({ type: "parallax", x, y });
+  }
+
+  /**
+   * Tell the worker the faintest magnitude the sky is dark enough to show
+   * @param {number} magnitude - Limiting magnitude (Infinity = full night)
+   * @returns {void}
+   */
+  setLimitingMagnitude(magnitude) {
+    this.worker?.postMessage({ type: "limitingMagnitude", magnitude });
+  }
+
+  /**
+   * Apply quality tier limits; they reach the worker with the next resize()
+   * @param {{starScale: number, maxPixelRatio: number}} quality - Limits from a QualityTier
+   * @returns {void}
+   */
+  setQuality({ starScale, maxPixelRatio }) {
+    this.quality = { starScale, maxPixelRatio };
+  }
+
+  /**
+   * Highlight constellations near the pointer, drawn by the worker
+   * @param {HTMLElement} hero - Element receiving pointer events
+   * @param {HTMLElement} nightSky - Rotating night sky container
+   * @returns {function(): void} Removes the listeners
+   */
+  attachConstellationHover(hero, nightSky) {
+    return this.constellations.attachHover(hero, nightSky, (name, holdMs) => {
+      this.worker?.postMessage({ type: "highlight", name, holdMs });
+    });
+  }
+
+  /**
+   * Frame-time statistics last reported by the worker
+   * @returns {import("./frame-timer.js").FrameStats}
+   */
+  getFrameStats() {
+    return this.frameStats;
+  }
+
+  /**
+   * Stop the worker and swap in a fresh canvas
+   * @returns {void}
+   */
+  destroy() {
+    if (!this.worker) return;
+
+    this.worker.postMessage({ type: "destroy" });
+    this.worker = null;
+    this.replaceCanvas();
+  }
+
+  /**
+   * Put a fresh canvas in place of the transferred one
+   * A transferred canvas can never be drawn on again from the main thread,
+   * so the element is replaced to let the sky be mounted (or drawn) again
+   * @returns {void}
+   */
+  replaceCanvas() {
+    const freshCanvas = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(freshCanvas);
+    this.canvas = freshCanvas;
+  }
+}